@@ -10,9 +10,11 @@ const connectionString = process.env.DATABASE_URL || 'postgresql://postgres:fase
 
 console.log('Database connection string:', connectionString.replace(/:[^:@]+@/, ':***@'))
 
-// Create the connection
+// Create the connection pool. Requests, the jobs the server runs and its
+// scheduled tasks each hold a connection while they wait on the database, so
+// one connection would make every request queue behind a running analysis.
 const client = postgres(connectionString, {
-  max: 1,
+  max: parseInt(process.env.DATABASE_POOL_SIZE) || 10,
   idle_timeout: 20,
   connect_timeout: 10,
 })
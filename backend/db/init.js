@@ -1,25 +1,55 @@
-import { db, client } from './config.js'
-import { uploads, results, requirements } from './schema.js'
-
-const defaultRequirements = [
-  'Maximum file size per upload is 20 MB.',
-  'Supported file formats: txt, pdf, docx, csv, xlsx, html, jpg, jpeg, png, gif.',
-  'Multiple files can be selected and uploaded simultaneously.',
-  'Upload progress is displayed in real-time for each file.',
-  'Image files (jpg, jpeg, png, gif) are automatically embedded in PDF format when downloaded.',
-  'Text files (txt, csv, html) are converted to PDF with preserved content when downloaded.',
-  'PDF files are downloaded as-is without any conversion or modification.',
-  'Downloaded files maintain the original filename with .pdf extension.',
-  'Files can be deleted from the results page using the delete button.',
-  'Uploaded files are stored securely on the server until deleted.',
-  'Image preview is available for image files during upload.',
-  'File information including name, size, and type is displayed in the results table.',
-  'All uploaded files can be downloaded in PDF format from the results page.',
-]
+import { client } from './config.js'
+import { backfillVersions, withRulebookVersion, updateRequirement } from '../services/requirements.js'
+import { defaultRequirements, LEGACY_SIZE_REQUIREMENT } from './seed.js'
+import { hashPassword, parseUserInput, userColumns } from '../services/auth.js'
+import { recordAudit } from '../services/audit.js'
+import { DEFAULT_RULE_SET_NAME } from '../services/ruleSets.js'
+import { DEFAULT_ORGANIZATION_NAME, seedDefaultRuleSet } from '../services/organizations.js'
 
 async function createTables() {
   console.log('Creating database tables...')
   
+  // Tenants: every user, vessel, upload, result and rule set belongs to one
+  // organization and is only ever visible to its members
+  await client`
+    CREATE TABLE IF NOT EXISTS organizations (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `
+
+  // User accounts; passwords are stored as scrypt hashes (services/auth.js)
+  await client`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      name VARCHAR(255) NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `
+
+  // engineer: uploads and sees own results; reviewer: sees everything;
+  // admin: also manages the rulebook and users
+  await client`ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'engineer'`
+  await client`ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check`
+  await client`ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('engineer', 'reviewer', 'admin'))`
+
+  // Login sessions; only a SHA-256 hash of the bearer token is stored
+  await client`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL
+    )
+  `
+  await client`CREATE INDEX IF NOT EXISTS sessions_user_id_idx ON sessions (user_id)`
+
   // Create uploads table
   await client`
     CREATE TABLE IF NOT EXISTS uploads (
@@ -30,16 +60,46 @@ async function createTables() {
       file_size INTEGER NOT NULL,
       file_type VARCHAR(100),
       uploaded_at TIMESTAMP DEFAULT NOW(),
-      user_id VARCHAR(100) DEFAULT 'default_user'
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL
     )
   `
+
+  // Uploads used to store the placeholder 'default_user'; they now reference
+  // the account that uploaded them. Existing uploads have no known owner.
+  await client`
+    DO $$
+    BEGIN
+      IF (SELECT data_type FROM information_schema.columns
+          WHERE table_name = 'uploads' AND column_name = 'user_id') <> 'integer' THEN
+        ALTER TABLE uploads ALTER COLUMN user_id DROP DEFAULT;
+        ALTER TABLE uploads ALTER COLUMN user_id TYPE INTEGER USING NULL;
+        ALTER TABLE uploads ADD CONSTRAINT uploads_user_id_fkey
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
+      END IF;
+    END $$
+  `
+  await client`CREATE INDEX IF NOT EXISTS uploads_user_id_idx ON uploads (user_id)`
   
+  // Vessels own one or more uploaded drawings
+  await client`
+    CREATE TABLE IF NOT EXISTS vessels (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      imo_number VARCHAR(7),
+      vessel_type VARCHAR(100),
+      owner VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `
+  await client`ALTER TABLE uploads ADD COLUMN IF NOT EXISTS vessel_id INTEGER REFERENCES vessels(id) ON DELETE SET NULL`
+  await client`CREATE INDEX IF NOT EXISTS uploads_vessel_id_idx ON uploads (vessel_id)`
+
   // Create results table
   await client`
     CREATE TABLE IF NOT EXISTS results (
       id SERIAL PRIMARY KEY,
       upload_id INTEGER REFERENCES uploads(id) ON DELETE CASCADE,
-      configured BOOLEAN DEFAULT false,
       issues_detected INTEGER DEFAULT 0,
       report_path VARCHAR(500),
       created_at TIMESTAMP DEFAULT NOW(),
@@ -55,43 +115,522 @@ async function createTables() {
       created_at TIMESTAMP DEFAULT NOW()
     )
   `
-  
+
+  // Columns added after the initial release - safe to re-run on existing databases
+  await client`ALTER TABLE requirements ADD COLUMN IF NOT EXISTS check_type VARCHAR(100)`
+  await client`ALTER TABLE requirements ADD COLUMN IF NOT EXISTS check_params JSONB`
+  await client`ALTER TABLE requirements ADD COLUMN IF NOT EXISTS code VARCHAR(50)`
+  await client`ALTER TABLE requirements ADD COLUMN IF NOT EXISTS reference VARCHAR(255)`
+  await client`ALTER TABLE requirements ADD COLUMN IF NOT EXISTS category VARCHAR(50)`
+  await client`ALTER TABLE requirements ADD COLUMN IF NOT EXISTS footnotes JSONB NOT NULL DEFAULT '[]'::jsonb`
+  await client`ALTER TABLE requirements ADD COLUMN IF NOT EXISTS sort_order INTEGER`
+  await client`UPDATE requirements SET sort_order = id WHERE sort_order IS NULL`
+  await client`ALTER TABLE requirements ALTER COLUMN sort_order SET NOT NULL`
+  await client`ALTER TABLE requirements ALTER COLUMN sort_order SET DEFAULT 0`
+  await client`ALTER TABLE requirements ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1`
+  await client`ALTER TABLE requirements ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW()`
+  await client`ALTER TABLE requirements ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`
+
+  // Named rule sets, e.g. per classification society or vessel type. Exactly
+  // one per organization is the default; requirements that predate rule sets
+  // belong to it.
+  await client`
+    CREATE TABLE IF NOT EXISTS rule_sets (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      society VARCHAR(255),
+      vessel_type VARCHAR(255),
+      is_default BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `
+  await client`
+    INSERT INTO rule_sets (name, is_default)
+    SELECT ${DEFAULT_RULE_SET_NAME}, true
+    WHERE NOT EXISTS (SELECT 1 FROM rule_sets) AND EXISTS (SELECT 1 FROM requirements)
+  `
+  await client`ALTER TABLE requirements ADD COLUMN IF NOT EXISTS rule_set_id INTEGER REFERENCES rule_sets(id) ON DELETE CASCADE`
+  await client`UPDATE requirements SET rule_set_id = (SELECT MIN(id) FROM rule_sets WHERE is_default) WHERE rule_set_id IS NULL`
+  await client`ALTER TABLE requirements ALTER COLUMN rule_set_id SET NOT NULL`
+
+  // Codes only have to be unique among the active requirements of a rule set
+  await client`DROP INDEX IF EXISTS requirements_code_key`
+  await client`DROP INDEX IF EXISTS requirements_active_code_key`
+  await client`CREATE UNIQUE INDEX IF NOT EXISTS requirements_rule_set_code_key ON requirements (rule_set_id, code) WHERE code IS NOT NULL AND deleted_at IS NULL`
+
+  // Each change to a rule set creates a new version of it, numbered per rule
+  // set; requirement_versions keeps a snapshot of every requirement as of each
+  // version it changed in
+  await client`
+    CREATE TABLE IF NOT EXISTS rulebook_versions (
+      id SERIAL PRIMARY KEY,
+      summary TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `
+  await client`ALTER TABLE rulebook_versions ADD COLUMN IF NOT EXISTS rule_set_id INTEGER REFERENCES rule_sets(id) ON DELETE CASCADE`
+  await client`ALTER TABLE rulebook_versions ADD COLUMN IF NOT EXISTS version INTEGER`
+  // Versions from before rule sets were global and numbered by id
+  await client`
+    UPDATE rulebook_versions
+    SET rule_set_id = (SELECT MIN(id) FROM rule_sets WHERE is_default), version = id
+    WHERE rule_set_id IS NULL
+  `
+  await client`ALTER TABLE rulebook_versions ALTER COLUMN rule_set_id SET NOT NULL`
+  await client`ALTER TABLE rulebook_versions ALTER COLUMN version SET NOT NULL`
+  await client`CREATE UNIQUE INDEX IF NOT EXISTS rulebook_versions_rule_set_version_key ON rulebook_versions (rule_set_id, version)`
+  // Ids used to be assigned by hand, so the sequence may lag behind them
+  await client`SELECT setval(pg_get_serial_sequence('rulebook_versions', 'id'), COALESCE(MAX(id), 0) + 1, false) FROM rulebook_versions`
+  await client`
+    CREATE TABLE IF NOT EXISTS requirement_versions (
+      id SERIAL PRIMARY KEY,
+      requirement_id INTEGER NOT NULL REFERENCES requirements(id) ON DELETE CASCADE,
+      version INTEGER NOT NULL,
+      rulebook_version INTEGER NOT NULL,
+      change_type VARCHAR(20) NOT NULL,
+      code VARCHAR(50),
+      description TEXT NOT NULL,
+      reference VARCHAR(255),
+      category VARCHAR(50),
+      footnotes JSONB NOT NULL DEFAULT '[]'::jsonb,
+      check_type VARCHAR(100),
+      check_params JSONB,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (requirement_id, version)
+    )
+  `
+  await client`CREATE INDEX IF NOT EXISTS requirement_versions_rulebook_version_idx ON requirement_versions (rulebook_version)`
+  await client`ALTER TABLE results ADD COLUMN IF NOT EXISTS rulebook_version INTEGER`
+  // rulebook_version columns hold per-rule-set version numbers, not row ids
+  await client`ALTER TABLE requirement_versions DROP CONSTRAINT IF EXISTS requirement_versions_rulebook_version_fkey`
+  await client`ALTER TABLE results DROP CONSTRAINT IF EXISTS results_rulebook_version_fkey`
+
+  // Rule set each result was evaluated against
+  await client`ALTER TABLE results ADD COLUMN IF NOT EXISTS rule_set_id INTEGER REFERENCES rule_sets(id)`
+  await client`
+    UPDATE results SET rule_set_id = (SELECT MIN(id) FROM rule_sets WHERE is_default)
+    WHERE rule_set_id IS NULL AND rulebook_version IS NOT NULL
+  `
+
+  // Per-requirement outcome of the compliance engine for each result
+  await client`
+    CREATE TABLE IF NOT EXISTS rule_evaluations (
+      id SERIAL PRIMARY KEY,
+      result_id INTEGER NOT NULL REFERENCES results(id) ON DELETE CASCADE,
+      requirement_id INTEGER REFERENCES requirements(id) ON DELETE SET NULL,
+      status VARCHAR(20) NOT NULL,
+      detail TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `
+  await client`CREATE INDEX IF NOT EXISTS rule_evaluations_result_id_idx ON rule_evaluations (result_id)`
+  await client`ALTER TABLE rule_evaluations ADD COLUMN IF NOT EXISTS requirement_version INTEGER`
+
+  // One row per violation found by the compliance engine
+  await client`
+    CREATE TABLE IF NOT EXISTS findings (
+      id SERIAL PRIMARY KEY,
+      result_id INTEGER NOT NULL REFERENCES results(id) ON DELETE CASCADE,
+      requirement_id INTEGER REFERENCES requirements(id) ON DELETE SET NULL,
+      severity VARCHAR(20) NOT NULL DEFAULT 'major',
+      message TEXT NOT NULL,
+      regulation_reference VARCHAR(255),
+      location JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `
+  await client`CREATE INDEX IF NOT EXISTS findings_result_id_idx ON findings (result_id)`
+  await client`ALTER TABLE findings ADD COLUMN IF NOT EXISTS requirement_version INTEGER`
+
+  // Review sign-off: results move pending -> under_review -> approved or
+  // rejected (services/reviews.js). The unused `configured` flag it replaces
+  // was never set.
+  await client`ALTER TABLE results DROP COLUMN IF EXISTS configured`
+  await client`ALTER TABLE results ADD COLUMN IF NOT EXISTS review_status VARCHAR(20) NOT NULL DEFAULT 'pending'`
+  await client`ALTER TABLE results ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP`
+  await client`ALTER TABLE results DROP CONSTRAINT IF EXISTS results_review_status_check`
+  await client`
+    ALTER TABLE results ADD CONSTRAINT results_review_status_check
+    CHECK (review_status IN ('pending', 'under_review', 'approved', 'rejected'))
+  `
+
+  // Deleted results stay in the trash until they are restored or purged
+  // (services/trash.js)
+  await client`ALTER TABLE results ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`
+  await client`ALTER TABLE results ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL`
+  await client`CREATE INDEX IF NOT EXISTS results_deleted_at_idx ON results (deleted_at) WHERE deleted_at IS NOT NULL`
+
+  // Every review transition with who made it and why. The reviewer's name is
+  // copied so the record survives changes to the account.
+  await client`
+    CREATE TABLE IF NOT EXISTS result_reviews (
+      id SERIAL PRIMARY KEY,
+      result_id INTEGER NOT NULL REFERENCES results(id) ON DELETE CASCADE,
+      reviewer_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      reviewer_name VARCHAR(255) NOT NULL,
+      from_status VARCHAR(20) NOT NULL,
+      to_status VARCHAR(20) NOT NULL,
+      comment TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `
+  await client`CREATE INDEX IF NOT EXISTS result_reviews_result_id_idx ON result_reviews (result_id)`
+
+  // Waivers accepting individual findings (services/waivers.js). A finding has
+  // at most one open (requested or approved) waiver; only approved ones count.
+  await client`
+    CREATE TABLE IF NOT EXISTS waivers (
+      id SERIAL PRIMARY KEY,
+      finding_id INTEGER NOT NULL REFERENCES findings(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL DEFAULT 'requested'
+        CHECK (status IN ('requested', 'approved', 'rejected', 'revoked')),
+      reason TEXT NOT NULL,
+      attachment_filename VARCHAR(255),
+      attachment_path VARCHAR(500),
+      attachment_type VARCHAR(100),
+      attachment_size INTEGER,
+      requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      requested_by_name VARCHAR(255) NOT NULL,
+      approver_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      approver_name VARCHAR(255),
+      decision_comment TEXT,
+      decided_at TIMESTAMP,
+      revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      revoked_by_name VARCHAR(255),
+      revoke_reason TEXT,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `
+  await client`CREATE INDEX IF NOT EXISTS waivers_finding_id_idx ON waivers (finding_id)`
+  await client`
+    CREATE UNIQUE INDEX IF NOT EXISTS waivers_open_finding_key
+    ON waivers (finding_id) WHERE status IN ('requested', 'approved')
+  `
+
+  // Audit trail of uploads, deletes, downloads and rulebook, review and
+  // account changes (services/audit.js). Actor names are copied so events
+  // stay readable after the user is gone; entities are not referenced for
+  // the same reason. The table is append-only: the triggers below reject
+  // every UPDATE, DELETE and TRUNCATE.
+  await client`
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id SERIAL PRIMARY KEY,
+      organization_id INTEGER NOT NULL REFERENCES organizations(id),
+      actor_id INTEGER,
+      actor_name VARCHAR(255),
+      ip VARCHAR(45),
+      action VARCHAR(50) NOT NULL,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id INTEGER,
+      before JSONB,
+      after JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `
+  await client`CREATE INDEX IF NOT EXISTS audit_events_organization_idx ON audit_events (organization_id, id DESC)`
+  await client`CREATE INDEX IF NOT EXISTS audit_events_entity_idx ON audit_events (entity_type, entity_id)`
+  await client`
+    CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_events is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `
+  await client`DROP TRIGGER IF EXISTS audit_events_no_change ON audit_events`
+  await client`
+    CREATE TRIGGER audit_events_no_change BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW EXECUTE FUNCTION audit_events_append_only()
+  `
+  await client`DROP TRIGGER IF EXISTS audit_events_no_truncate ON audit_events`
+  await client`
+    CREATE TRIGGER audit_events_no_truncate BEFORE TRUNCATE ON audit_events
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_events_append_only()
+  `
+
+  // Scope everything to organizations. Data from before organizations existed
+  // belongs to a 'Default' organization.
+  await client`ALTER TABLE users ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE`
+  await client`ALTER TABLE vessels ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE`
+  await client`ALTER TABLE uploads ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE`
+  await client`ALTER TABLE results ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE`
+  await client`ALTER TABLE rule_sets ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE`
+  await client`
+    INSERT INTO organizations (name)
+    SELECT ${DEFAULT_ORGANIZATION_NAME}
+    WHERE NOT EXISTS (SELECT 1 FROM organizations)
+      AND (EXISTS (SELECT 1 FROM users) OR EXISTS (SELECT 1 FROM vessels)
+        OR EXISTS (SELECT 1 FROM uploads) OR EXISTS (SELECT 1 FROM rule_sets))
+  `
+  await client`UPDATE users SET organization_id = (SELECT MIN(id) FROM organizations) WHERE organization_id IS NULL`
+  await client`UPDATE vessels SET organization_id = (SELECT MIN(id) FROM organizations) WHERE organization_id IS NULL`
+  await client`UPDATE uploads SET organization_id = (SELECT MIN(id) FROM organizations) WHERE organization_id IS NULL`
+  await client`
+    UPDATE results r SET organization_id = COALESCE(
+      (SELECT u.organization_id FROM uploads u WHERE u.id = r.upload_id),
+      (SELECT MIN(id) FROM organizations)
+    )
+    WHERE organization_id IS NULL
+  `
+  await client`UPDATE rule_sets SET organization_id = (SELECT MIN(id) FROM organizations) WHERE organization_id IS NULL`
+  await client`ALTER TABLE users ALTER COLUMN organization_id SET NOT NULL`
+  await client`ALTER TABLE vessels ALTER COLUMN organization_id SET NOT NULL`
+  await client`ALTER TABLE uploads ALTER COLUMN organization_id SET NOT NULL`
+  await client`ALTER TABLE results ALTER COLUMN organization_id SET NOT NULL`
+  await client`ALTER TABLE rule_sets ALTER COLUMN organization_id SET NOT NULL`
+  await client`CREATE INDEX IF NOT EXISTS users_organization_id_idx ON users (organization_id)`
+  await client`CREATE INDEX IF NOT EXISTS uploads_organization_id_idx ON uploads (organization_id)`
+  await client`CREATE INDEX IF NOT EXISTS results_organization_id_idx ON results (organization_id)`
+
+  // Names, IMO numbers and the default rule set are unique per organization
+  await client`ALTER TABLE rule_sets DROP CONSTRAINT IF EXISTS rule_sets_name_key`
+  await client`DROP INDEX IF EXISTS rule_sets_default_key`
+  await client`CREATE UNIQUE INDEX IF NOT EXISTS rule_sets_organization_name_key ON rule_sets (organization_id, name)`
+  await client`CREATE UNIQUE INDEX IF NOT EXISTS rule_sets_organization_default_key ON rule_sets (organization_id) WHERE is_default`
+  await client`ALTER TABLE vessels DROP CONSTRAINT IF EXISTS vessels_imo_number_key`
+  await client`CREATE UNIQUE INDEX IF NOT EXISTS vessels_organization_imo_key ON vessels (organization_id, imo_number)`
+
+  // Every organization needs an admin; accounts from before roles existed
+  // make the oldest member the admin
+  await client`
+    UPDATE users SET role = 'admin'
+    WHERE id IN (
+      SELECT MIN(id) FROM users
+      GROUP BY organization_id
+      HAVING NOT bool_or(role = 'admin')
+    )
+  `
+
+  // Full-text search vectors for GET /api/search. The 'simple' configuration
+  // keeps names, codes and filenames unstemmed so prefix matches work while
+  // typing; filenames are split on punctuation (GA_plan-v2.pdf -> ga plan v2 pdf).
+  await client`
+    ALTER TABLE vessels ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (to_tsvector('simple', name || ' ' || COALESCE(imo_number, '') || ' ' || COALESCE(owner, ''))) STORED
+  `
+  await client`
+    ALTER TABLE uploads ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (to_tsvector('simple', regexp_replace(original_filename, '[^[:alnum:]]+', ' ', 'g'))) STORED
+  `
+  await client`
+    ALTER TABLE requirements ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (to_tsvector('simple', COALESCE(code, '') || ' ' || description || ' ' || COALESCE(reference, ''))) STORED
+  `
+  await client`
+    ALTER TABLE findings ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (to_tsvector('simple', message)) STORED
+  `
+  await client`CREATE INDEX IF NOT EXISTS vessels_search_idx ON vessels USING GIN (search_vector)`
+  await client`CREATE INDEX IF NOT EXISTS uploads_search_idx ON uploads USING GIN (search_vector)`
+  await client`CREATE INDEX IF NOT EXISTS requirements_search_idx ON requirements USING GIN (search_vector)`
+  await client`CREATE INDEX IF NOT EXISTS findings_search_idx ON findings USING GIN (search_vector)`
+
+  // Files uploaded together in one submission (POST /api/upload/batch)
+  await client`
+    CREATE TABLE IF NOT EXISTS upload_batches (
+      id SERIAL PRIMARY KEY,
+      organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      file_count INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `
+  await client`ALTER TABLE uploads ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES upload_batches(id) ON DELETE SET NULL`
+  await client`CREATE INDEX IF NOT EXISTS uploads_batch_id_idx ON uploads (batch_id) WHERE batch_id IS NOT NULL`
+
+  // Resumable (tus) uploads in progress, by the random ID in their URL
+  // (services/resumableUploads.js). The rule set and vessel are not
+  // referenced: they are looked up again when the upload completes.
+  await client`
+    CREATE TABLE IF NOT EXISTS resumable_uploads (
+      id VARCHAR(32) PRIMARY KEY,
+      organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      filename VARCHAR(255) NOT NULL,
+      file_type VARCHAR(100) NOT NULL,
+      upload_length BIGINT NOT NULL,
+      upload_offset BIGINT NOT NULL DEFAULT 0,
+      metadata TEXT,
+      rule_set_id INTEGER,
+      vessel_id INTEGER,
+      result_id INTEGER REFERENCES results(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL
+    )
+  `
+  await client`CREATE INDEX IF NOT EXISTS resumable_uploads_expires_at_idx ON resumable_uploads (expires_at)`
+  // The request writing to an upload (withUploadLock) and until when
+  await client`ALTER TABLE resumable_uploads ADD COLUMN IF NOT EXISTS lock_token VARCHAR(32)`
+  await client`ALTER TABLE resumable_uploads ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP`
+
+  // Stored file contents by SHA-256 (services/uploads.js). Uploads of the same
+  // content share a blob; it is deleted with the last upload referring to it.
+  // Uploads from before content addressing have no blob.
+  await client`
+    CREATE TABLE IF NOT EXISTS file_blobs (
+      sha256 CHAR(64) PRIMARY KEY,
+      stored_name VARCHAR(255) NOT NULL UNIQUE,
+      file_size INTEGER NOT NULL,
+      file_type VARCHAR(100) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `
+  await client`ALTER TABLE uploads ADD COLUMN IF NOT EXISTS sha256 CHAR(64) REFERENCES file_blobs(sha256)`
+  await client`CREATE INDEX IF NOT EXISTS uploads_sha256_idx ON uploads (organization_id, sha256) WHERE sha256 IS NOT NULL`
+
+  // Revisions (services/revisions.js): an upload can be a new revision of its
+  // parent. document_id is the first upload of the document, which has none
+  // itself; it is not a foreign key, so a document keeps its revisions
+  // together when its first upload is purged. Resumable uploads note the
+  // result of the parent, looked up again when they complete.
+  await client`ALTER TABLE uploads ADD COLUMN IF NOT EXISTS parent_upload_id INTEGER REFERENCES uploads(id) ON DELETE SET NULL`
+  await client`ALTER TABLE uploads ADD COLUMN IF NOT EXISTS document_id INTEGER`
+  await client`ALTER TABLE uploads ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1`
+  await client`CREATE INDEX IF NOT EXISTS uploads_document_id_idx ON uploads (document_id) WHERE document_id IS NOT NULL`
+  await client`ALTER TABLE resumable_uploads ADD COLUMN IF NOT EXISTS parent_result_id INTEGER`
+
+  // Background jobs run by worker.js (services/jobs.js), e.g. the analysis of
+  // an uploaded drawing for its result. Workers claim due jobs and lock them
+  // until locked_until; failed attempts are retried from run_at.
+  await client`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id SERIAL PRIMARY KEY,
+      organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      type VARCHAR(50) NOT NULL,
+      payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+      result_id INTEGER REFERENCES results(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL,
+      run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      locked_until TIMESTAMP,
+      last_error TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      started_at TIMESTAMP,
+      finished_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `
+  await client`CREATE INDEX IF NOT EXISTS jobs_pending_idx ON jobs (run_at) WHERE status IN ('queued', 'running')`
+  await client`CREATE INDEX IF NOT EXISTS jobs_result_id_idx ON jobs (result_id)`
+
   console.log('✓ Database tables created successfully')
 }
 
+// Organizations without any requirements get the default rulebook
+async function seedRequirements() {
+  const unseeded = await client`
+    SELECT o.id, o.name FROM organizations o
+    WHERE NOT EXISTS (
+      SELECT 1 FROM requirements q
+      JOIN rule_sets rs ON q.rule_set_id = rs.id
+      WHERE rs.organization_id = o.id
+    )
+  `
+  for (const organization of unseeded) {
+    console.log(`Seeding default requirements for ${organization.name}...`)
+    await client.begin(sql => seedDefaultRuleSet(sql, organization.id))
+  }
+}
+
+// Organizations are only created by registering, which adds their admin, and
+// members without an admin get one in createTables. The 'Default' organization
+// of a database from before accounts existed has no members at all, and its
+// name is taken, so nobody could register into it: its first admin is created
+// from BOOTSTRAP_ADMIN_EMAIL, BOOTSTRAP_ADMIN_NAME and BOOTSTRAP_ADMIN_PASSWORD.
+async function bootstrapAdmin() {
+  const [organization] = await client`
+    SELECT o.id, o.name FROM organizations o
+    WHERE o.name = ${DEFAULT_ORGANIZATION_NAME}
+      AND NOT EXISTS (SELECT 1 FROM users u WHERE u.organization_id = o.id AND u.role = 'admin')
+  `
+  if (!organization) return
+
+  if (!process.env.BOOTSTRAP_ADMIN_EMAIL) {
+    console.warn(`⚠️ The ${organization.name} organization has no admin; set BOOTSTRAP_ADMIN_EMAIL and BOOTSTRAP_ADMIN_PASSWORD to create one`)
+    return
+  }
+
+  const { user, error } = parseUserInput({
+    email: process.env.BOOTSTRAP_ADMIN_EMAIL,
+    name: process.env.BOOTSTRAP_ADMIN_NAME || 'Administrator',
+    password: process.env.BOOTSTRAP_ADMIN_PASSWORD,
+  })
+  if (error) {
+    console.warn(`⚠️ Not creating the admin of the ${organization.name} organization: ${error}`)
+    return
+  }
+
+  const passwordHash = await hashPassword(user.password)
+  const created = await client.begin(async (sql) => {
+    const [admin] = await sql`
+      INSERT INTO users (organization_id, email, name, password_hash, role)
+      VALUES (${organization.id}, ${user.email}, ${user.name}, ${passwordHash}, 'admin')
+      ON CONFLICT (email) DO NOTHING
+      RETURNING ${userColumns(sql)}
+    `
+    if (!admin) return null
+
+    await recordAudit(sql, { organizationId: organization.id, id: null, name: null, ip: null }, {
+      action: 'user.create',
+      entityType: 'user',
+      entityId: admin.id,
+      after: admin,
+    })
+    return admin
+  })
+
+  if (created) {
+    console.log(`✓ Created ${created.email} as admin of the ${organization.name} organization`)
+  } else {
+    console.warn(`⚠️ Not creating the admin of the ${organization.name} organization: ${user.email} already has an account`)
+  }
+}
+
+// S01 used to fail every file over 20 MB, i.e. every resumable upload. Rule
+// sets that still have the seeded wording get the current default; ones an
+// admin changed are left alone.
+async function raiseSubmissionSizeLimit() {
+  const current = defaultRequirements.find(requirement => requirement.code === 'S01')
+  const outdated = await client`
+    SELECT id, rule_set_id as "ruleSetId", code, description, reference, category, footnotes,
+           check_type as "checkType"
+    FROM requirements
+    WHERE code = 'S01' AND deleted_at IS NULL
+      AND check_type = 'max_file_size'
+      AND description = ${LEGACY_SIZE_REQUIREMENT.description}
+      AND check_params->>'maxBytes' = ${String(LEGACY_SIZE_REQUIREMENT.maxBytes)}
+  `
+  for (const { id, ruleSetId, ...requirement } of outdated) {
+    await withRulebookVersion(client, ruleSetId, 'Raise the submission size limit to 1 GB', (sql, rulebookVersion) =>
+      updateRequirement(sql, ruleSetId, id, {
+        ...requirement,
+        description: current.description,
+        checkParams: current.checkParams,
+      }, rulebookVersion)
+    )
+  }
+}
+
 export async function initDB() {
   try {
     console.log('Initializing database tables...')
     
-    // Check if tables exist by trying to query them
-    try {
-      const existingRequirements = await db.select().from(requirements).limit(1)
-      
-      if (existingRequirements.length === 0) {
-        console.log('Seeding default requirements...')
-        for (const description of defaultRequirements) {
-          await db.insert(requirements).values({ description })
-        }
-        console.log('Default requirements inserted')
-      } else {
-        console.log('Requirements already exist, skipping seed')
-      }
-    } catch (tableError) {
-      if (tableError.code === '42P01') {
-        console.log('Tables do not exist, creating them...')
-        // Tables don't exist, create them
-        await createTables()
-        
-        // Now seed default requirements
-        console.log('Seeding default requirements...')
-        for (const description of defaultRequirements) {
-          await db.insert(requirements).values({ description })
-        }
-        console.log('Default requirements inserted')
-      } else {
-        throw tableError
-      }
-    }
+    // Every statement in createTables is idempotent, so it also brings
+    // databases created by older versions up to date
+    await createTables()
+    await bootstrapAdmin()
+
+    await backfillVersions(client)
+    await seedRequirements()
+    await raiseSubmissionSizeLimit()
 
     console.log('Database initialized successfully')
   } catch (error) {
@@ -99,4 +638,4 @@ export async function initDB() {
     // Don't throw - allow server to start even if DB init fails
     console.warn('Continuing with server startup despite database initialization warning')
   }
-}
\ No newline at end of file
+}
@@ -1,30 +1,267 @@
-import { pgTable, serial, varchar, integer, text, boolean, timestamp } from 'drizzle-orm/pg-core'
+import { pgTable, serial, varchar, char, integer, text, boolean, timestamp, jsonb, bigint } from 'drizzle-orm/pg-core'
+
+// vessels, uploads, requirements and findings also carry a generated
+// `search_vector` tsvector column for GET /api/search; it is created and
+// maintained by db/init.js and never written by the application.
+//
+// Every tenant-owned table carries `organization_id`. Vessel IMO numbers and
+// rule set names are unique per organization (unique indexes in db/init.js).
+
+export const organizations = pgTable('organizations', {
+  id: serial('id').primaryKey(),
+  name: varchar('name', { length: 255 }).notNull().unique(),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+})
+
+export const users = pgTable('users', {
+  id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').notNull().references(() => organizations.id, { onDelete: 'cascade' }),
+  email: varchar('email', { length: 255 }).notNull().unique(),
+  name: varchar('name', { length: 255 }).notNull(),
+  passwordHash: varchar('password_hash', { length: 255 }).notNull(),
+  role: varchar('role', { length: 20 }).notNull().default('engineer'),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+})
+
+export const sessions = pgTable('sessions', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').notNull().references(() => users.id, { onDelete: 'cascade' }),
+  tokenHash: varchar('token_hash', { length: 64 }).notNull().unique(),
+  createdAt: timestamp('created_at').defaultNow(),
+  expiresAt: timestamp('expires_at').notNull(),
+})
+
+export const vessels = pgTable('vessels', {
+  id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').notNull().references(() => organizations.id, { onDelete: 'cascade' }),
+  name: varchar('name', { length: 255 }).notNull(),
+  imoNumber: varchar('imo_number', { length: 7 }),
+  vesselType: varchar('vessel_type', { length: 100 }),
+  owner: varchar('owner', { length: 255 }),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+})
 
 export const uploads = pgTable('uploads', {
   id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').notNull().references(() => organizations.id, { onDelete: 'cascade' }),
   filename: varchar('filename', { length: 255 }).notNull(),
   originalFilename: varchar('original_filename', { length: 255 }).notNull(),
   filePath: varchar('file_path', { length: 500 }).notNull(),
   fileSize: integer('file_size').notNull(),
   fileType: varchar('file_type', { length: 100 }),
+  sha256: char('sha256', { length: 64 }).references(() => fileBlobs.sha256),
   uploadedAt: timestamp('uploaded_at').defaultNow(),
-  userId: varchar('user_id', { length: 100 }).default('default_user'),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'set null' }),
+  vesselId: integer('vessel_id').references(() => vessels.id, { onDelete: 'set null' }),
+  batchId: integer('batch_id').references(() => uploadBatches.id, { onDelete: 'set null' }),
+  // Revisions: the upload this one revises, and the first upload of the
+  // document for every later revision
+  parentUploadId: integer('parent_upload_id').references(() => uploads.id, { onDelete: 'set null' }),
+  documentId: integer('document_id'),
+  revision: integer('revision').notNull().default(1),
+})
+
+// Stored file contents, shared by uploads with the same SHA-256
+export const fileBlobs = pgTable('file_blobs', {
+  sha256: char('sha256', { length: 64 }).primaryKey(),
+  storedName: varchar('stored_name', { length: 255 }).notNull().unique(),
+  fileSize: integer('file_size').notNull(),
+  fileType: varchar('file_type', { length: 100 }).notNull(),
+  createdAt: timestamp('created_at').defaultNow(),
+})
+
+// Files uploaded together by POST /api/upload/batch
+export const uploadBatches = pgTable('upload_batches', {
+  id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').notNull().references(() => organizations.id, { onDelete: 'cascade' }),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'set null' }),
+  fileCount: integer('file_count').notNull(),
+  createdAt: timestamp('created_at').defaultNow(),
+})
+
+// tus uploads in progress (services/resumableUploads.js)
+export const resumableUploads = pgTable('resumable_uploads', {
+  id: varchar('id', { length: 32 }).primaryKey(),
+  organizationId: integer('organization_id').notNull().references(() => organizations.id, { onDelete: 'cascade' }),
+  userId: integer('user_id').notNull().references(() => users.id, { onDelete: 'cascade' }),
+  filename: varchar('filename', { length: 255 }).notNull(),
+  fileType: varchar('file_type', { length: 100 }).notNull(),
+  uploadLength: bigint('upload_length', { mode: 'number' }).notNull(),
+  uploadOffset: bigint('upload_offset', { mode: 'number' }).notNull().default(0),
+  metadata: text('metadata'),
+  ruleSetId: integer('rule_set_id'),
+  vesselId: integer('vessel_id'),
+  parentResultId: integer('parent_result_id'),
+  resultId: integer('result_id').references(() => results.id, { onDelete: 'set null' }),
+  lockToken: varchar('lock_token', { length: 32 }),
+  lockedUntil: timestamp('locked_until'),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+  expiresAt: timestamp('expires_at').notNull(),
 })
 
 export const results = pgTable('results', {
   id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').notNull().references(() => organizations.id, { onDelete: 'cascade' }),
   uploadId: integer('upload_id').references(() => uploads.id, { onDelete: 'cascade' }),
-  configured: boolean('configured').default(false),
+  reviewStatus: varchar('review_status', { length: 20 }).notNull().default('pending'),
+  reviewedAt: timestamp('reviewed_at'),
   issuesDetected: integer('issues_detected').default(0),
   reportPath: varchar('report_path', { length: 500 }),
+  ruleSetId: integer('rule_set_id').references(() => ruleSets.id),
+  rulebookVersion: integer('rulebook_version'),
+  deletedAt: timestamp('deleted_at'),
+  deletedBy: integer('deleted_by').references(() => users.id, { onDelete: 'set null' }),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+})
+
+export const resultReviews = pgTable('result_reviews', {
+  id: serial('id').primaryKey(),
+  resultId: integer('result_id').notNull().references(() => results.id, { onDelete: 'cascade' }),
+  reviewerId: integer('reviewer_id').references(() => users.id, { onDelete: 'set null' }),
+  reviewerName: varchar('reviewer_name', { length: 255 }).notNull(),
+  fromStatus: varchar('from_status', { length: 20 }).notNull(),
+  toStatus: varchar('to_status', { length: 20 }).notNull(),
+  comment: text('comment'),
+  createdAt: timestamp('created_at').defaultNow(),
+})
+
+export const waivers = pgTable('waivers', {
+  id: serial('id').primaryKey(),
+  findingId: integer('finding_id').notNull().references(() => findings.id, { onDelete: 'cascade' }),
+  status: varchar('status', { length: 20 }).notNull().default('requested'),
+  reason: text('reason').notNull(),
+  attachmentFilename: varchar('attachment_filename', { length: 255 }),
+  attachmentPath: varchar('attachment_path', { length: 500 }),
+  attachmentType: varchar('attachment_type', { length: 100 }),
+  attachmentSize: integer('attachment_size'),
+  requestedBy: integer('requested_by').references(() => users.id, { onDelete: 'set null' }),
+  requestedByName: varchar('requested_by_name', { length: 255 }).notNull(),
+  approverId: integer('approver_id').references(() => users.id, { onDelete: 'set null' }),
+  approverName: varchar('approver_name', { length: 255 }),
+  decisionComment: text('decision_comment'),
+  decidedAt: timestamp('decided_at'),
+  revokedBy: integer('revoked_by').references(() => users.id, { onDelete: 'set null' }),
+  revokedByName: varchar('revoked_by_name', { length: 255 }),
+  revokeReason: text('revoke_reason'),
+  revokedAt: timestamp('revoked_at'),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+})
+
+// Background job queue, run by worker.js
+export const jobs = pgTable('jobs', {
+  id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').notNull().references(() => organizations.id, { onDelete: 'cascade' }),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'set null' }),
+  type: varchar('type', { length: 50 }).notNull(),
+  payload: jsonb('payload').notNull().default({}),
+  resultId: integer('result_id').references(() => results.id, { onDelete: 'cascade' }),
+  status: varchar('status', { length: 20 }).notNull().default('queued'),
+  attempts: integer('attempts').notNull().default(0),
+  maxAttempts: integer('max_attempts').notNull(),
+  runAt: timestamp('run_at').notNull().defaultNow(),
+  lockedUntil: timestamp('locked_until'),
+  lastError: text('last_error'),
+  createdAt: timestamp('created_at').defaultNow(),
+  startedAt: timestamp('started_at'),
+  finishedAt: timestamp('finished_at'),
+  updatedAt: timestamp('updated_at').defaultNow(),
+})
+
+// Append-only; init.js installs triggers rejecting updates and deletes
+export const auditEvents = pgTable('audit_events', {
+  id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').notNull().references(() => organizations.id),
+  actorId: integer('actor_id'),
+  actorName: varchar('actor_name', { length: 255 }),
+  ip: varchar('ip', { length: 45 }),
+  action: varchar('action', { length: 50 }).notNull(),
+  entityType: varchar('entity_type', { length: 50 }).notNull(),
+  entityId: integer('entity_id'),
+  before: jsonb('before'),
+  after: jsonb('after'),
+  createdAt: timestamp('created_at').defaultNow(),
+})
+
+export const ruleSets = pgTable('rule_sets', {
+  id: serial('id').primaryKey(),
+  organizationId: integer('organization_id').notNull().references(() => organizations.id, { onDelete: 'cascade' }),
+  name: varchar('name', { length: 255 }).notNull(),
+  description: text('description'),
+  society: varchar('society', { length: 255 }),
+  vesselType: varchar('vessel_type', { length: 255 }),
+  isDefault: boolean('is_default').notNull().default(false),
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow(),
 })
 
 export const requirements = pgTable('requirements', {
   id: serial('id').primaryKey(),
+  ruleSetId: integer('rule_set_id').notNull().references(() => ruleSets.id, { onDelete: 'cascade' }),
+  code: varchar('code', { length: 50 }),
   description: text('description').notNull(),
+  reference: varchar('reference', { length: 255 }),
+  category: varchar('category', { length: 50 }),
+  footnotes: jsonb('footnotes').notNull().default([]),
+  checkType: varchar('check_type', { length: 100 }),
+  checkParams: jsonb('check_params'),
+  sortOrder: integer('sort_order').notNull().default(0),
+  version: integer('version').notNull().default(1),
   createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+  deletedAt: timestamp('deleted_at'),
 }, (table) => ({
   idIdx: table.id,
 }))
+
+export const rulebookVersions = pgTable('rulebook_versions', {
+  id: serial('id').primaryKey(),
+  ruleSetId: integer('rule_set_id').notNull().references(() => ruleSets.id, { onDelete: 'cascade' }),
+  version: integer('version').notNull(),
+  summary: text('summary'),
+  createdAt: timestamp('created_at').defaultNow(),
+})
+
+export const requirementVersions = pgTable('requirement_versions', {
+  id: serial('id').primaryKey(),
+  requirementId: integer('requirement_id').notNull().references(() => requirements.id, { onDelete: 'cascade' }),
+  version: integer('version').notNull(),
+  rulebookVersion: integer('rulebook_version').notNull(),
+  changeType: varchar('change_type', { length: 20 }).notNull(),
+  code: varchar('code', { length: 50 }),
+  description: text('description').notNull(),
+  reference: varchar('reference', { length: 255 }),
+  category: varchar('category', { length: 50 }),
+  footnotes: jsonb('footnotes').notNull().default([]),
+  checkType: varchar('check_type', { length: 100 }),
+  checkParams: jsonb('check_params'),
+  sortOrder: integer('sort_order').notNull().default(0),
+  createdAt: timestamp('created_at').defaultNow(),
+})
+
+export const ruleEvaluations = pgTable('rule_evaluations', {
+  id: serial('id').primaryKey(),
+  resultId: integer('result_id').notNull().references(() => results.id, { onDelete: 'cascade' }),
+  requirementId: integer('requirement_id').references(() => requirements.id, { onDelete: 'set null' }),
+  requirementVersion: integer('requirement_version'),
+  status: varchar('status', { length: 20 }).notNull(),
+  detail: text('detail'),
+  createdAt: timestamp('created_at').defaultNow(),
+})
+
+export const findings = pgTable('findings', {
+  id: serial('id').primaryKey(),
+  resultId: integer('result_id').notNull().references(() => results.id, { onDelete: 'cascade' }),
+  requirementId: integer('requirement_id').references(() => requirements.id, { onDelete: 'set null' }),
+  requirementVersion: integer('requirement_version'),
+  severity: varchar('severity', { length: 20 }).notNull().default('major'),
+  message: text('message').notNull(),
+  regulationReference: varchar('regulation_reference', { length: 255 }),
+  location: jsonb('location'),
+  createdAt: timestamp('created_at').defaultNow(),
+})
@@ -0,0 +1,108 @@
+// Default rulebook seeded into an empty database.
+// checkType/checkParams link a requirement to an automated check in
+// services/compliance; requirements without one are reported as undetermined.
+// Footnotes are stored per requirement and numbered when rendered.
+export const defaultRequirements = [
+  {
+    code: 'A01',
+    category: 'arrangement',
+    description: 'Battery spaces are not to be located forward of the collision bulkhead of the vessel.',
+    reference: '3/3.1 (1)',
+  },
+  {
+    code: 'A02 (i)',
+    category: 'arrangement',
+    description: 'The battery system is to be located at a minimum distance of 300 mm from the hull outer shell.',
+    reference: '3/3.1 (2)(a)(i)',
+  },
+  {
+    code: 'A02 (ii)',
+    category: 'arrangement',
+    description: 'External protection such as fenders or internal reinforcement shall be provided to the vessel\'s outer shell where the battery space is located.',
+    reference: '3/3.1 (2)(a)(ii)',
+  },
+  {
+    code: 'A03',
+    category: 'arrangement',
+    description: 'Battery spaces shall not contain any equipment not related to the battery system and its safety components.',
+    reference: '3/3.1 (4)',
+  },
+  {
+    code: 'A04',
+    category: 'arrangement',
+    description: 'Battery spaces shall not contain equipment or systems supporting essential services.',
+    reference: '3/3.1 (5)',
+  },
+  {
+    code: 'A05',
+    category: 'arrangement',
+    description: 'Battery system arrangement plan shall clearly indicate clearances between adjacent equipment and structures.',
+    reference: '1/2.2 (MGMT-FR5), 3/3.1 (10)',
+    footnotes: [
+      'Adequate space shall be provided for ventilation, inspection, and maintenance. In the absence of manufacturer guidance, baseline clearance may be applied for consistency.',
+    ],
+  },
+  {
+    code: 'A06',
+    category: 'arrangement',
+    description: 'Means of escape from the battery space shall comply with SOLAS machinery space requirements.',
+    reference: '3/3.1 (17), SOLAS II-2/Reg.13',
+  },
+  {
+    code: 'HA01',
+    category: 'hazardous_area',
+    description: 'Vent systems for batteries releasing flammable or toxic gases shall be classified as hazardous area Zone 2.',
+    reference: '3/3.3',
+  },
+  {
+    code: 'HA02',
+    category: 'hazardous_area',
+    description: 'Open deck areas within 1.5 m of the exhaust outlet are to be classified as hazardous area.',
+    reference: '3/3.3 (iv)',
+  },
+  {
+    code: 'HA03',
+    category: 'hazardous_area',
+    description: 'Escape routes shall provide a continuous fire shelter to a safe position outside the machinery space.',
+    reference: 'SOLAS II-2/Reg.13, IEC 60079-10-1',
+    footnotes: [
+      'A hazardous area (Zone 1 or Zone 2) is not considered a safe position; therefore, escape routes or hatches from battery spaces shall not open directly into hazardous zones.',
+    ],
+  },
+  {
+    code: 'MS01',
+    category: 'machinery_space',
+    description: 'Two independent battery systems are to be provided in separate spaces.',
+    reference: '4/3.1 (i)',
+  },
+  {
+    code: 'MS02',
+    category: 'machinery_space',
+    description: 'The propulsion system shall incorporate at least two independent power sources.',
+    reference: '4/3.1 (iv)',
+  },
+  {
+    code: 'S01',
+    category: 'submission',
+    description: 'Submitted drawings shall not exceed 1 GB per file.',
+    reference: 'Submission guidelines',
+    checkType: 'max_file_size',
+    // The largest file a resumable upload accepts by default
+    checkParams: { maxBytes: 1024 * 1024 * 1024 },
+  },
+  {
+    code: 'S02',
+    category: 'submission',
+    description: 'Drawings shall be submitted in a supported format: txt, pdf, docx, csv, xlsx, html, jpg, jpeg, png, gif.',
+    reference: 'Submission guidelines',
+    checkType: 'allowed_file_types',
+    checkParams: { extensions: ['txt', 'pdf', 'docx', 'csv', 'xlsx', 'html', 'jpg', 'jpeg', 'png', 'gif'] },
+  },
+]
+
+// Wording of S01 seeded before resumable uploads existed; rule sets that still
+// have it are raised to the current limit (db/init.js)
+export const LEGACY_SIZE_REQUIREMENT = {
+  description: 'Submitted drawings shall not exceed 20 MB per file.',
+  maxBytes: 20 * 1024 * 1024,
+}
@@ -0,0 +1,32 @@
+import { client } from '../db/config.js'
+import { findSessionUser } from '../services/auth.js'
+
+// Bearer token from "Authorization: Bearer <token>"
+export const bearerToken = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '')
+  return match ? match[1] : null
+}
+
+// Reject requests without a valid session; sets req.user for the routes below
+export async function requireAuth(req, res, next) {
+  try {
+    const user = await findSessionUser(client, bearerToken(req))
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Authentication required' })
+    }
+
+    req.user = user
+    next()
+  } catch (error) {
+    console.error('Error checking session:', error)
+    res.status(500).json({ success: false, message: 'Failed to check session', error: error.message })
+  }
+}
+
+// Only let users with one of the given roles through; use after requireAuth
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, message: 'You do not have permission to do this' })
+  }
+  next()
+}
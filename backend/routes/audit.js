@@ -0,0 +1,33 @@
+import express from 'express'
+import { client } from '../db/config.js'
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, parseAuditFilters, selectAuditEvents } from '../services/audit.js'
+
+const router = express.Router()
+
+// Audit events of the organization, newest first. Query: ?action=,
+// ?entityType=, ?entityId=, ?actorId=, ?from= and ?to= (dates), ?limit= and
+// ?before= (the ID of the last event of the previous page)
+router.get('/', async (req, res) => {
+  try {
+    const { filters, error } = parseAuditFilters(req.query)
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error })
+    }
+
+    const events = await selectAuditEvents(client, req.user.organizationId, filters)
+
+    res.json({
+      success: true,
+      events,
+      actions: AUDIT_ACTIONS,
+      entityTypes: AUDIT_ENTITY_TYPES,
+      nextBefore: events.length === filters.limit ? events[events.length - 1].id : null,
+    })
+  } catch (error) {
+    console.error('Error fetching audit events:', error)
+    res.status(500).json({ success: false, message: 'Failed to fetch audit events', error: error.message })
+  }
+})
+
+export default router
@@ -0,0 +1,114 @@
+import express from 'express'
+import { client } from '../db/config.js'
+import {
+  hashPassword,
+  authenticate,
+  parseUserInput,
+  userColumns,
+  findAccountByEmail,
+  createSession,
+  deleteSession,
+} from '../services/auth.js'
+import { createOrganization } from '../services/organizations.js'
+import { auditActor, recordAudit } from '../services/audit.js'
+import { requireAuth, bearerToken } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// Register a new organization with its first user, who becomes its admin and
+// can then add colleagues through /api/users. Body: { organizationName, email,
+// name, password }
+router.post('/register', async (req, res) => {
+  try {
+    const { user, error } = parseUserInput(req.body)
+    if (error) {
+      return res.status(400).json({ success: false, message: error })
+    }
+
+    const organizationName = typeof req.body.organizationName === 'string' ? req.body.organizationName.trim() : ''
+    if (!organizationName) {
+      return res.status(400).json({ success: false, message: 'Organization name is required' })
+    }
+
+    const passwordHash = await hashPassword(user.password)
+    const registered = await client.begin(async (sql) => {
+      if (await findAccountByEmail(sql, user.email)) {
+        return { conflict: 'An account with this email already exists' }
+      }
+
+      const organization = await createOrganization(sql, organizationName)
+      if (!organization) {
+        return { conflict: 'An organization with this name already exists' }
+      }
+
+      const [created] = await sql`
+        INSERT INTO users (organization_id, email, name, password_hash, role)
+        VALUES (${organization.id}, ${user.email}, ${user.name}, ${passwordHash}, 'admin')
+        RETURNING ${userColumns(sql)}
+      `
+      await recordAudit(sql, auditActor(req, created), {
+        action: 'auth.register',
+        entityType: 'user',
+        entityId: created.id,
+        after: { ...created, organizationName: organization.name },
+      })
+      return { user: { ...created, organizationName: organization.name } }
+    })
+
+    if (registered.conflict) {
+      return res.status(409).json({ success: false, message: registered.conflict })
+    }
+
+    const session = await createSession(client, registered.user.id)
+    res.status(201).json({ success: true, user: registered.user, ...session })
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'An account or organization with these details already exists' })
+    }
+    console.error('Error registering user:', error)
+    res.status(500).json({ success: false, message: 'Failed to register', error: error.message })
+  }
+})
+
+// Exchange email and password for a session token
+router.post('/login', async (req, res) => {
+  try {
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : ''
+    const password = typeof req.body?.password === 'string' ? req.body.password : ''
+
+    // Same answer, after the same work, for unknown emails and wrong passwords
+    const user = await authenticate(client, email, password)
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Invalid email or password' })
+    }
+
+    const session = await createSession(client, user.id)
+    await recordAudit(client, auditActor(req, user), {
+      action: 'auth.login',
+      entityType: 'user',
+      entityId: user.id,
+    })
+    res.json({ success: true, user, ...session })
+  } catch (error) {
+    console.error('Error logging in:', error)
+    res.status(500).json({ success: false, message: 'Failed to log in', error: error.message })
+  }
+})
+
+// End the current session
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await deleteSession(client, bearerToken(req))
+    res.json({ success: true, message: 'Logged out' })
+  } catch (error) {
+    console.error('Error logging out:', error)
+    res.status(500).json({ success: false, message: 'Failed to log out', error: error.message })
+  }
+})
+
+// The logged-in user
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ success: true, user: req.user })
+})
+
+export default router
@@ -0,0 +1,53 @@
+import express from 'express'
+import { client } from '../db/config.js'
+import { bearerToken } from '../middleware/auth.js'
+import { findSessionUser } from '../services/auth.js'
+import { subscribeResultEvents, canReceiveEvent, formatEvent } from '../services/events.js'
+
+const router = express.Router()
+
+// How long clients wait before reconnecting after the stream drops
+const RECONNECT_DELAY = 5000
+
+// Comment lines keep proxies from closing an idle stream; the session is
+// checked again with each, so the stream ends with it
+const HEARTBEAT_INTERVAL = 25 * 1000
+
+// Server-Sent Events stream of the results the user can see: new results,
+// finished analyses, review status changes, deletes and restores. Each event
+// is named after its type, with the event as JSON data.
+router.get('/', (req, res) => {
+  let user = req.user
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive',
+    // Don't let nginx and the like buffer the stream
+    'X-Accel-Buffering': 'no',
+  })
+  res.flushHeaders()
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`)
+
+  const unsubscribe = subscribeResultEvents((event) => {
+    if (!canReceiveEvent(user, event)) return
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(formatEvent(event))}\n\n`)
+  })
+
+  const heartbeat = setInterval(async () => {
+    try {
+      user = await findSessionUser(client, bearerToken(req))
+      if (!user) return res.end()
+      res.write(': heartbeat\n\n')
+    } catch (error) {
+      console.error('Error checking session of event stream:', error)
+    }
+  }, HEARTBEAT_INTERVAL)
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+  })
+})
+
+export default router
@@ -0,0 +1,29 @@
+import express from 'express'
+import { client } from '../db/config.js'
+import { findJob, formatJob } from '../services/jobs.js'
+
+const router = express.Router()
+
+// Status of a background job, e.g. the analysis of an upload. Clients poll
+// this until `status` is completed or failed.
+router.get('/:id', async (req, res) => {
+  try {
+    const parsedId = parseInt(req.params.id)
+    if (isNaN(parsedId)) {
+      return res.status(400).json({ success: false, message: 'Invalid job ID' })
+    }
+
+    const job = await findJob(client, req.user, parsedId)
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' })
+    }
+
+    res.set('Cache-Control', 'no-store')
+    res.json({ success: true, job: formatJob(job) })
+  } catch (error) {
+    console.error('Error fetching job:', error)
+    res.status(500).json({ success: false, message: 'Failed to fetch job', error: error.message })
+  }
+})
+
+export default router
@@ -1,22 +1,141 @@
 import express from 'express'
+import multer from 'multer'
 import { db, client } from '../db/config.js'
 import { requirements } from '../db/schema.js'
 import { eq, asc, sql } from 'drizzle-orm'
+import {
+  REQUIREMENT_CATEGORIES,
+  RulebookError,
+  parseRequirementInput,
+  withRulebookVersion,
+  lockRuleSet,
+  addRulebookVersion,
+  getCurrentRulebookVersion,
+  findRequirement,
+  createRequirement,
+  updateRequirement,
+  deleteRequirement,
+  reorderRequirements,
+} from '../services/requirements.js'
+import {
+  RULEBOOK_FORMATS,
+  detectFormat,
+  parseRulebook,
+  serializeRulebook,
+  diffRulebook,
+  hasChanges,
+  applyRulebookImport,
+} from '../services/rulebookTransfer.js'
+import { resolveRuleSet } from '../services/ruleSets.js'
+import { auditActor, recordAudit } from '../services/audit.js'
+import { requireRole } from '../middleware/auth.js'
 
 const router = express.Router()
 
-// Get all requirements
+// Rulebook files are small; keep them in memory
+const rulebookUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
+})
+
+// Raw CSV/YAML request bodies (JSON bodies are parsed by express.json)
+const rawRulebookBody = express.text({ type: ['text/*', 'application/x-yaml', 'application/yaml'], limit: '2mb' })
+
+// Requests name a rule set of the user's organization with ?ruleSetId= (or
+// ruleSetId in the body); without one they work on its default rule set
+const requestedRuleSet = (req) =>
+  resolveRuleSet(client, req.user.organizationId, req.query.ruleSetId ?? req.body?.ruleSetId)
+
+// Rule set of an active requirement, for routes addressed by requirement ID
+async function ruleSetOfRequirement(organizationId, id) {
+  const [requirement] = await client`
+    SELECT q.rule_set_id FROM requirements q
+    JOIN rule_sets rs ON q.rule_set_id = rs.id
+    WHERE q.id = ${id} AND q.deleted_at IS NULL AND rs.organization_id = ${organizationId}
+  `
+  if (!requirement) {
+    throw new RulebookError('Requirement not found', 404)
+  }
+  return requirement.rule_set_id
+}
+
+const selectActiveRequirements = (sql, ruleSetId) => sql`
+  SELECT id, code, description, reference, category, footnotes,
+         check_type as "checkType", check_params as "checkParams"
+  FROM requirements
+  WHERE rule_set_id = ${ruleSetId} AND deleted_at IS NULL
+  ORDER BY sort_order ASC, id ASC
+`
+
+const summarizeRequirement = (requirement) => ({
+  id: requirement.id,
+  code: requirement.code,
+  description: requirement.description,
+})
+
+// What an import adds, changes and removes, as returned to the client
+const importReport = (diff) => ({
+  added: diff.added.map(req => ({ code: req.code, description: req.description })),
+  changed: diff.changed.map(change => ({
+    id: change.id,
+    code: change.code,
+    fields: change.fields,
+    before: Object.fromEntries(change.fields.map(field => [field, change.before[field]])),
+    after: Object.fromEntries(change.fields.map(field => [field, change.after[field]])),
+  })),
+  removed: diff.removed.map(summarizeRequirement),
+  unchanged: diff.unchanged,
+  reordered: diff.reordered,
+})
+
+// Get all requirements of a rule set
+// Pass ?version=N to get the rule set as it was at version N
 router.get('/', async (req, res) => {
   try {
+    const ruleSet = await requestedRuleSet(req)
+    const currentVersion = await getCurrentRulebookVersion(client, ruleSet.id)
+
+    if (req.query.version !== undefined) {
+      const version = parseInt(req.query.version)
+      if (isNaN(version) || version < 1 || version > currentVersion) {
+        return res.status(400).json({ success: false, message: 'Invalid rulebook version' })
+      }
+
+      const snapshot = await client`
+        SELECT id, code, description, reference, category, footnotes,
+               "checkType", "checkParams", "sortOrder", version
+        FROM (
+          SELECT DISTINCT ON (v.requirement_id)
+            v.requirement_id as id, v.code, v.description, v.reference, v.category, v.footnotes,
+            v.check_type as "checkType", v.check_params as "checkParams",
+            v.sort_order as "sortOrder", v.version, v.change_type
+          FROM requirement_versions v
+          JOIN requirements q ON q.id = v.requirement_id
+          WHERE q.rule_set_id = ${ruleSet.id} AND v.rulebook_version <= ${version}
+          ORDER BY v.requirement_id, v.version DESC
+        ) latest
+        WHERE change_type <> 'deleted'
+        ORDER BY "sortOrder" ASC, id ASC
+      `
+
+      return res.json({ success: true, requirements: snapshot, categories: REQUIREMENT_CATEGORIES, ruleSet, rulebookVersion: version })
+    }
+
     // Use direct postgres client to bypass Drizzle schema mapping issues
     const allRequirements = await client`
-      SELECT id, description, created_at as "createdAt"
+      SELECT id, code, description, reference, category, footnotes,
+             check_type as "checkType", check_params as "checkParams",
+             sort_order as "sortOrder", version, created_at as "createdAt", updated_at as "updatedAt"
       FROM requirements
-      ORDER BY id ASC
+      WHERE rule_set_id = ${ruleSet.id} AND deleted_at IS NULL
+      ORDER BY sort_order ASC, id ASC
     `
     
-    res.json({ success: true, requirements: allRequirements })
+    res.json({ success: true, requirements: allRequirements, categories: REQUIREMENT_CATEGORIES, ruleSet, rulebookVersion: currentVersion })
   } catch (error) {
+    if (error instanceof RulebookError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
     console.error('Error fetching requirements:', error)
     console.error('Error details:', {
       code: error.code,
@@ -28,14 +147,202 @@ router.get('/', async (req, res) => {
   }
 })
 
+// List the versions of a rule set, newest first
+router.get('/versions', async (req, res) => {
+  try {
+    const ruleSet = await requestedRuleSet(req)
+    const versions = await client`
+      SELECT b.version, b.summary, b.created_at as "createdAt",
+             COUNT(q.id)::int as "changedRequirements"
+      FROM rulebook_versions b
+      LEFT JOIN requirement_versions v ON v.rulebook_version = b.version
+      LEFT JOIN requirements q ON q.id = v.requirement_id AND q.rule_set_id = b.rule_set_id
+      WHERE b.rule_set_id = ${ruleSet.id}
+      GROUP BY b.id
+      ORDER BY b.version DESC
+    `
+
+    res.json({ success: true, ruleSet, versions })
+  } catch (error) {
+    if (error instanceof RulebookError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    console.error('Error fetching rulebook versions:', error)
+    res.status(500).json({ success: false, message: 'Failed to fetch rulebook versions', error: error.message })
+  }
+})
+
+// Export the current version of a rule set.
+// Query: ?format=json|csv|yaml (default json), ?ruleSetId=
+router.get('/export', async (req, res) => {
+  try {
+    const format = detectFormat({ format: req.query.format || 'json' })
+
+    if (!format) {
+      return res.status(400).json({ success: false, message: `Format must be one of: ${Object.keys(RULEBOOK_FORMATS).join(', ')}` })
+    }
+
+    const ruleSet = await requestedRuleSet(req)
+    const rulebookVersion = await getCurrentRulebookVersion(client, ruleSet.id)
+    const activeRequirements = await selectActiveRequirements(client, ruleSet.id)
+    const { contentType, extension } = RULEBOOK_FORMATS[format]
+    const slug = ruleSet.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'rulebook'
+
+    res.setHeader('Content-Type', `${contentType}; charset=utf-8`)
+    res.setHeader('Content-Disposition', `attachment; filename="${slug}-v${rulebookVersion}.${extension}"`)
+    res.send(serializeRulebook(activeRequirements, format, { ruleSet, rulebookVersion }))
+  } catch (error) {
+    if (error instanceof RulebookError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    console.error('Error exporting requirements:', error)
+    res.status(500).json({ success: false, message: 'Failed to export requirements', error: error.message })
+  }
+})
+
+// Import a rulebook, replacing the contents of a rule set. Accepts a multipart
+// `file` or a raw JSON/CSV/YAML body. Query: ?ruleSetId=, ?format= (otherwise
+// detected from the filename or Content-Type) and ?dryRun=true to only
+// return the diff.
+router.post('/import', requireRole('admin'), rulebookUpload.single('file'), rawRulebookBody, async (req, res) => {
+  try {
+    const format = detectFormat({
+      format: req.query.format,
+      filename: req.file?.originalname,
+      contentType: req.file ? req.file.mimetype : req.headers['content-type'],
+    })
+
+    if (!format) {
+      return res.status(400).json({ success: false, message: `Format must be one of: ${Object.keys(RULEBOOK_FORMATS).join(', ')}` })
+    }
+
+    const content = req.file ? req.file.buffer.toString('utf-8') : req.body
+    if (!content || (typeof content === 'object' && Object.keys(content).length === 0)) {
+      return res.status(400).json({ success: false, message: 'No rulebook provided' })
+    }
+
+    const ruleSet = await resolveRuleSet(client, req.user.organizationId, req.query.ruleSetId)
+    const incoming = parseRulebook(content, format)
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1'
+    const summary = `Imported rulebook (${format.toUpperCase()}${req.file ? `: ${req.file.originalname}` : ''})`
+
+    // The diff is computed and applied under the rule set's lock, with its
+    // audit event, so no concurrent change slips in between
+    const { report, rulebookVersion } = await client.begin(async sql => {
+      await lockRuleSet(sql, ruleSet.id)
+      const diff = diffRulebook(await selectActiveRequirements(sql, ruleSet.id), incoming)
+      const report = importReport(diff)
+      if (dryRun || !hasChanges(diff)) {
+        return { report, rulebookVersion: null }
+      }
+
+      const rulebookVersion = await addRulebookVersion(sql, ruleSet.id, summary)
+      await applyRulebookImport(sql, ruleSet.id, incoming, diff, rulebookVersion)
+      await recordAudit(sql, auditActor(req), {
+        action: 'rule_set.import',
+        entityType: 'rule_set',
+        entityId: ruleSet.id,
+        after: { rulebookVersion, summary, added: report.added, changed: report.changed, removed: report.removed },
+      })
+      return { report, rulebookVersion }
+    })
+
+    if (!rulebookVersion) {
+      return res.json({ success: true, dryRun, applied: false, ruleSet, diff: report })
+    }
+    res.json({ success: true, dryRun, applied: true, ruleSet, rulebookVersion, diff: report })
+  } catch (error) {
+    if (error instanceof RulebookError) {
+      return res.status(error.status).json({ success: false, message: error.message, errors: error.details })
+    }
+    console.error('Error importing requirements:', error)
+    res.status(500).json({ success: false, message: 'Failed to import requirements', error: error.message })
+  }
+})
+
+// Reorder requirements. Body: { ruleSetId, ids: [id, ...] } listing every
+// requirement of the rule set
+router.post('/reorder', requireRole('admin'), async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(id => parseInt(id)) : null
+
+    if (!ids || ids.some(isNaN)) {
+      return res.status(400).json({ success: false, message: 'ids must be a list of requirement IDs' })
+    }
+
+    const ruleSet = await requestedRuleSet(req)
+    await withRulebookVersion(client, ruleSet.id, 'Reordered requirements', async (sql, rulebookVersion) => {
+      const before = await sql`
+        SELECT id FROM requirements
+        WHERE rule_set_id = ${ruleSet.id} AND deleted_at IS NULL
+        ORDER BY sort_order ASC, id ASC
+      `
+      await reorderRequirements(sql, ruleSet.id, ids, rulebookVersion)
+      await recordAudit(sql, auditActor(req), {
+        action: 'rule_set.reorder',
+        entityType: 'rule_set',
+        entityId: ruleSet.id,
+        before: { ids: before.map(row => row.id) },
+        after: { ids, rulebookVersion },
+      })
+    })
+
+    res.json({ success: true, message: 'Requirements reordered successfully' })
+  } catch (error) {
+    if (error instanceof RulebookError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    console.error('Error reordering requirements:', error)
+    res.status(500).json({ success: false, message: 'Failed to reorder requirements', error: error.message })
+  }
+})
+
+// Get the version history of a single requirement, newest first
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid requirement ID' })
+    }
+
+    const versions = await client`
+      SELECT v.version, v.rulebook_version as "rulebookVersion", v.change_type as "changeType",
+             v.code, v.description, v.reference, v.category, v.footnotes,
+             v.check_type as "checkType", v.check_params as "checkParams",
+             v.sort_order as "sortOrder", v.created_at as "createdAt"
+      FROM requirement_versions v
+      JOIN requirements q ON v.requirement_id = q.id
+      JOIN rule_sets rs ON q.rule_set_id = rs.id
+      WHERE v.requirement_id = ${id} AND rs.organization_id = ${req.user.organizationId}
+      ORDER BY v.version DESC
+    `
+
+    if (versions.length === 0) {
+      return res.status(404).json({ success: false, message: 'Requirement not found' })
+    }
+
+    res.json({ success: true, versions })
+  } catch (error) {
+    console.error('Error fetching requirement history:', error)
+    res.status(500).json({ success: false, message: 'Failed to fetch requirement history', error: error.message })
+  }
+})
+
 // Get single requirement
 router.get('/:id', async (req, res) => {
   try {
-    const { id } = req.params
+    const id = parseInt(req.params.id)
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid requirement ID' })
+    }
+
     const result = await client`
-      SELECT id, description, created_at as "createdAt"
-      FROM requirements
-      WHERE id = ${parseInt(id)}
+      SELECT q.id, q.rule_set_id as "ruleSetId", q.code, q.description, q.reference, q.category, q.footnotes,
+             q.check_type as "checkType", q.check_params as "checkParams",
+             q.sort_order as "sortOrder", q.version, q.created_at as "createdAt", q.updated_at as "updatedAt"
+      FROM requirements q
+      JOIN rule_sets rs ON q.rule_set_id = rs.id
+      WHERE q.id = ${id} AND q.deleted_at IS NULL AND rs.organization_id = ${req.user.organizationId}
       LIMIT 1
     `
     
@@ -52,28 +359,110 @@ router.get('/:id', async (req, res) => {
   }
 })
 
-// Create new requirement
-router.post('/', async (req, res) => {
+// Create new requirement at the end of a rule set (ruleSetId in the body)
+router.post('/', requireRole('admin'), async (req, res) => {
   try {
-    const { description } = req.body
+    const { requirement: input, error: validationError } = parseRequirementInput(req.body)
 
-    if (!description) {
-      return res.status(400).json({ success: false, message: 'Description is required' })
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError })
     }
 
-    const result = await client`
-      INSERT INTO requirements (description)
-      VALUES (${description})
-      RETURNING id, description, created_at as "createdAt"
-    `
-    
-    const requirement = result[0]
+    const ruleSet = await requestedRuleSet(req)
+    const summary = `Created requirement ${input.code || input.description.slice(0, 50)}`
+    const requirement = await withRulebookVersion(client, ruleSet.id, summary, async (sql, rulebookVersion) => {
+      const created = await createRequirement(sql, ruleSet.id, input, rulebookVersion)
+      await recordAudit(sql, auditActor(req), {
+        action: 'requirement.create',
+        entityType: 'requirement',
+        entityId: created.id,
+        after: { ...created, rulebookVersion },
+      })
+      return created
+    })
 
     res.json({ success: true, requirement })
   } catch (error) {
+    if (error instanceof RulebookError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'A requirement with this code already exists' })
+    }
     console.error('Error creating requirement:', error)
     res.status(500).json({ success: false, message: 'Failed to create requirement', error: error.message })
   }
 })
 
+// Update a requirement. The previous wording stays in its version history.
+router.put('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+    const { requirement: input, error: validationError } = parseRequirementInput(req.body)
+
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid requirement ID' })
+    }
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError })
+    }
+
+    const ruleSetId = await ruleSetOfRequirement(req.user.organizationId, id)
+    const requirement = await withRulebookVersion(client, ruleSetId, `Updated requirement ${input.code || `#${id}`}`, async (sql, rulebookVersion) => {
+      const before = await findRequirement(sql, ruleSetId, id)
+      const updated = await updateRequirement(sql, ruleSetId, id, input, rulebookVersion)
+      await recordAudit(sql, auditActor(req), {
+        action: 'requirement.update',
+        entityType: 'requirement',
+        entityId: id,
+        before,
+        after: { ...updated, rulebookVersion },
+      })
+      return updated
+    })
+
+    res.json({ success: true, requirement })
+  } catch (error) {
+    if (error instanceof RulebookError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'A requirement with this code already exists' })
+    }
+    console.error('Error updating requirement:', error)
+    res.status(500).json({ success: false, message: 'Failed to update requirement', error: error.message })
+  }
+})
+
+// Delete a requirement from the current version of its rule set
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid requirement ID' })
+    }
+
+    const ruleSetId = await ruleSetOfRequirement(req.user.organizationId, id)
+    await withRulebookVersion(client, ruleSetId, `Deleted requirement #${id}`, async (sql, rulebookVersion) => {
+      const before = await findRequirement(sql, ruleSetId, id)
+      await deleteRequirement(sql, ruleSetId, id, rulebookVersion)
+      await recordAudit(sql, auditActor(req), {
+        action: 'requirement.delete',
+        entityType: 'requirement',
+        entityId: id,
+        before,
+      })
+    })
+
+    res.json({ success: true, message: 'Requirement deleted successfully' })
+  } catch (error) {
+    if (error instanceof RulebookError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    console.error('Error deleting requirement:', error)
+    res.status(500).json({ success: false, message: 'Failed to delete requirement', error: error.message })
+  }
+})
+
 export default router
@@ -1,50 +1,125 @@
 import express from 'express'
+import multer from 'multer'
 import { db, client } from '../db/config.js'
 import { results, uploads, requirements } from '../db/schema.js'
 import { eq, desc, sql } from 'drizzle-orm'
-import PDFDocument from 'pdfkit'
-import { fileURLToPath } from 'url'
-import { dirname, join } from 'path'
+import { extname } from 'path'
 import fs from 'fs'
+import { selectResultSummaries, formatResultSummary, selectEvaluations, selectFindings } from '../services/results.js'
+import { loadReportData, vesselNameFor } from '../services/complianceReport.js'
+import { findVessel } from '../services/vessels.js'
+import { reportEtag, etagMatches, getCachedReport } from '../services/reportCache.js'
+import { canViewAllResults } from '../services/auth.js'
+import { REVIEW_TRANSITIONS, ReviewError, reviewResult, selectReviews } from '../services/reviews.js'
+import {
+  WaiverError,
+  requestWaiver,
+  decideWaiver,
+  findWaiverAttachment,
+  attachmentKey,
+  discardAttachment,
+} from '../services/waivers.js'
+import { auditActor, recordAudit } from '../services/audit.js'
+import { TRASH_RETENTION_DAYS, trashResult } from '../services/trash.js'
+import { findDocumentId, selectRevisions, compareFindings } from '../services/revisions.js'
+import { findResultJob, formatJob, isPending } from '../services/jobs.js'
+import { incomingDir } from '../services/uploads.js'
+import { UPLOADS_AREA, storage, storageKey, sendStoredFile } from '../services/storage.js'
+import { FILE_TYPES, isInlineImage } from '../services/fileTypes.js'
+import { requireRole } from '../middleware/auth.js'
 
 const router = express.Router()
 
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = dirname(__filename)
+// Supporting documents for waivers, e.g. an equivalence calculation
+const waiverUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, incomingDir)
+    },
+    filename: (req, file, cb) => {
+      // Named after the type, which the fileFilter allowed, not the client's name
+      cb(null, `waiver-${Date.now()}-${Math.round(Math.random() * 1E9)}${FILE_TYPES[file.mimetype].extension}`)
+    },
+  }),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'application/pdf',
+      'image/jpeg',
+      'image/png',
+      'text/plain',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ]
 
-const reportsDir = join(__dirname, '..', 'reports')
-if (!fs.existsSync(reportsDir)) {
-  fs.mkdirSync(reportsDir, { recursive: true })
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true)
+    } else {
+      cb(new Error('Invalid attachment type. Allowed types: pdf, jpg, png, txt, docx, xlsx'))
+    }
+  },
+})
+
+// Optional `attachment` file field; upload problems answer 400
+const acceptWaiverAttachment = (req, res, next) => {
+  waiverUpload.single('attachment')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, message: error.message })
+    }
+    next()
+  })
 }
 
-// Get all results
-router.get('/', async (req, res) => {
+// Results of other organizations, results in the trash, and for engineers
+// results of other users answer 404 exactly like results that do not exist,
+// also as the second result of a comparison
+const checkResultAccess = async (req, res, next, id) => {
   try {
-    // Use raw SQL to bypass Drizzle schema mapping issues
-    const allResults = await client`
-      SELECT 
-        r.id,
-        r.upload_id as "uploadId",
-        r.configured,
-        r.issues_detected as "issuesDetected",
-        r.created_at as "createdAt",
-        u.original_filename as "originalFilename",
-        u.file_path as "filePath",
-        u.file_size as "fileSize",
-        u.file_type as "fileType"
+    const parsedId = parseInt(id)
+    if (isNaN(parsedId)) return next()
+
+    const [owner] = await client`
+      SELECT r.organization_id as "organizationId", r.deleted_at as "deletedAt", u.user_id as "userId"
       FROM results r
       LEFT JOIN uploads u ON r.upload_id = u.id
-      ORDER BY r.created_at DESC
+      WHERE r.id = ${parsedId}
     `
+    const visible = !owner || (
+      owner.organizationId === req.user.organizationId &&
+      !owner.deletedAt &&
+      (canViewAllResults(req.user) || owner.userId === req.user.id)
+    )
+    if (!visible) {
+      return res.status(404).json({ success: false, message: 'Result not found' })
+    }
+    next()
+  } catch (error) {
+    console.error('Error checking result access:', error)
+    res.status(500).json({ success: false, message: 'Failed to fetch result', error: error.message })
+  }
+}
+router.param('id', checkResultAccess)
+router.param('otherId', checkResultAccess)
+
+// The 409 answer for a result whose latest analysis job has not completed,
+// or null when the analysis is done (or predates background analysis)
+const unfinishedAnalysis = (job) => (job && job.status !== 'completed'
+  ? {
+      success: false,
+      message: isPending(job) ? 'The analysis of this result has not finished yet' : 'The analysis of this result failed',
+      job: formatJob(job),
+    }
+  : null)
 
-    const formattedResults = allResults.map((row) => ({
-      id: row.id,
-      filename: row.originalFilename || 'Unknown',
-      image_url: row.filePath ? `/uploads/${row.filePath.split(/[/\\]/).pop()}` : null,
-      configured: row.configured || false,
-      issues_detected: row.issuesDetected || 0,
-      created_at: row.createdAt,
-    }))
+// Get all results visible to the user
+router.get('/', async (req, res) => {
+  try {
+    const allResults = await selectResultSummaries(client, req.user.organizationId, {
+      userId: canViewAllResults(req.user) ? undefined : req.user.id,
+    })
+    const formattedResults = allResults.map(formatResultSummary)
 
     res.json({ success: true, results: formattedResults })
   } catch (error) {
@@ -53,229 +128,434 @@ router.get('/', async (req, res) => {
   }
 })
 
-// Generate and download PDF report (must be before /:id route)
-// Using explicit route pattern to ensure it matches correctly
+// Generate and download the compliance report PDF (must be before /:id route)
 router.get('/:id/download', async (req, res) => {
-  console.log(`[DOWNLOAD] Route matched! ID: ${req.params.id}, Path: ${req.path}, URL: ${req.originalUrl}, Method: ${req.method}`)
   try {
-    const { id } = req.params
-    const parsedId = parseInt(id)
+    const parsedId = parseInt(req.params.id)
     
     if (isNaN(parsedId)) {
       return res.status(400).json({ success: false, message: 'Invalid result ID' })
     }
-    
-    console.log(`[DOWNLOAD] Processing download for result ID: ${parsedId}`)
 
-    // Fetch result data using raw SQL
-    const resultQuery = await client`
-      SELECT 
-        r.*,
-        u.original_filename,
-        u.file_path,
-        u.file_size,
-        u.file_type,
-        u.uploaded_at
+    const data = await loadReportData(client, req.user.organizationId, parsedId)
+    if (!data) {
+      return res.status(404).json({ success: false, message: 'Result not found' })
+    }
+
+    // Without a finished analysis there is nothing to report
+    const unfinished = unfinishedAnalysis(await findResultJob(client, parsedId))
+    if (unfinished) {
+      return res.status(409).json(unfinished)
+    }
+
+    // The report is still useful without the drawing, so a missing file only
+    // leaves the appendix empty
+    const fileKey = data.result.filePath ? storageKey(UPLOADS_AREA, data.result.filePath) : null
+    const file = fileKey && await storage.stat(fileKey)
+    if (!file) {
+      console.warn(`[DOWNLOAD] Uploaded file for result ${parsedId} not found: ${data.result.filePath}`)
+    }
+
+    // Clients revalidate with If-None-Match; the report is only rebuilt when
+    // the result, its rule set or the uploaded file changed
+    const etag = reportEtag(data, file)
+    res.setHeader('ETag', etag)
+    res.setHeader('Cache-Control', 'private, no-cache')
+
+    if (etagMatches(req.headers['if-none-match'], etag)) {
+      return res.status(304).end()
+    }
+
+    const reportPath = await getCachedReport(client, data, file ? fileKey : null, etag)
+
+    const pdfFilename = `${vesselNameFor(data.result)}-compliance-report.pdf`.replace(/["\\]/g, '')
+    await recordAudit(client, auditActor(req), {
+      action: 'result.download',
+      entityType: 'result',
+      entityId: parsedId,
+      after: { report: pdfFilename, reviewStatus: data.result.reviewStatus },
+    })
+
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Disposition', `attachment; filename="${pdfFilename}"`)
+    fs.createReadStream(reportPath).pipe(res)
+  } catch (error) {
+    console.error('Error generating PDF:', error)
+    res.status(500).json({ success: false, message: 'Failed to generate report', error: error.message })
+  }
+})
+
+// The uploaded file of a result, from storage. Uploads are user content: the
+// browser must not sniff them into another type or run them, and only images
+// are shown inline - everything else is a download.
+router.get('/:id/file', async (req, res) => {
+  try {
+    const parsedId = parseInt(req.params.id)
+
+    if (isNaN(parsedId)) {
+      return res.status(400).json({ success: false, message: 'Invalid result ID' })
+    }
+
+    const [upload] = await client`
+      SELECT u.id, u.file_path as "filePath", u.original_filename as "originalFilename", u.sha256
       FROM results r
-      LEFT JOIN uploads u ON r.upload_id = u.id
-      WHERE r.id = ${parsedId}
-      LIMIT 1
+      JOIN uploads u ON r.upload_id = u.id
+      WHERE r.id = ${parsedId} AND r.organization_id = ${req.user.organizationId} AND r.deleted_at IS NULL
     `
+    const key = upload?.filePath && storageKey(UPLOADS_AREA, upload.filePath)
+    if (!key || !(await storage.stat(key))) {
+      return res.status(404).json({ success: false, message: 'File not found' })
+    }
 
-    if (resultQuery.length === 0) {
-      return res.status(404).json({ success: false, message: 'Result not found' })
+    if (req.method !== 'HEAD') {
+      await recordAudit(client, auditActor(req), {
+        action: 'result.file_download',
+        entityType: 'result',
+        entityId: parsedId,
+        after: { uploadId: upload.id, filename: upload.originalFilename, sha256: upload.sha256 },
+      })
     }
 
-    const [resultData] = resultQuery
-    const resultDataFormatted = {
-      ...resultData,
-      original_filename: resultData.original_filename,
-      file_path: resultData.file_path,
-      file_size: resultData.file_size,
-      file_type: resultData.file_type,
-      uploaded_at: resultData.uploaded_at,
+    // Only printable ASCII is safe in the header
+    const filename = (upload.originalFilename || upload.filePath).replace(/[^\x20-\x7e]|["\\]/g, '_')
+    res.setHeader('X-Content-Type-Options', 'nosniff')
+    res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox")
+    res.setHeader('Cache-Control', 'private, no-cache')
+    if (isInlineImage(upload.filePath)) {
+      res.type(extname(upload.filePath))
+      res.setHeader('Content-Disposition', `inline; filename="${filename}"`)
+    } else {
+      res.setHeader('Content-Type', 'application/octet-stream')
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
     }
 
-    // Check if file exists
-    const storedPath = resultDataFormatted.file_path
-    const fileType = resultDataFormatted.file_type || ''
-    const originalName = resultDataFormatted.original_filename || `file_${parsedId}`
-    
-    // Resolve file path - handle both absolute paths and relative filenames
-    // Check multiple possible locations for uploaded files
-    const backendUploadsDir = join(__dirname, '..', 'uploads') // backend/uploads
-    const rootUploadsDir = join(__dirname, '..', '..', 'uploads') // root/uploads (where files actually are)
-    
-    // Ensure uploads directories exist
-    if (!fs.existsSync(backendUploadsDir)) {
-      fs.mkdirSync(backendUploadsDir, { recursive: true })
+    if (!(await sendStoredFile(req, res, key))) {
+      res.removeHeader('Content-Disposition')
+      res.status(404).json({ success: false, message: 'File not found' })
     }
-    if (!fs.existsSync(rootUploadsDir)) {
-      fs.mkdirSync(rootUploadsDir, { recursive: true })
+  } catch (error) {
+    console.error('Error sending uploaded file:', error)
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Failed to send file', error: error.message })
     }
-    
-    let filePath = null
-    
-    // First, check if the stored path is an absolute path that exists
-    if (storedPath && fs.existsSync(storedPath)) {
-      filePath = storedPath
-      console.log(`[DOWNLOAD] Using stored absolute path: ${filePath}`)
-    } else {
-      // Extract just the filename from the stored path (in case it's a full path)
-      const storedFilename = storedPath ? storedPath.split(/[/\\]/).pop() : null
-      if (storedFilename) {
-        // Try multiple locations:
-        // 1. Root uploads directory (where files actually are)
-        const rootPath = join(rootUploadsDir, storedFilename)
-        if (fs.existsSync(rootPath)) {
-          filePath = rootPath
-          console.log(`[DOWNLOAD] Found in root uploads: ${filePath}`)
-        }
-        // 2. Backend uploads directory
-        else {
-          const backendPath = join(backendUploadsDir, storedFilename)
-          if (fs.existsSync(backendPath)) {
-            filePath = backendPath
-            console.log(`[DOWNLOAD] Found in backend uploads: ${filePath}`)
-          }
-        }
-        
-        // 3. If storedPath is just a filename, try that too
-        if (!filePath && storedPath && !storedPath.includes('/') && !storedPath.includes('\\')) {
-          const directRootPath = join(rootUploadsDir, storedPath)
-          if (fs.existsSync(directRootPath)) {
-            filePath = directRootPath
-            console.log(`[DOWNLOAD] Found using direct root path: ${filePath}`)
-          } else {
-            const directBackendPath = join(backendUploadsDir, storedPath)
-            if (fs.existsSync(directBackendPath)) {
-              filePath = directBackendPath
-              console.log(`[DOWNLOAD] Found using direct backend path: ${filePath}`)
-            }
-          }
-        }
+  }
+})
+
+// Link a result's drawing to a vessel. Body: { vesselId } (null to unlink)
+router.put('/:id/vessel', requireRole('engineer', 'admin'), async (req, res) => {
+  try {
+    const parsedId = parseInt(req.params.id)
+
+    if (isNaN(parsedId)) {
+      return res.status(400).json({ success: false, message: 'Invalid result ID' })
+    }
+
+    let vesselId = null
+    if (req.body.vesselId !== null && req.body.vesselId !== undefined && req.body.vesselId !== '') {
+      vesselId = parseInt(req.body.vesselId)
+      if (isNaN(vesselId) || !(await findVessel(client, req.user.organizationId, vesselId))) {
+        return res.status(404).json({ success: false, message: 'Vessel not found' })
       }
     }
-    
-    if (!filePath || !fs.existsSync(filePath)) {
-      console.error('File not found:', {
-        storedPath: storedPath,
-        filePath: filePath,
-        backendUploadsDir: backendUploadsDir,
-        rootUploadsDir: rootUploadsDir,
-        backendUploadsExists: fs.existsSync(backendUploadsDir),
-        rootUploadsExists: fs.existsSync(rootUploadsDir),
-        filesInBackendUploads: fs.existsSync(backendUploadsDir) ? fs.readdirSync(backendUploadsDir).slice(0, 5) : 'N/A',
-        filesInRootUploads: fs.existsSync(rootUploadsDir) ? fs.readdirSync(rootUploadsDir).slice(0, 5) : 'N/A'
-      })
-      return res.status(404).json({ 
-        success: false, 
-        message: 'File not found. The uploaded file may have been removed or the path is incorrect.',
-        debug: { 
-          storedPath: storedPath, 
-          resolvedPath: filePath
-        } 
+
+    const linked = await client.begin(async sql => {
+      const [upload] = await sql`
+        SELECT u.id, u.vessel_id as "vesselId"
+        FROM uploads u
+        JOIN results r ON r.upload_id = u.id
+        WHERE r.id = ${parsedId} AND u.organization_id = ${req.user.organizationId}
+        FOR UPDATE OF u
+      `
+      if (!upload) return false
+
+      await sql`UPDATE uploads SET vessel_id = ${vesselId} WHERE id = ${upload.id}`
+      await recordAudit(sql, auditActor(req), {
+        action: 'result.link_vessel',
+        entityType: 'result',
+        entityId: parsedId,
+        before: { vesselId: upload.vesselId },
+        after: { vesselId },
       })
+      return true
+    })
+    if (!linked) {
+      return res.status(404).json({ success: false, message: 'Result not found' })
     }
 
-    // If the file is already a PDF, just send it as-is (renamed to original filename)
-    if (fileType.includes('application/pdf')) {
-      const fileContent = fs.readFileSync(filePath)
-      const baseName = originalName.replace(/\.[^/.]+$/, '') // Remove extension
-      const pdfFilename = `${baseName}.pdf`
-      
-      res.setHeader('Content-Type', 'application/pdf')
-      res.setHeader('Content-Disposition', `attachment; filename="${pdfFilename}"`)
-      res.send(fileContent)
-      return
+    res.json({ success: true, vesselId })
+  } catch (error) {
+    console.error('Error linking result to vessel:', error)
+    res.status(500).json({ success: false, message: 'Failed to link result to vessel', error: error.message })
+  }
+})
+
+// Get the individual findings (violations) recorded for a result
+router.get('/:id/findings', async (req, res) => {
+  try {
+    const parsedId = parseInt(req.params.id)
+
+    if (isNaN(parsedId)) {
+      return res.status(400).json({ success: false, message: 'Invalid result ID' })
     }
 
-    // For other file types, convert to PDF with the same content
-    const baseName = originalName.replace(/\.[^/.]+$/, '') // Remove extension
-    const pdfFilename = `${baseName}.pdf`
-    
-    // Set response headers
-    res.setHeader('Content-Type', 'application/pdf')
-    res.setHeader('Content-Disposition', `attachment; filename="${pdfFilename}"`)
+    const resultQuery = await client`
+      SELECT id FROM results WHERE id = ${parsedId} AND organization_id = ${req.user.organizationId} LIMIT 1
+    `
+    if (resultQuery.length === 0) {
+      return res.status(404).json({ success: false, message: 'Result not found' })
+    }
 
-    // Read file content
-    const fileContent = fs.readFileSync(filePath)
-
-    // Create PDF and pipe directly to response
-    const doc = new PDFDocument({ margin: 50 })
-    doc.pipe(res)
-
-    // Handle different file types and include content
-    try {
-      // Handle images
-      if (fileType.startsWith('image/')) {
-        try {
-          // Add image to PDF (full page if possible)
-          const pageWidth = doc.page.width - 100
-          const pageHeight = doc.page.height - 100
-          
-          doc.image(fileContent, {
-            fit: [pageWidth, pageHeight],
-            align: 'center',
-            valign: 'center'
-          })
-        } catch (error) {
-          console.error('Error adding image to PDF:', error)
-          doc.fontSize(12).text('Could not embed image in PDF.', { align: 'center' })
-        }
-      }
-      // Handle text files
-      else if (fileType.includes('text/') || fileType.includes('text/plain') || fileType.includes('text/csv') || fileType.includes('text/html')) {
-        try {
-          const textContent = fileContent.toString('utf-8')
-          // Limit text content to prevent PDF from being too large
-          const maxTextLength = 500000 // ~500KB of text
-          const displayText = textContent.length > maxTextLength 
-            ? textContent.substring(0, maxTextLength) + '\n\n[... Content truncated due to length ...]'
-            : textContent
-          
-          doc.fontSize(10).text(displayText, {
-            width: doc.page.width - 100,
-            align: 'left'
-          })
-        } catch (error) {
-          console.error('Error reading text file:', error)
-          doc.fontSize(12).text('Could not read text content.', { align: 'center' })
-        }
-      }
-      // Handle other file types - show as binary/metadata
-      else {
-        doc.fontSize(12).text(`File Type: ${fileType}`, { align: 'center' })
-        doc.moveDown()
-        doc.fontSize(10).text('This file type cannot be converted to PDF.', { align: 'center' })
-        doc.fontSize(10).text(`File Size: ${(resultDataFormatted.file_size / 1024).toFixed(2)} KB`, { align: 'center' })
+    const resultFindings = await selectFindings(client, parsedId)
+
+    res.json({ success: true, findings: resultFindings })
+  } catch (error) {
+    console.error('Error fetching findings:', error)
+    res.status(500).json({ success: false, message: 'Failed to fetch findings', error: error.message })
+  }
+})
+
+// Revision history of the document a result belongs to, oldest first
+router.get('/:id/revisions', async (req, res) => {
+  try {
+    const parsedId = parseInt(req.params.id)
+    if (isNaN(parsedId)) {
+      return res.status(400).json({ success: false, message: 'Invalid result ID' })
+    }
+
+    const documentId = await findDocumentId(client, parsedId)
+    if (!documentId) {
+      return res.status(404).json({ success: false, message: 'Result not found' })
+    }
+
+    const revisions = await selectRevisions(client, req.user, documentId)
+    res.json({ success: true, documentId, revisions })
+  } catch (error) {
+    console.error('Error fetching revisions:', error)
+    res.status(500).json({ success: false, message: 'Failed to fetch revisions', error: error.message })
+  }
+})
+
+// Compare the findings of two revisions of a document: which findings of
+// result `id` were fixed in `otherId`, which are new there and which remain
+router.get('/:id/compare/:otherId', async (req, res) => {
+  try {
+    const baseId = parseInt(req.params.id)
+    const otherId = parseInt(req.params.otherId)
+    if (isNaN(baseId) || isNaN(otherId)) {
+      return res.status(400).json({ success: false, message: 'Invalid result ID' })
+    }
+
+    const [baseDocumentId, otherDocumentId] = await Promise.all([
+      findDocumentId(client, baseId),
+      findDocumentId(client, otherId),
+    ])
+    if (!baseDocumentId || !otherDocumentId) {
+      return res.status(404).json({ success: false, message: 'Result not found' })
+    }
+    if (baseDocumentId !== otherDocumentId) {
+      return res.status(400).json({ success: false, message: 'The results are not revisions of the same document' })
+    }
+
+    // A result still being analyzed has no findings yet, which would make
+    // every finding of the other look fixed
+    for (const id of [baseId, otherId]) {
+      const unfinished = unfinishedAnalysis(await findResultJob(client, id))
+      if (unfinished) {
+        return res.status(409).json(unfinished)
       }
-    } catch (error) {
-      console.error('Error processing file:', error)
-      doc.fontSize(12).text('Error processing file content.', { align: 'center' })
     }
 
-    doc.end()
+    const revisions = await selectRevisions(client, req.user, baseDocumentId)
+    const comparison = await compareFindings(client, baseId, otherId)
+    res.json({
+      success: true,
+      base: revisions.find(revision => revision.resultId === baseId),
+      other: revisions.find(revision => revision.resultId === otherId),
+      ...comparison,
+    })
   } catch (error) {
-    console.error('Error generating PDF:', error)
-    res.status(500).json({ success: false, message: 'Failed to generate report', error: error.message })
+    console.error('Error comparing revisions:', error)
+    res.status(500).json({ success: false, message: 'Failed to compare revisions', error: error.message })
+  }
+})
+
+// Review history of a result, newest first, with the statuses it can move to next
+router.get('/:id/reviews', async (req, res) => {
+  try {
+    const parsedId = parseInt(req.params.id)
+
+    if (isNaN(parsedId)) {
+      return res.status(400).json({ success: false, message: 'Invalid result ID' })
+    }
+
+    const [result] = await client`
+      SELECT review_status as "reviewStatus" FROM results
+      WHERE id = ${parsedId} AND organization_id = ${req.user.organizationId}
+    `
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Result not found' })
+    }
+
+    const reviews = await selectReviews(client, parsedId)
+
+    res.json({
+      success: true,
+      reviewStatus: result.reviewStatus,
+      transitions: REVIEW_TRANSITIONS[result.reviewStatus],
+      reviews,
+    })
+  } catch (error) {
+    console.error('Error fetching reviews:', error)
+    res.status(500).json({ success: false, message: 'Failed to fetch reviews', error: error.message })
+  }
+})
+
+// Move a result through the review workflow. Body: { status, comment }
+router.post('/:id/review', requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const parsedId = parseInt(req.params.id)
+
+    if (isNaN(parsedId)) {
+      return res.status(400).json({ success: false, message: 'Invalid result ID' })
+    }
+
+    const review = await reviewResult(client, req.user.organizationId, parsedId, auditActor(req), req.body)
+
+    res.json({
+      success: true,
+      review,
+      reviewStatus: review.toStatus,
+      transitions: REVIEW_TRANSITIONS[review.toStatus],
+    })
+  } catch (error) {
+    if (error instanceof ReviewError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    console.error('Error reviewing result:', error)
+    res.status(500).json({ success: false, message: 'Failed to review result', error: error.message })
+  }
+})
+
+// Request a waiver for a finding. Multipart body: `reason` and an optional
+// `attachment` with the supporting justification
+router.post('/:id/findings/:findingId/waivers', requireRole('engineer', 'admin'), acceptWaiverAttachment, async (req, res) => {
+  try {
+    const parsedId = parseInt(req.params.id)
+    const findingId = parseInt(req.params.findingId)
+
+    if (isNaN(parsedId) || isNaN(findingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid result or finding ID' })
+    }
+
+    const waiver = await requestWaiver(
+      client, req.user.organizationId, parsedId, findingId, auditActor(req), req.body, req.file
+    )
+
+    res.status(201).json({ success: true, waiver })
+  } catch (error) {
+    if (error instanceof WaiverError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    console.error('Error requesting waiver:', error)
+    res.status(500).json({ success: false, message: 'Failed to request waiver', error: error.message })
+  } finally {
+    discardAttachment(req.file)
+  }
+})
+
+// Approve, reject or revoke a waiver. Body: { comment }; rejecting and
+// revoking need a comment
+router.post('/:id/waivers/:waiverId/:decision(approve|reject|revoke)', requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const parsedId = parseInt(req.params.id)
+    const waiverId = parseInt(req.params.waiverId)
+
+    if (isNaN(parsedId) || isNaN(waiverId)) {
+      return res.status(400).json({ success: false, message: 'Invalid result or waiver ID' })
+    }
+
+    const waiver = await decideWaiver(
+      client, req.user.organizationId, parsedId, waiverId, req.params.decision, auditActor(req), req.body
+    )
+
+    res.json({ success: true, waiver })
+  } catch (error) {
+    if (error instanceof WaiverError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    console.error('Error deciding waiver:', error)
+    res.status(500).json({ success: false, message: 'Failed to update waiver', error: error.message })
+  }
+})
+
+// Download the attachment of a waiver
+router.get('/:id/waivers/:waiverId/attachment', async (req, res) => {
+  try {
+    const parsedId = parseInt(req.params.id)
+    const waiverId = parseInt(req.params.waiverId)
+
+    if (isNaN(parsedId) || isNaN(waiverId)) {
+      return res.status(400).json({ success: false, message: 'Invalid result or waiver ID' })
+    }
+
+    const attachment = await findWaiverAttachment(client, req.user.organizationId, parsedId, waiverId)
+    const key = attachment?.storedName && attachmentKey(attachment.storedName)
+    if (!key || !(await storage.stat(key))) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' })
+    }
+
+    await recordAudit(client, auditActor(req), {
+      action: 'waiver.download',
+      entityType: 'waiver',
+      entityId: waiverId,
+      after: { resultId: parsedId, attachment: attachment.filename },
+    })
+
+    // Attachments are stored with the type their content was checked against.
+    // Like uploaded files, they must not be sniffed into another type or run.
+    res.setHeader('Content-Type', FILE_TYPES[attachment.type] ? attachment.type : 'application/octet-stream')
+    res.setHeader('X-Content-Type-Options', 'nosniff')
+    res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox")
+    res.setHeader('Content-Disposition', `attachment; filename="${attachment.filename.replace(/["\\\r\n]/g, '')}"`)
+    if (!(await sendStoredFile(req, res, key))) {
+      res.status(404).json({ success: false, message: 'Attachment not found' })
+    }
+  } catch (error) {
+    console.error('Error downloading waiver attachment:', error)
+    res.status(500).json({ success: false, message: 'Failed to download attachment', error: error.message })
   }
 })
 
 // Get single result
 router.get('/:id', async (req, res) => {
   try {
-    const { id } = req.params
+    const parsedId = parseInt(req.params.id)
+    if (isNaN(parsedId)) {
+      return res.status(400).json({ success: false, message: 'Invalid result ID' })
+    }
+
+    // The storage of the cached report, the organization and the trash
+    // columns stay internal
     const result = await client`
       SELECT 
-        r.*,
+        r.id,
+        r.upload_id,
+        r.issues_detected,
+        r.rule_set_id,
+        r.rulebook_version,
+        r.review_status,
+        r.reviewed_at,
+        r.created_at,
+        r.updated_at,
         u.original_filename as "originalFilename",
         u.file_path as "filePath",
         u.file_size as "fileSize",
-        u.file_type as "fileType"
+        u.file_type as "fileType",
+        rs.name as "ruleSetName"
       FROM results r
       LEFT JOIN uploads u ON r.upload_id = u.id
-      WHERE r.id = ${parseInt(id)}
+      LEFT JOIN rule_sets rs ON r.rule_set_id = rs.id
+      WHERE r.id = ${parsedId} AND r.organization_id = ${req.user.organizationId}
       LIMIT 1
     `
 
@@ -284,9 +564,18 @@ router.get('/:id', async (req, res) => {
     }
 
     const [resultData] = result
+
+    // Per-requirement outcome of the compliance engine, with the wording of
+    // each requirement as it was when the result was evaluated
+    const [evaluations, reviews, job] = await Promise.all([
+      selectEvaluations(client, resultData.id),
+      selectReviews(client, resultData.id),
+      findResultJob(client, resultData.id),
+    ])
+
     res.json({ 
       success: true, 
-      result: resultData
+      result: { ...resultData, evaluations, reviews, analysis: job && formatJob(job) }
     })
   } catch (error) {
     console.error('Error fetching result:', error)
@@ -294,48 +583,24 @@ router.get('/:id', async (req, res) => {
   }
 })
 
-// Delete result and associated upload
-router.delete('/:id', async (req, res) => {
+// Move a result to the trash (admins only; results are compliance records).
+// It can be restored or deleted permanently through /api/trash.
+router.delete('/:id', requireRole('admin'), async (req, res) => {
   try {
-    const { id } = req.params
-    console.log(`DELETE request received for result ID: ${id}`)
+    const parsedId = parseInt(req.params.id)
 
-    // First, get the file path and upload ID
-    const resultQuery = await client`
-      SELECT 
-        r.upload_id,
-        u.file_path
-      FROM results r
-      LEFT JOIN uploads u ON r.upload_id = u.id
-      WHERE r.id = ${parseInt(id)}
-      LIMIT 1
-    `
-
-    console.log(`DELETE query result count: ${resultQuery.length}`)
-    
-    if (resultQuery.length === 0) {
-      console.log(`Result with ID ${id} not found`)
-      return res.status(404).json({ success: false, message: 'Result not found' })
+    if (isNaN(parsedId)) {
+      return res.status(400).json({ success: false, message: 'Invalid result ID' })
     }
 
-    const [resultData] = resultQuery
-
-    // Delete the physical file if it exists
-    if (resultData.file_path && fs.existsSync(resultData.file_path)) {
-      try {
-        fs.unlinkSync(resultData.file_path)
-        console.log('Deleted file:', resultData.file_path)
-      } catch (fileError) {
-        console.warn('Could not delete file:', resultData.file_path, fileError.message)
-      }
+    if (!(await trashResult(client, auditActor(req), parsedId))) {
+      return res.status(404).json({ success: false, message: 'Result not found' })
     }
 
-    // Delete the result record (uploads will be deleted via CASCADE)
-    await client`DELETE FROM results WHERE id = ${parseInt(id)}`
-    
-    console.log(`Result ${id} deleted successfully`)
-
-    res.json({ success: true, message: 'Result deleted successfully' })
+    res.json({
+      success: true,
+      message: `Result moved to the trash; it is deleted permanently after ${TRASH_RETENTION_DAYS} days`,
+    })
   } catch (error) {
     console.error('Error deleting result:', error)
     res.status(500).json({ success: false, message: 'Failed to delete result', error: error.message })
@@ -0,0 +1,253 @@
+import express from 'express'
+import { client } from '../db/config.js'
+import { RulebookError } from '../services/requirements.js'
+import { resolveRuleSet } from '../services/ruleSets.js'
+import { auditActor } from '../services/audit.js'
+import { ALLOWED_TYPES, INVALID_TYPE_MESSAGE, findSubmissionVessel, findEarlierResult } from '../services/uploads.js'
+import {
+  TUS_VERSION,
+  RESUMABLE_MAX_SIZE,
+  ResumableUploadError,
+  parseUploadMetadata,
+  createResumableUpload,
+  findResumableUpload,
+  isExpired,
+  withUploadLock,
+  appendChunk,
+  completeResumableUpload,
+  removeResumableUpload,
+} from '../services/resumableUploads.js'
+import { findParentUpload } from '../services/revisions.js'
+import { findResultJob, formatJob } from '../services/jobs.js'
+import { requireRole } from '../middleware/auth.js'
+
+// tus endpoints (https://tus.io/protocols/resumable-upload). OPTIONS is
+// answered with the CORS preflight in server.js.
+const router = express.Router()
+
+router.use(requireRole('engineer', 'admin'))
+
+// Every response names the protocol version; requests for another one are refused
+router.use((req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION)
+  if (req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION)
+    return res.status(412).json({ success: false, message: `Tus-Resumable must be ${TUS_VERSION}` })
+  }
+  next()
+})
+
+const uploadHeaders = (upload) => ({
+  'Upload-Offset': String(upload.offset),
+  'Upload-Expires': new Date(upload.expiresAt).toUTCString(),
+})
+
+const sendError = (res, error, message) => {
+  if (error instanceof ResumableUploadError || error instanceof RulebookError) {
+    return res.status(error.status).json({ success: false, message: error.message })
+  }
+  console.error(`${message}:`, error)
+  res.status(500).json({ success: false, message, error: error.message })
+}
+
+// The upload in the URL, or a 404 (not the user's) or 410 (expired) response
+async function loadUpload(req, res) {
+  const upload = await findResumableUpload(client, auditActor(req), req.params.id)
+  if (!upload) {
+    res.status(404).json({ success: false, message: 'Upload not found' })
+    return null
+  }
+  if (isExpired(upload)) {
+    res.status(410).json({ success: false, message: 'Upload has expired' })
+    return null
+  }
+  return upload
+}
+
+// Create an upload. Headers: `Upload-Length` and `Upload-Metadata` with
+// `filename` and `filetype` (or `name` and `type`), and optionally `ruleSetId`,
+// `vesselId` and `parentResultId` as in POST /api/upload. Answers 201 with its
+// URL in Location.
+router.post('/', async (req, res) => {
+  try {
+    if (req.get('Upload-Defer-Length')) {
+      return res.status(400).json({ success: false, message: 'Upload-Defer-Length is not supported' })
+    }
+    const length = req.get('Upload-Length')
+    if (!/^\d+$/.test(length || '')) {
+      return res.status(400).json({ success: false, message: 'Upload-Length must be the size of the file in bytes' })
+    }
+    if (Number(length) > RESUMABLE_MAX_SIZE) {
+      return res.status(413).json({ success: false, message: `Files can be at most ${RESUMABLE_MAX_SIZE} bytes` })
+    }
+
+    const metadata = parseUploadMetadata(req.get('Upload-Metadata'))
+    if (!metadata) {
+      return res.status(400).json({ success: false, message: 'Upload-Metadata is malformed' })
+    }
+    const filename = (metadata.filename || metadata.name || '').trim()
+    const fileType = metadata.filetype || metadata.type
+    if (!filename) {
+      return res.status(400).json({ success: false, message: 'Upload-Metadata must include the filename' })
+    }
+    if (!ALLOWED_TYPES.includes(fileType)) {
+      return res.status(400).json({ success: false, message: INVALID_TYPE_MESSAGE })
+    }
+
+    const actor = auditActor(req)
+    const parent = await findParentUpload(client, req.user, metadata.parentResultId)
+    if (parent === false) {
+      return res.status(404).json({ success: false, message: 'Parent result not found' })
+    }
+    const ruleSet = await resolveRuleSet(client, actor.organizationId, metadata.ruleSetId)
+    const vessel = await findSubmissionVessel(actor.organizationId, metadata.vesselId || parent?.vesselId)
+    if (vessel === false) {
+      return res.status(404).json({ success: false, message: 'Vessel not found' })
+    }
+
+    const upload = await createResumableUpload(client, actor, {
+      filename: filename.slice(0, 255),
+      fileType,
+      length: Number(length),
+      metadata: req.get('Upload-Metadata') || null,
+      ruleSetId: ruleSet.id,
+      vesselId: vessel ? vessel.id : null,
+      parentResultId: parent ? parent.resultId : null,
+    })
+
+    // An empty file has nothing to send, so it is complete right away
+    if (Number(length) === 0) {
+      await withUploadLock(client, upload.id, () => completeResumableUpload(client, req.user, actor, upload))
+    }
+
+    res.set({ Location: `${req.baseUrl}/${upload.id}`, ...uploadHeaders(upload) })
+    res.status(201).end()
+  } catch (error) {
+    sendError(res, error, 'Failed to create upload')
+  }
+})
+
+// How much of an upload the server has
+router.head('/:id', async (req, res) => {
+  try {
+    const upload = await loadUpload(req, res)
+    if (!upload) return
+
+    res.set({
+      'Upload-Offset': String(upload.offset),
+      'Upload-Length': String(upload.length),
+      'Cache-Control': 'no-store',
+      ...(upload.metadata ? { 'Upload-Metadata': upload.metadata } : {}),
+    })
+    res.status(200).end()
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch upload')
+  }
+})
+
+// Progress of an upload as JSON, with the result and its analysis job once it
+// is complete and, as for POST /api/upload, an earlier result of identical
+// content in `duplicateOf`
+router.get('/:id', async (req, res) => {
+  try {
+    const upload = await loadUpload(req, res)
+    if (!upload) return
+
+    const [result] = upload.resultId
+      ? await client`
+          SELECT r.id, r.issues_detected as "issuesDetected", r.review_status as "reviewStatus",
+                 u.id as "uploadId", u.sha256
+          FROM results r
+          LEFT JOIN uploads u ON r.upload_id = u.id
+          WHERE r.id = ${upload.resultId}
+        `
+      : []
+    const job = result ? await findResultJob(client, result.id) : null
+    const duplicateOf = result && result.uploadId
+      ? await findEarlierResult(client, req.user, { id: result.uploadId, sha256: result.sha256 })
+      : null
+
+    res.set('Cache-Control', 'no-store')
+    res.json({
+      success: true,
+      upload: {
+        id: upload.id,
+        filename: upload.filename,
+        fileType: upload.fileType,
+        length: Number(upload.length),
+        offset: Number(upload.offset),
+        complete: Boolean(upload.resultId),
+        expiresAt: upload.expiresAt,
+      },
+      result: result
+        ? { id: result.id, issuesDetected: result.issuesDetected, reviewStatus: result.reviewStatus }
+        : null,
+      job: job && formatJob(job),
+      duplicateOf,
+    })
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch upload')
+  }
+})
+
+// Append a chunk at `Upload-Offset`. The upload is recorded and checked for
+// compliance when its last byte arrives; if that fails, a PATCH at the full
+// length with an empty body tries again.
+router.patch('/:id', async (req, res) => {
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({ success: false, message: 'Content-Type must be application/offset+octet-stream' })
+    }
+    const offset = req.get('Upload-Offset')
+    if (!/^\d+$/.test(offset || '')) {
+      return res.status(400).json({ success: false, message: 'Upload-Offset must be a number of bytes' })
+    }
+
+    const upload = await loadUpload(req, res)
+    if (!upload) return
+
+    const actor = auditActor(req)
+    const updated = await withUploadLock(client, upload.id, async () => {
+      // Read again now that no other request can change it
+      let current = await findResumableUpload(client, actor, upload.id)
+      if (Number(offset) !== Number(current.offset)) {
+        res.set('Upload-Offset', String(current.offset))
+        throw new ResumableUploadError('Upload-Offset does not match the bytes received so far', 409)
+      }
+
+      if (!current.resultId) {
+        // After a failed completion all bytes are there and the partial file
+        // may already have had its metadata stripped, so nothing is appended
+        if (Number(current.offset) < Number(current.length)) {
+          current = await appendChunk(client, current, req)
+        }
+        if (Number(current.offset) === Number(current.length)) {
+          await completeResumableUpload(client, req.user, actor, current)
+        }
+      }
+      return current
+    })
+
+    res.set(uploadHeaders(updated))
+    res.status(204).end()
+  } catch (error) {
+    sendError(res, error, 'Failed to save upload')
+  }
+})
+
+// Cancel an upload. A completed upload keeps its result.
+router.delete('/:id', async (req, res) => {
+  try {
+    const upload = await findResumableUpload(client, auditActor(req), req.params.id)
+    if (!upload) {
+      return res.status(404).json({ success: false, message: 'Upload not found' })
+    }
+
+    await withUploadLock(client, upload.id, () => removeResumableUpload(client, upload))
+    res.status(204).end()
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel upload')
+  }
+})
+
+export default router
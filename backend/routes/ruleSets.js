@@ -0,0 +1,171 @@
+import express from 'express'
+import { client } from '../db/config.js'
+import { RulebookError, addRulebookVersion, copyRequirements, lockRuleSet } from '../services/requirements.js'
+import { parseRuleSetInput, resolveRuleSet, createRuleSet, updateRuleSet } from '../services/ruleSets.js'
+import { auditActor, recordAudit } from '../services/audit.js'
+import { requireRole } from '../middleware/auth.js'
+
+const router = express.Router()
+
+const withCounts = (sql) => sql`
+  (SELECT COUNT(*)::int FROM requirements q WHERE q.rule_set_id = s.id AND q.deleted_at IS NULL) as "requirementCount",
+  (SELECT COALESCE(MAX(b.version), 0)::int FROM rulebook_versions b WHERE b.rule_set_id = s.id) as "rulebookVersion"
+`
+
+// List the organization's rule sets, default first
+router.get('/', async (req, res) => {
+  try {
+    const ruleSets = await client`
+      SELECT s.id, s.name, s.description, s.society, s.vessel_type as "vesselType",
+             s.is_default as "isDefault", s.created_at as "createdAt", s.updated_at as "updatedAt",
+             ${withCounts(client)}
+      FROM rule_sets s
+      WHERE s.organization_id = ${req.user.organizationId}
+      ORDER BY s.is_default DESC, s.name ASC
+    `
+
+    res.json({ success: true, ruleSets })
+  } catch (error) {
+    console.error('Error fetching rule sets:', error)
+    res.status(500).json({ success: false, message: 'Failed to fetch rule sets', error: error.message })
+  }
+})
+
+// Get single rule set
+router.get('/:id', async (req, res) => {
+  try {
+    const ruleSet = await resolveRuleSet(client, req.user.organizationId, req.params.id)
+    const [counts] = await client`SELECT ${withCounts(client)} FROM rule_sets s WHERE s.id = ${ruleSet.id}`
+
+    res.json({ success: true, ruleSet: { ...ruleSet, ...counts } })
+  } catch (error) {
+    if (error instanceof RulebookError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    console.error('Error fetching rule set:', error)
+    res.status(500).json({ success: false, message: 'Failed to fetch rule set', error: error.message })
+  }
+})
+
+// Create a rule set. Body: { name, description, society, vesselType, isDefault,
+// copyFromId } - copyFromId starts it with the requirements of another rule set
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { ruleSet: input, error: validationError } = parseRuleSetInput(req.body)
+
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError })
+    }
+
+    const source = req.body.copyFromId != null ? await resolveRuleSet(client, req.user.organizationId, req.body.copyFromId) : null
+
+    const ruleSet = await client.begin(async (sql) => {
+      const created = await createRuleSet(sql, req.user.organizationId, input)
+      // The new rule set is not visible to anyone else yet, so no lock is needed
+      if (source) {
+        const rulebookVersion = await addRulebookVersion(sql, created.id, `Copied from ${source.name}`)
+        await copyRequirements(sql, source.id, created.id, rulebookVersion)
+      }
+      await recordAudit(sql, auditActor(req), {
+        action: 'rule_set.create',
+        entityType: 'rule_set',
+        entityId: created.id,
+        after: { ...created, copiedFromId: source ? source.id : null },
+      })
+      return created
+    })
+
+    res.json({ success: true, ruleSet })
+  } catch (error) {
+    if (error instanceof RulebookError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'A rule set with this name already exists' })
+    }
+    console.error('Error creating rule set:', error)
+    res.status(500).json({ success: false, message: 'Failed to create rule set', error: error.message })
+  }
+})
+
+// Update a rule set's details. Its requirements are managed through
+// /api/requirements?ruleSetId=
+router.put('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+    const { ruleSet: input, error: validationError } = parseRuleSetInput(req.body)
+
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid rule set ID' })
+    }
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError })
+    }
+
+    const ruleSet = await client.begin(async (sql) => {
+      const before = await resolveRuleSet(sql, req.user.organizationId, id)
+      const updated = await updateRuleSet(sql, req.user.organizationId, id, input)
+      await recordAudit(sql, auditActor(req), {
+        action: 'rule_set.update',
+        entityType: 'rule_set',
+        entityId: id,
+        before,
+        after: updated,
+      })
+      return updated
+    })
+
+    res.json({ success: true, ruleSet })
+  } catch (error) {
+    if (error instanceof RulebookError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'A rule set with this name already exists' })
+    }
+    console.error('Error updating rule set:', error)
+    res.status(500).json({ success: false, message: 'Failed to update rule set', error: error.message })
+  }
+})
+
+// Delete a rule set. The default rule set and rule sets of results, also of
+// results still waiting for their analysis, cannot be deleted.
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = await resolveRuleSet(client, req.user.organizationId, req.params.id)
+
+    // Checked under the lock on the rule set: uploads record their rule set on
+    // the new result, which waits for the lock, so no result can start using
+    // it between the check and the delete
+    await client.begin(async (sql) => {
+      await lockRuleSet(sql, id)
+      const ruleSet = await resolveRuleSet(sql, req.user.organizationId, id)
+      if (ruleSet.isDefault) {
+        throw new RulebookError('The default rule set cannot be deleted', 409)
+      }
+
+      const [usage] = await sql`SELECT COUNT(*)::int as count FROM results WHERE rule_set_id = ${id}`
+      if (usage.count > 0) {
+        throw new RulebookError(`The rule set was used for ${usage.count} result(s) and cannot be deleted`, 409)
+      }
+
+      await sql`DELETE FROM rule_sets WHERE id = ${id}`
+      await recordAudit(sql, auditActor(req), {
+        action: 'rule_set.delete',
+        entityType: 'rule_set',
+        entityId: id,
+        before: ruleSet,
+      })
+    })
+
+    res.json({ success: true, message: 'Rule set deleted successfully' })
+  } catch (error) {
+    if (error instanceof RulebookError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    console.error('Error deleting rule set:', error)
+    res.status(500).json({ success: false, message: 'Failed to delete rule set', error: error.message })
+  }
+})
+
+export default router
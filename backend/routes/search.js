@@ -0,0 +1,27 @@
+import express from 'express'
+import { client } from '../db/config.js'
+import { searchAll, DEFAULT_GROUP_LIMIT, MAX_GROUP_LIMIT } from '../services/search.js'
+import { canViewAllResults } from '../services/auth.js'
+
+const router = express.Router()
+
+// Search vessels, files, requirements and findings: GET /api/search?q=fire
+// Results are grouped by type; queries shorter than two characters match nothing.
+router.get('/', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : ''
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_GROUP_LIMIT, MAX_GROUP_LIMIT)
+
+    const results = await searchAll(client, req.user.organizationId, q, {
+      limit: Math.max(limit, 1),
+      userId: canViewAllResults(req.user) ? undefined : req.user.id,
+    })
+
+    res.json({ success: true, query: q, results })
+  } catch (error) {
+    console.error('Error searching:', error)
+    res.status(500).json({ success: false, message: 'Search failed', error: error.message })
+  }
+})
+
+export default router
@@ -0,0 +1,61 @@
+import express from 'express'
+import { client } from '../db/config.js'
+import { auditActor } from '../services/audit.js'
+import { TRASH_RETENTION_DAYS, selectTrash, restoreResult, purgeResult } from '../services/trash.js'
+
+const router = express.Router()
+
+// Results in the trash, most recently deleted first, with the date each is
+// purged automatically
+router.get('/', async (req, res) => {
+  try {
+    const results = await selectTrash(client, req.user.organizationId)
+
+    res.json({ success: true, results, retentionDays: TRASH_RETENTION_DAYS })
+  } catch (error) {
+    console.error('Error fetching trash:', error)
+    res.status(500).json({ success: false, message: 'Failed to fetch trash', error: error.message })
+  }
+})
+
+// Restore a result from the trash
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid result ID' })
+    }
+
+    if (!(await restoreResult(client, auditActor(req), id))) {
+      return res.status(404).json({ success: false, message: 'Result not found in the trash' })
+    }
+
+    res.json({ success: true, message: 'Result restored' })
+  } catch (error) {
+    console.error('Error restoring result:', error)
+    res.status(500).json({ success: false, message: 'Failed to restore result', error: error.message })
+  }
+})
+
+// Delete a result in the trash permanently, with its file
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid result ID' })
+    }
+
+    if (!(await purgeResult(client, auditActor(req), id))) {
+      return res.status(404).json({ success: false, message: 'Result not found in the trash' })
+    }
+
+    res.json({ success: true, message: 'Result deleted permanently' })
+  } catch (error) {
+    console.error('Error deleting result permanently:', error)
+    res.status(500).json({ success: false, message: 'Failed to delete result', error: error.message })
+  }
+})
+
+export default router
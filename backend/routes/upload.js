@@ -1,99 +1,199 @@
 import express from 'express'
 import multer from 'multer'
-import { fileURLToPath } from 'url'
-import { dirname, join, extname } from 'path'
-import fs from 'fs'
-import { db, client } from '../db/config.js'
-import { uploads, results } from '../db/schema.js'
+import { client } from '../db/config.js'
+import { RulebookError } from '../services/requirements.js'
+import { resolveRuleSet } from '../services/ruleSets.js'
+import { auditActor } from '../services/audit.js'
+import {
+  incomingDir,
+  ALLOWED_TYPES,
+  INVALID_TYPE_MESSAGE,
+  storedFilename,
+  inspectFile,
+  discardFiles,
+  findSubmissionVessel,
+  recordSubmission,
+  findEarlierResult,
+} from '../services/uploads.js'
+import { findParentUpload } from '../services/revisions.js'
+import { requireRole } from '../middleware/auth.js'
 
 const router = express.Router()
 
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = dirname(__filename)
-
-// Ensure uploads directory exists
-const uploadsDir = join(__dirname, '..', 'uploads')
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true })
-}
-
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadsDir)
+    cb(null, incomingDir)
   },
   filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
-    const ext = extname(file.originalname)
-    cb(null, file.fieldname + '-' + uniqueSuffix + ext)
+    cb(null, storedFilename(file.fieldname, file.mimetype))
   },
 })
 
+const MAX_FILE_SIZE = 20 * 1024 * 1024 // 20MB
+const MAX_BATCH_FILES = 50
+
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 20 * 1024 * 1024, // 20MB
+    fileSize: MAX_FILE_SIZE,
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'image/jpeg',
-      'image/jpg',
-      'image/png',
-      'image/gif',
-      'application/pdf',
-      'text/plain',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/csv',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'text/html',
-    ]
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    if (ALLOWED_TYPES.includes(file.mimetype)) {
       cb(null, true)
     } else {
-      cb(new Error('Invalid file type. Allowed types: txt, pdf, docx, csv, xlsx, html, jpg, jpeg, png, gif'))
+      cb(new Error(INVALID_TYPE_MESSAGE))
     }
   },
 })
 
-// Upload endpoint
-router.post('/', upload.single('file'), async (req, res) => {
+// Batches note every file in `req.batchFiles` and skip the ones of the wrong
+// type instead of failing on the first, so each file gets its own status
+const batchUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_BATCH_FILES,
+  },
+  fileFilter: (req, file, cb) => {
+    const valid = ALLOWED_TYPES.includes(file.mimetype)
+    req.batchFiles = req.batchFiles || []
+    req.batchFiles.push({ filename: file.originalname, error: valid ? null : INVALID_TYPE_MESSAGE })
+    cb(null, valid)
+  },
+})
+
+const BATCH_LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: 'Every file must be at most 20 MB; nothing was uploaded',
+  LIMIT_FILE_COUNT: `A batch can have at most ${MAX_BATCH_FILES} files; nothing was uploaded`,
+}
+
+// `files` field with up to MAX_BATCH_FILES files; multer removes the files it
+// stored when a limit is exceeded
+const acceptBatch = (req, res, next) => {
+  batchUpload.array('files', MAX_BATCH_FILES)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, message: BATCH_LIMIT_MESSAGES[error.code] || error.message })
+    }
+    next()
+  })
+}
+
+// Upload endpoint. Optional form fields: `ruleSetId` selects the rule set the
+// file is checked against (the default rule set otherwise), `vesselId` links
+// the drawing to a vessel and `parentResultId` uploads it as a new revision of
+// the document of that result, on the parent's vessel unless another is given.
+// The file is analyzed afterwards by the job in the response.
+router.post('/', requireRole('engineer', 'admin'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, message: 'No file uploaded' })
     }
 
-    const { filename, originalname, size, mimetype } = req.file
-
-    // Store relative path (just filename) to avoid issues with absolute paths on different environments
-    const relativePath = filename // Just the filename, stored in uploads directory
-    
-    // Insert upload record into database using raw SQL
-    const [uploadRecord] = await client`
-      INSERT INTO uploads (filename, original_filename, file_path, file_size, file_type)
-      VALUES (${filename}, ${originalname}, ${relativePath}, ${size}, ${mimetype})
-      RETURNING id, filename, original_filename as "originalFilename", file_path as "filePath", 
-                 file_size as "fileSize", file_type as "fileType", uploaded_at as "uploadedAt", user_id as "userId"
-    `
-
-    // Create a result entry for this upload
-    const issuesDetected = Math.floor(Math.random() * 5) // Mock: 0-4 issues
-    const [resultRecord] = await client`
-      INSERT INTO results (upload_id, issues_detected)
-      VALUES (${uploadRecord.id}, ${issuesDetected})
-      RETURNING id, upload_id as "uploadId", configured, issues_detected as "issuesDetected", 
-                 report_path as "reportPath", created_at as "createdAt", updated_at as "updatedAt"
-    `
+    const rejection = await inspectFile(req.file)
+    if (rejection) {
+      return res.status(400).json({ success: false, message: rejection })
+    }
+
+    const parent = await findParentUpload(client, req.user, req.body.parentResultId)
+    if (parent === false) {
+      return res.status(404).json({ success: false, message: 'Parent result not found' })
+    }
+    const ruleSet = await resolveRuleSet(client, req.user.organizationId, req.body.ruleSetId)
+    const vessel = await findSubmissionVessel(req.user.organizationId, req.body.vesselId || parent?.vesselId)
+    if (vessel === false) {
+      return res.status(404).json({ success: false, message: 'Vessel not found' })
+    }
+
+    const { submitted: [submitted] } = await recordSubmission(auditActor(req), [req.file], { ruleSet, vessel, parent })
 
     res.json({
       success: true,
       message: 'File uploaded successfully',
-      upload: uploadRecord,
-      result: resultRecord,
+      upload: submitted.upload,
+      result: submitted.result,
+      job: submitted.job,
+      duplicateOf: await findEarlierResult(client, req.user, submitted.upload),
     })
   } catch (error) {
+    if (error instanceof RulebookError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
     console.error('Upload error:', error)
     res.status(500).json({ success: false, message: 'Upload failed', error: error.message })
+  } finally {
+    // The file is in storage now, or was rejected: either way it is not
+    // needed on disk any more
+    if (req.file) discardFiles([req.file])
+  }
+})
+
+// Upload several files as one submission. Form fields: `files` (up to
+// MAX_BATCH_FILES) and the same `ruleSetId` and `vesselId` as a single
+// upload, applied to every file. The batch is accepted or rejected as a unit:
+// when any file is of the wrong type or its content doesn't match its type,
+// nothing is stored. `files` in the response lists
+// the status of each file in the order they were sent.
+router.post('/batch', requireRole('engineer', 'admin'), acceptBatch, async (req, res) => {
+  const files = req.files || []
+  const batchFiles = req.batchFiles || []
+
+  try {
+    if (batchFiles.length === 0) {
+      return res.status(400).json({ success: false, message: 'No files uploaded' })
+    }
+
+    // Check the content of every file the type filter let through
+    let next = 0
+    for (const entry of batchFiles) {
+      if (!entry.error) entry.error = await inspectFile(files[next++])
+    }
+
+    const rejected = batchFiles.filter(file => file.error)
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${rejected.length} of ${batchFiles.length} files are not valid; nothing was uploaded`,
+        files: batchFiles.map(file => (file.error
+          ? { filename: file.filename, status: 'rejected', message: file.error }
+          : { filename: file.filename, status: 'not_uploaded' })),
+      })
+    }
+
+    const ruleSet = await resolveRuleSet(client, req.user.organizationId, req.body.ruleSetId)
+    const vessel = await findSubmissionVessel(req.user.organizationId, req.body.vesselId)
+    if (vessel === false) {
+      return res.status(404).json({ success: false, message: 'Vessel not found' })
+    }
+
+    const { batchId, submitted } = await recordSubmission(auditActor(req), files, { ruleSet, vessel, batch: true })
+
+    const uploaded = []
+    for (const { upload, result, job } of submitted) {
+      uploaded.push({
+        filename: upload.originalFilename,
+        status: 'uploaded',
+        upload,
+        result,
+        job,
+        duplicateOf: await findEarlierResult(client, req.user, upload),
+      })
+    }
+
+    res.json({
+      success: true,
+      message: `${submitted.length} file${submitted.length === 1 ? '' : 's'} uploaded successfully`,
+      batch: { id: batchId, fileCount: submitted.length },
+      files: uploaded,
+    })
+  } catch (error) {
+    if (error instanceof RulebookError) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    console.error('Batch upload error:', error)
+    res.status(500).json({ success: false, message: 'Upload failed; nothing was uploaded', error: error.message })
+  } finally {
+    discardFiles(files)
   }
 })
 
@@ -0,0 +1,121 @@
+import express from 'express'
+import { client } from '../db/config.js'
+import { ROLES, userColumns, hashPassword, parseUserInput } from '../services/auth.js'
+import { auditActor, recordAudit } from '../services/audit.js'
+
+const router = express.Router()
+
+// List the user accounts of the admin's organization
+router.get('/', async (req, res) => {
+  try {
+    const users = await client`
+      SELECT ${userColumns(client)} FROM users
+      WHERE organization_id = ${req.user.organizationId}
+      ORDER BY name ASC, id ASC
+    `
+    res.json({ success: true, users, roles: ROLES })
+  } catch (error) {
+    console.error('Error fetching users:', error)
+    res.status(500).json({ success: false, message: 'Failed to fetch users', error: error.message })
+  }
+})
+
+// Add a user to the admin's organization. Body: { email, name, password, role }
+router.post('/', async (req, res) => {
+  try {
+    const { user: input, error } = parseUserInput(req.body)
+    const role = req.body.role || 'engineer'
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error })
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(', ')}` })
+    }
+
+    const passwordHash = await hashPassword(input.password)
+    const user = await client.begin(async sql => {
+      const [created] = await sql`
+        INSERT INTO users (organization_id, email, name, password_hash, role)
+        VALUES (${req.user.organizationId}, ${input.email}, ${input.name}, ${passwordHash}, ${role})
+        RETURNING ${userColumns(sql)}
+      `
+      await recordAudit(sql, auditActor(req), {
+        action: 'user.create',
+        entityType: 'user',
+        entityId: created.id,
+        after: created,
+      })
+      return created
+    })
+
+    res.status(201).json({ success: true, user })
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'An account with this email already exists' })
+    }
+    console.error('Error creating user:', error)
+    res.status(500).json({ success: false, message: 'Failed to create user', error: error.message })
+  }
+})
+
+// Change a user's role. Body: { role }
+router.put('/:id/role', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+    const { role } = req.body
+
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' })
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(', ')}` })
+    }
+
+    // The last admin of an organization cannot be demoted, or nobody could
+    // manage its roles any more
+    const [user] = await client.begin(async sql => {
+      await sql`LOCK TABLE users IN SHARE ROW EXCLUSIVE MODE`
+      const [{ otherAdmins }] = await sql`
+        SELECT COUNT(*)::int as "otherAdmins" FROM users
+        WHERE organization_id = ${req.user.organizationId} AND role = 'admin' AND id <> ${id}
+      `
+      if (role !== 'admin' && otherAdmins === 0) {
+        return [{ lastAdmin: true }]
+      }
+      const [before] = await sql`
+        SELECT ${userColumns(sql)} FROM users
+        WHERE id = ${id} AND organization_id = ${req.user.organizationId}
+      `
+      if (!before) return []
+
+      const updated = await sql`
+        UPDATE users SET role = ${role}, updated_at = NOW()
+        WHERE id = ${id}
+        RETURNING ${userColumns(sql)}
+      `
+      await recordAudit(sql, auditActor(req), {
+        action: 'user.role_change',
+        entityType: 'user',
+        entityId: id,
+        before: { role: before.role },
+        after: { role },
+      })
+      return updated
+    })
+
+    if (user?.lastAdmin) {
+      return res.status(409).json({ success: false, message: 'At least one admin is required' })
+    }
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' })
+    }
+
+    res.json({ success: true, user })
+  } catch (error) {
+    console.error('Error updating user role:', error)
+    res.status(500).json({ success: false, message: 'Failed to update user role', error: error.message })
+  }
+})
+
+export default router
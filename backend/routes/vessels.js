@@ -0,0 +1,192 @@
+import express from 'express'
+import { client } from '../db/config.js'
+import { parseVesselInput, vesselColumns, findVessel } from '../services/vessels.js'
+import { selectResultSummaries, formatResultSummary } from '../services/results.js'
+import { canViewAllResults } from '../services/auth.js'
+import { auditActor, recordAudit } from '../services/audit.js'
+import { requireRole } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// List vessels with the number of drawings and the outcome of the latest one
+router.get('/', async (req, res) => {
+  try {
+    const vessels = await client`
+      SELECT
+        v.id, v.name, v.imo_number as "imoNumber", v.vessel_type as "vesselType", v.owner,
+        v.created_at as "createdAt", v.updated_at as "updatedAt",
+        (
+          SELECT COUNT(*)::int FROM uploads u
+          JOIN results r ON r.upload_id = u.id
+          WHERE u.vessel_id = v.id AND r.deleted_at IS NULL
+        ) as "drawingCount",
+        latest.created_at as "lastCheckedAt",
+        latest.issues_detected as "latestIssuesDetected"
+      FROM vessels v
+      LEFT JOIN LATERAL (
+        SELECT r.created_at, r.issues_detected
+        FROM results r
+        JOIN uploads u ON r.upload_id = u.id
+        WHERE u.vessel_id = v.id AND r.deleted_at IS NULL
+        ORDER BY r.created_at DESC
+        LIMIT 1
+      ) latest ON true
+      WHERE v.organization_id = ${req.user.organizationId}
+      ORDER BY v.name ASC, v.id ASC
+    `
+
+    res.json({ success: true, vessels })
+  } catch (error) {
+    console.error('Error fetching vessels:', error)
+    res.status(500).json({ success: false, message: 'Failed to fetch vessels', error: error.message })
+  }
+})
+
+// Get a vessel with all of its drawings, newest first. Each drawing carries
+// its compliance outcome, so the list doubles as the compliance history.
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid vessel ID' })
+    }
+
+    const vessel = await findVessel(client, req.user.organizationId, id)
+    if (!vessel) {
+      return res.status(404).json({ success: false, message: 'Vessel not found' })
+    }
+
+    const drawings = (await selectResultSummaries(client, req.user.organizationId, {
+      vesselId: id,
+      userId: canViewAllResults(req.user) ? undefined : req.user.id,
+    })).map(formatResultSummary)
+
+    res.json({ success: true, vessel, drawings })
+  } catch (error) {
+    console.error('Error fetching vessel:', error)
+    res.status(500).json({ success: false, message: 'Failed to fetch vessel', error: error.message })
+  }
+})
+
+// Create a vessel. Body: { name, imoNumber, vesselType, owner }
+router.post('/', requireRole('engineer', 'admin'), async (req, res) => {
+  try {
+    const { vessel: input, error: validationError } = parseVesselInput(req.body)
+
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError })
+    }
+
+    const vessel = await client.begin(async sql => {
+      const [created] = await sql`
+        INSERT INTO vessels (organization_id, name, imo_number, vessel_type, owner)
+        VALUES (${req.user.organizationId}, ${input.name}, ${input.imoNumber}, ${input.vesselType}, ${input.owner})
+        RETURNING ${vesselColumns(sql)}
+      `
+      await recordAudit(sql, auditActor(req), {
+        action: 'vessel.create',
+        entityType: 'vessel',
+        entityId: created.id,
+        after: created,
+      })
+      return created
+    })
+
+    res.json({ success: true, vessel })
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'A vessel with this IMO number already exists' })
+    }
+    console.error('Error creating vessel:', error)
+    res.status(500).json({ success: false, message: 'Failed to create vessel', error: error.message })
+  }
+})
+
+// Update a vessel (same body as create)
+router.put('/:id', requireRole('engineer', 'admin'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+    const { vessel: input, error: validationError } = parseVesselInput(req.body)
+
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid vessel ID' })
+    }
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError })
+    }
+
+    const vessel = await client.begin(async sql => {
+      const before = await findVessel(sql, req.user.organizationId, id)
+      if (!before) return null
+
+      const [updated] = await sql`
+        UPDATE vessels
+        SET name = ${input.name},
+            imo_number = ${input.imoNumber},
+            vessel_type = ${input.vesselType},
+            owner = ${input.owner},
+            updated_at = NOW()
+        WHERE id = ${id}
+        RETURNING ${vesselColumns(sql)}
+      `
+      await recordAudit(sql, auditActor(req), {
+        action: 'vessel.update',
+        entityType: 'vessel',
+        entityId: id,
+        before,
+        after: updated,
+      })
+      return updated
+    })
+
+    if (!vessel) {
+      return res.status(404).json({ success: false, message: 'Vessel not found' })
+    }
+
+    res.json({ success: true, vessel })
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'A vessel with this IMO number already exists' })
+    }
+    console.error('Error updating vessel:', error)
+    res.status(500).json({ success: false, message: 'Failed to update vessel', error: error.message })
+  }
+})
+
+// Delete a vessel. Its drawings and results are kept, without a vessel.
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid vessel ID' })
+    }
+
+    const deleted = await client.begin(async sql => {
+      const [vessel] = await sql`
+        DELETE FROM vessels WHERE id = ${id} AND organization_id = ${req.user.organizationId}
+        RETURNING ${vesselColumns(sql)}
+      `
+      if (vessel) {
+        await recordAudit(sql, auditActor(req), {
+          action: 'vessel.delete',
+          entityType: 'vessel',
+          entityId: id,
+          before: vessel,
+        })
+      }
+      return vessel
+    })
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Vessel not found' })
+    }
+
+    res.json({ success: true, message: 'Vessel deleted successfully' })
+  } catch (error) {
+    console.error('Error deleting vessel:', error)
+    res.status(500).json({ success: false, message: 'Failed to delete vessel', error: error.message })
+  }
+})
+
+export default router
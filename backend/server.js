@@ -4,11 +4,27 @@ import dotenv from 'dotenv'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
 import uploadRoutes from './routes/upload.js'
+import resumableUploadRoutes from './routes/resumableUploads.js'
 import resultsRoutes from './routes/results.js'
 import requirementsRoutes from './routes/requirements.js'
+import ruleSetsRoutes from './routes/ruleSets.js'
+import vesselsRoutes from './routes/vessels.js'
+import searchRoutes from './routes/search.js'
+import authRoutes from './routes/auth.js'
+import usersRoutes from './routes/users.js'
+import auditRoutes from './routes/audit.js'
+import trashRoutes from './routes/trash.js'
+import jobsRoutes from './routes/jobs.js'
+import eventsRoutes from './routes/events.js'
+import { requireAuth, requireRole } from './middleware/auth.js'
 import { initDB } from './db/init.js'
 import { migrate } from 'drizzle-orm/postgres-js/migrator'
-import { db } from './db/config.js'
+import { db, client } from './db/config.js'
+import { startTrashPurge } from './services/trash.js'
+import { TUS_OPTIONS_HEADERS, startResumableUploadCleanup } from './services/resumableUploads.js'
+import { listenForResultEvents } from './services/events.js'
+import { startWorker } from './services/jobs.js'
+import { JOB_HANDLERS } from './services/jobHandlers.js'
 
 dotenv.config()
 
@@ -18,6 +34,12 @@ const __dirname = dirname(__filename)
 const app = express()
 const PORT = process.env.PORT || 5000
 
+// Behind a reverse proxy (e.g. on Railway) set TRUST_PROXY to the number of
+// proxy hops, so req.ip - recorded in the audit log - is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY)
+}
+
 // Middleware
 // CORS configuration - allow all origins for better compatibility
 // For better security, set CORS_ORIGIN env var with specific origins
@@ -34,6 +56,13 @@ if (corsOriginEnv) {
   console.log('💡 Set CORS_ORIGIN environment variable in Railway to restrict origins')
 }
 
+// Headers of resumable (tus) uploads the browser must be allowed to send and read
+const TUS_REQUEST_HEADERS = ['Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata', 'Upload-Defer-Length']
+const TUS_RESPONSE_HEADERS = [
+  'Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+  'Upload-Offset', 'Upload-Length', 'Upload-Metadata', 'Upload-Expires',
+]
+
 // Manual CORS headers middleware - Force correct CORS headers FIRST
 // This runs before cors() middleware to ensure headers are set correctly
 app.use((req, res, next) => {
@@ -58,13 +87,18 @@ app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', origin || '*')
   }
   
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', ['Content-Type, Authorization, X-Requested-With', ...TUS_REQUEST_HEADERS].join(', '))
+  res.setHeader('Access-Control-Expose-Headers', TUS_RESPONSE_HEADERS.join(', '))
   res.setHeader('Access-Control-Allow-Credentials', 'true')
   res.setHeader('Access-Control-Max-Age', '86400') // 24 hours
   
   // Handle preflight requests immediately
   if (req.method === 'OPTIONS') {
+    // tus clients also discover the server's capabilities with OPTIONS
+    if (req.path.startsWith('/api/upload/tus')) {
+      res.set(TUS_OPTIONS_HEADERS)
+    }
     console.log(`✅ CORS: Handled OPTIONS preflight for origin: ${origin || 'none'}`)
     return res.status(200).end()
   }
@@ -94,20 +128,30 @@ const corsOptions = {
   },
   credentials: true,
   optionsSuccessStatus: 200,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', ...TUS_REQUEST_HEADERS],
+  exposedHeaders: TUS_RESPONSE_HEADERS,
 }
 app.use(cors(corsOptions))
 app.use(express.json())
 app.use(express.urlencoded({ extended: true }))
 
-// Static files for uploaded images
-app.use('/uploads', express.static(join(__dirname, 'uploads')))
-
 // Routes
-app.use('/api/upload', uploadRoutes)
-app.use('/api/results', resultsRoutes)
-app.use('/api/requirements', requirementsRoutes)
+app.use('/api/auth', authRoutes)
+
+// Everything else under /api needs a logged-in user
+app.use('/api/upload/tus', requireAuth, resumableUploadRoutes)
+app.use('/api/upload', requireAuth, uploadRoutes)
+app.use('/api/results', requireAuth, resultsRoutes)
+app.use('/api/requirements', requireAuth, requirementsRoutes)
+app.use('/api/rule-sets', requireAuth, ruleSetsRoutes)
+app.use('/api/vessels', requireAuth, vesselsRoutes)
+app.use('/api/search', requireAuth, searchRoutes)
+app.use('/api/users', requireAuth, requireRole('admin'), usersRoutes)
+app.use('/api/audit', requireAuth, requireRole('admin'), auditRoutes)
+app.use('/api/trash', requireAuth, requireRole('admin'), trashRoutes)
+app.use('/api/jobs', requireAuth, jobsRoutes)
+app.use('/api/events', requireAuth, eventsRoutes)
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -147,7 +191,8 @@ app.get('/api/debug/cors', (req, res) => {
   })
 })
 
-// Auto keep-alive service - uploads small file every 10 minutes to prevent Railway sleep
+// Auto keep-alive service - pings the keep-alive endpoint every 10 minutes to prevent Railway sleep.
+// (It used to upload a small file, but uploads now need a logged-in user.)
 async function setupKeepAlive() {
   // Only run in production and if enabled
   if (process.env.NODE_ENV === 'production' && process.env.DISABLE_KEEPALIVE !== 'true') {
@@ -155,65 +200,23 @@ async function setupKeepAlive() {
     
     const performKeepAlive = async () => {
       try {
-        const fs = await import('fs')
-        const path = await import('path')
-        const FormData = (await import('form-data')).default
-        
-        // Create a small keep-alive file (~0.5KB)
-        // Fill with content to make it approximately 512 bytes
-        const keepAliveContent = 'Keep-alive file to prevent Railway service sleep. ' + 
-                                 'Generated at: ' + new Date().toISOString() + '. ' +
-                                 'This file is automatically uploaded every 10 minutes to keep the service active. ' +
-                                 'File size: ~512 bytes. '.repeat(3)
-        
-        const keepAliveDir = path.join(__dirname, 'uploads')
-        // Ensure uploads directory exists
-        if (!fs.existsSync(keepAliveDir)) {
-          fs.mkdirSync(keepAliveDir, { recursive: true })
-        }
-        
-        const keepAlivePath = path.join(keepAliveDir, `keep-alive-${Date.now()}.txt`)
-        fs.writeFileSync(keepAlivePath, keepAliveContent)
-        
-        // Prepare form data for upload
-        const formData = new FormData()
-        formData.append('file', fs.createReadStream(keepAlivePath), {
-          filename: `keep-alive-${Date.now()}.txt`,
-          contentType: 'text/plain'
-        })
-        
-        // Make internal request to upload endpoint
-        const response = await fetch(`http://localhost:${PORT}/api/upload`, {
-          method: 'POST',
-          body: formData,
-          headers: formData.getHeaders()
-        })
-        
+        const response = await fetch(`http://localhost:${PORT}/api/keepalive`)
         const result = await response.json()
         
-        // Clean up the temporary file
-        if (fs.existsSync(keepAlivePath)) {
-          try {
-            fs.unlinkSync(keepAlivePath)
-          } catch (unlinkError) {
-            // Ignore cleanup errors
-          }
-        }
-        
-        if (result.success) {
-          console.log(`✅ Keep-alive upload successful at ${new Date().toISOString()} (File ID: ${result.upload?.id})`)
+        if (result.status === 'ok') {
+          console.log(`✅ Keep-alive ping successful at ${new Date().toISOString()}`)
         } else {
-          console.warn(`⚠️ Keep-alive upload returned error: ${result.message || 'Unknown error'}`)
+          console.warn(`⚠️ Keep-alive ping returned error: ${result.message || 'Unknown error'}`)
         }
       } catch (error) {
         // Don't throw - keep-alive failures shouldn't crash the server
-        console.warn(`⚠️ Keep-alive upload failed (non-critical): ${error.message}`)
+        console.warn(`⚠️ Keep-alive ping failed (non-critical): ${error.message}`)
       }
     }
     
     // Start keep-alive immediately after server starts (wait 30 seconds for server to be ready)
     setTimeout(() => {
-      console.log('🔄 Keep-alive service starting - will upload small file every 10 minutes')
+      console.log('🔄 Keep-alive service starting - will ping the server every 10 minutes')
       performKeepAlive()
     }, 30000) // Wait 30 seconds after server starts
     
@@ -255,6 +258,17 @@ async function startServer() {
       
       // Start keep-alive service
       setupKeepAlive()
+      startTrashPurge(client)
+      startResumableUploadCleanup(client)
+      listenForResultEvents(client).catch(error => {
+        console.error('Failed to listen for result events:', error)
+      })
+      // Deployments without a worker process (npm run worker) still get their
+      // uploads analyzed; with dedicated workers, turn this off
+      if (process.env.RUN_JOBS_IN_SERVER !== 'false') {
+        startWorker(client, JOB_HANDLERS)
+        console.log('👷 Running background jobs in the server (set RUN_JOBS_IN_SERVER=false to leave them to workers)')
+      }
     })
   } catch (error) {
     console.error('Failed to initialize database:', error)
@@ -0,0 +1,126 @@
+// Append-only audit trail. Every change that matters to an auditor, and every
+// download of a drawing or report, records who did it, from where, on which
+// entity, and a snapshot of the entity before and after. Events are written
+// in the same transaction as the change where there is one, so a change is
+// never committed without its event.
+
+export const AUDIT_ENTITY_TYPES = ['result', 'waiver', 'requirement', 'rule_set', 'vessel', 'user']
+
+export const AUDIT_ACTIONS = [
+  'auth.register',
+  'auth.login',
+  'user.create',
+  'user.role_change',
+  'result.upload',
+  'result.analyze',
+  'result.download',
+  'result.file_download',
+  'result.link_vessel',
+  'result.review',
+  'result.delete',
+  'result.restore',
+  'result.purge',
+  'waiver.request',
+  'waiver.approve',
+  'waiver.reject',
+  'waiver.revoke',
+  'waiver.download',
+  'requirement.create',
+  'requirement.update',
+  'requirement.delete',
+  'rule_set.create',
+  'rule_set.update',
+  'rule_set.delete',
+  'rule_set.reorder',
+  'rule_set.import',
+  'vessel.create',
+  'vessel.update',
+  'vessel.delete',
+]
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 200
+
+// The acting user of a request; pass `user` where req.user is not set yet,
+// e.g. when logging in
+export const auditActor = (req, user = req.user) => ({
+  organizationId: user.organizationId,
+  id: user.id,
+  name: user.name,
+  ip: req.ip || null,
+})
+
+// Record an event. `before` and `after` are plain objects (or null when the
+// entity did not exist before or no longer exists after).
+export async function recordAudit(sql, actor, { action, entityType, entityId = null, before = null, after = null }) {
+  await sql`
+    INSERT INTO audit_events (organization_id, actor_id, actor_name, ip, action, entity_type, entity_id, before, after)
+    VALUES (
+      ${actor.organizationId}, ${actor.id}, ${actor.name}, ${actor.ip}, ${action}, ${entityType}, ${entityId},
+      ${before ? sql.json(before) : null}, ${after ? sql.json(after) : null}
+    )
+  `
+}
+
+// Validate the query of GET /api/audit. Returns { filters } or { error }.
+export function parseAuditFilters(query = {}) {
+  const filters = {}
+
+  if (query.action) {
+    if (!AUDIT_ACTIONS.includes(query.action)) {
+      return { error: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}` }
+    }
+    filters.action = query.action
+  }
+  if (query.entityType) {
+    if (!AUDIT_ENTITY_TYPES.includes(query.entityType)) {
+      return { error: `Entity type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}` }
+    }
+    filters.entityType = query.entityType
+  }
+
+  for (const key of ['entityId', 'actorId', 'before']) {
+    if (query[key] === undefined || query[key] === '') continue
+    const value = parseInt(query[key])
+    if (isNaN(value)) {
+      return { error: `${key} must be a number` }
+    }
+    filters[key] = value
+  }
+
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue
+    const date = new Date(query[key])
+    if (isNaN(date.getTime())) {
+      return { error: `${key} must be a date` }
+    }
+    // A bare date in `to` includes the whole day
+    if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+      date.setUTCDate(date.getUTCDate() + 1)
+    }
+    filters[key] = date
+  }
+
+  const limit = parseInt(query.limit)
+  filters.limit = isNaN(limit) || limit < 1 ? DEFAULT_LIMIT : Math.min(limit, MAX_LIMIT)
+
+  return { filters }
+}
+
+// Events of an organization, newest first. `before` is the ID of the last
+// event of the previous page.
+export const selectAuditEvents = (sql, organizationId, filters) => sql`
+  SELECT id, actor_id as "actorId", actor_name as "actorName", ip, action,
+         entity_type as "entityType", entity_id as "entityId", before, after, created_at as "createdAt"
+  FROM audit_events
+  WHERE organization_id = ${organizationId}
+  ${filters.action ? sql`AND action = ${filters.action}` : sql``}
+  ${filters.entityType ? sql`AND entity_type = ${filters.entityType}` : sql``}
+  ${filters.entityId !== undefined ? sql`AND entity_id = ${filters.entityId}` : sql``}
+  ${filters.actorId !== undefined ? sql`AND actor_id = ${filters.actorId}` : sql``}
+  ${filters.from ? sql`AND created_at >= ${filters.from}` : sql``}
+  ${filters.to ? sql`AND created_at < ${filters.to}` : sql``}
+  ${filters.before !== undefined ? sql`AND id < ${filters.before}` : sql``}
+  ORDER BY id DESC
+  LIMIT ${filters.limit}
+`
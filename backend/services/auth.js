@@ -0,0 +1,124 @@
+// User accounts, password hashing and login sessions.
+// Sessions are opaque bearer tokens: the client keeps the token, the database
+// only keeps its SHA-256 hash, so a leaked table cannot be replayed.
+
+import { randomBytes, scrypt, timingSafeEqual, createHash } from 'crypto'
+import { promisify } from 'util'
+
+const scryptAsync = promisify(scrypt)
+
+const KEY_LENGTH = 64
+const MIN_PASSWORD_LENGTH = 8
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// engineer: uploads drawings and sees their own results
+// reviewer: sees every result and signs results off
+// admin: everything, including the rulebook and user accounts
+export const ROLES = ['engineer', 'reviewer', 'admin']
+
+export const canViewAllResults = (user) => user.role === 'reviewer' || user.role === 'admin'
+
+export const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS) || 30
+
+// Stored as "scrypt$<salt>$<hash>" so the scheme can change later
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex')
+  const key = await scryptAsync(password, salt, KEY_LENGTH)
+  return `scrypt$${salt}$${key.toString('hex')}`
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$')
+  if (scheme !== 'scrypt' || !salt || !hash) return false
+
+  const expected = Buffer.from(hash, 'hex')
+  const key = await scryptAsync(password, salt, expected.length)
+  return timingSafeEqual(key, expected)
+}
+
+// Checked instead when no account has the email, so an unknown email takes
+// as long as a wrong password and can't be told apart by timing
+const DUMMY_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex')
+
+// Validate the email, name and password of a new account.
+// Returns { user } on success or { error } with a user-facing message.
+export function parseUserInput(body = {}) {
+  const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : ''
+  const name = typeof body.name === 'string' ? body.name.trim() : ''
+  const password = typeof body.password === 'string' ? body.password : ''
+
+  if (!EMAIL_PATTERN.test(email)) {
+    return { error: 'A valid email address is required' }
+  }
+  if (!name) {
+    return { error: 'Name is required' }
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` }
+  }
+
+  return { user: { email, name, password } }
+}
+
+export const userColumns = (sql) => sql`
+  id, email, name, role, organization_id as "organizationId", created_at as "createdAt"
+`
+
+// A user with the name of their organization, as returned by the auth API
+const accountColumns = (sql) => sql`
+  u.id, u.email, u.name, u.role, u.organization_id as "organizationId",
+  o.name as "organizationName", u.created_at as "createdAt"
+`
+
+export async function findAccountByEmail(sql, email) {
+  const [account] = await sql`
+    SELECT ${accountColumns(sql)}, u.password_hash as "passwordHash"
+    FROM users u
+    JOIN organizations o ON u.organization_id = o.id
+    WHERE u.email = ${email}
+  `
+  return account || null
+}
+
+// The account (without its password hash) with the email and password, or
+// null. Unknown emails cost the same scrypt run as wrong passwords.
+export async function authenticate(sql, email, password) {
+  const account = await findAccountByEmail(sql, email)
+  const valid = await verifyPassword(password, account ? account.passwordHash : DUMMY_PASSWORD_HASH)
+  if (!account || !valid) return null
+
+  const { passwordHash, ...user } = account
+  return user
+}
+
+// Start a session for a user and return the bearer token
+export async function createSession(sql, userId) {
+  const token = randomBytes(32).toString('base64url')
+  const [session] = await sql`
+    INSERT INTO sessions (user_id, token_hash, expires_at)
+    VALUES (${userId}, ${hashToken(token)}, NOW() + ${SESSION_TTL_DAYS} * INTERVAL '1 day')
+    RETURNING expires_at as "expiresAt"
+  `
+  // Expired sessions are only ever cleaned up here
+  await sql`DELETE FROM sessions WHERE user_id = ${userId} AND expires_at < NOW()`
+  return { token, expiresAt: session.expiresAt }
+}
+
+// The user owning a valid, unexpired token, or null
+export async function findSessionUser(sql, token) {
+  if (!token) return null
+  const [user] = await sql`
+    SELECT ${accountColumns(sql)}
+    FROM sessions s
+    JOIN users u ON s.user_id = u.id
+    JOIN organizations o ON u.organization_id = o.id
+    WHERE s.token_hash = ${hashToken(token)} AND s.expires_at > NOW()
+  `
+  return user || null
+}
+
+export async function deleteSession(sql, token) {
+  await sql`DELETE FROM sessions WHERE token_hash = ${hashToken(token)}`
+}
@@ -0,0 +1,34 @@
+import { extname } from 'path'
+import { registerCheck, STATUS } from './engine.js'
+
+// Built-in checks that only need the upload metadata
+
+registerCheck('max_file_size', (context, params) => {
+  const { fileSize } = context.upload
+  const maxBytes = Number(params.maxBytes)
+
+  if (!maxBytes || fileSize == null) {
+    return { status: STATUS.UNDETERMINED, detail: 'File size or limit unknown' }
+  }
+
+  const sizeMb = (fileSize / (1024 * 1024)).toFixed(2)
+  const limitMb = (maxBytes / (1024 * 1024)).toFixed(2)
+  if (fileSize <= maxBytes) {
+    return { status: STATUS.PASS, detail: `File size ${sizeMb} MB is within the ${limitMb} MB limit` }
+  }
+  return { status: STATUS.FAIL, detail: `File size ${sizeMb} MB exceeds the ${limitMb} MB limit` }
+})
+
+registerCheck('allowed_file_types', (context, params) => {
+  const extensions = (params.extensions || []).map(ext => ext.toLowerCase().replace(/^\./, ''))
+  const ext = extname(context.upload.originalFilename || '').toLowerCase().replace(/^\./, '')
+
+  if (extensions.length === 0 || !ext) {
+    return { status: STATUS.UNDETERMINED, detail: 'File extension or allowed list unknown' }
+  }
+
+  if (extensions.includes(ext)) {
+    return { status: STATUS.PASS, detail: `.${ext} is a supported format` }
+  }
+  return { status: STATUS.FAIL, detail: `.${ext} is not one of the supported formats (${extensions.join(', ')})` }
+})
@@ -0,0 +1,94 @@
+// Pluggable rule-evaluation engine.
+// A "check" is a function registered under a check type. Requirements that
+// carry a check_type are evaluated by the matching check; everything else is
+// reported as undetermined instead of being guessed.
+
+export const STATUS = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  UNDETERMINED: 'undetermined',
+}
+
+export const SEVERITY = {
+  CRITICAL: 'critical',
+  MAJOR: 'major',
+  MINOR: 'minor',
+}
+
+const checks = new Map()
+
+// Register a check. `fn(context, params, requirement)` may be async and must
+// return { status, detail } where status is one of STATUS. A failing check
+// may also return `findings: [{ message, severity, location }]` to report
+// several violations (e.g. one per location on the drawing); otherwise a
+// single finding is derived from `detail`.
+export function registerCheck(type, fn) {
+  if (!type || typeof fn !== 'function') {
+    throw new Error('registerCheck requires a type and a check function')
+  }
+  checks.set(type, fn)
+}
+
+export function getRegisteredChecks() {
+  return [...checks.keys()]
+}
+
+function buildFindings(outcome, requirement) {
+  const reported = Array.isArray(outcome.findings) && outcome.findings.length > 0
+    ? outcome.findings
+    : [{ message: outcome.detail, severity: outcome.severity, location: outcome.location }]
+
+  return reported.map((finding) => ({
+    severity: Object.values(SEVERITY).includes(finding.severity) ? finding.severity : SEVERITY.MAJOR,
+    message: finding.message || outcome.detail || requirement.description,
+    reference: finding.reference || requirement.reference || null,
+    location: finding.location || null,
+  }))
+}
+
+async function evaluateRequirement(requirement, context) {
+  const checkType = requirement.checkType
+  if (!checkType) {
+    return { status: STATUS.UNDETERMINED, detail: 'No automated check configured for this requirement', findings: [] }
+  }
+
+  const check = checks.get(checkType)
+  if (!check) {
+    return { status: STATUS.UNDETERMINED, detail: `Unknown check type: ${checkType}`, findings: [] }
+  }
+
+  try {
+    const outcome = await check(context, requirement.checkParams || {}, requirement)
+    if (!outcome || !Object.values(STATUS).includes(outcome.status)) {
+      return { status: STATUS.UNDETERMINED, detail: `Check ${checkType} returned no usable status`, findings: [] }
+    }
+    return {
+      status: outcome.status,
+      detail: outcome.detail || null,
+      findings: outcome.status === STATUS.FAIL ? buildFindings(outcome, requirement) : [],
+    }
+  } catch (error) {
+    console.warn(`Check ${checkType} failed for requirement ${requirement.id}:`, error.message)
+    return { status: STATUS.UNDETERMINED, detail: `Check failed: ${error.message}`, findings: [] }
+  }
+}
+
+// Evaluate every requirement against the given context
+export async function evaluateRequirements(requirements, context) {
+  const evaluations = []
+  for (const requirement of requirements) {
+    const outcome = await evaluateRequirement(requirement, context)
+    evaluations.push({ requirementId: requirement.id, ...outcome })
+  }
+  return evaluations
+}
+
+export function summarize(evaluations) {
+  const summary = { passed: 0, failed: 0, undetermined: 0 }
+  for (const evaluation of evaluations) {
+    if (evaluation.status === STATUS.PASS) summary.passed++
+    else if (evaluation.status === STATUS.FAIL) summary.failed++
+    else summary.undetermined++
+  }
+  return summary
+}
@@ -0,0 +1,73 @@
+import { client } from '../../db/config.js'
+import { evaluateRequirements, summarize } from './engine.js'
+import { getCurrentRulebookVersion } from '../requirements.js'
+import { removeStaleReports } from '../reportCache.js'
+import './checks.js'
+
+export { registerCheck, getRegisteredChecks, STATUS, SEVERITY } from './engine.js'
+
+// Evaluate an upload against the current version of a rule set without
+// recording anything; pass the outcome to saveEvaluation. `upload` needs the
+// fields the checks read (originalFilename, fileSize, absolutePath).
+export async function evaluateUpload(upload, ruleSetId) {
+  const { rulebookVersion, requirements } = await client.begin('isolation level repeatable read', async (sql) => ({
+    rulebookVersion: await getCurrentRulebookVersion(sql, ruleSetId),
+    requirements: await sql`
+      SELECT id, code, description, reference, category, version,
+             check_type as "checkType", check_params as "checkParams"
+      FROM requirements
+      WHERE rule_set_id = ${ruleSetId} AND deleted_at IS NULL
+      ORDER BY sort_order ASC, id ASC
+    `,
+  }))
+  const versionById = new Map(requirements.map(requirement => [requirement.id, requirement.version]))
+
+  const evaluations = await evaluateRequirements(requirements, { upload })
+  return { evaluations, summary: summarize(evaluations), ruleSetId, rulebookVersion, versionById }
+}
+
+// Persist the outcome of evaluateUpload for a result, together with the rule
+// set, its version and the version of each requirement it was checked
+// against. Replaces any previous evaluation; runs in the caller's transaction.
+export async function saveEvaluation(sql, resultId, { evaluations, summary, ruleSetId, rulebookVersion, versionById }) {
+  await sql`DELETE FROM rule_evaluations WHERE result_id = ${resultId}`
+  await sql`DELETE FROM findings WHERE result_id = ${resultId}`
+
+  for (const evaluation of evaluations) {
+    await sql`
+      INSERT INTO rule_evaluations (result_id, requirement_id, requirement_version, status, detail)
+      VALUES (
+        ${resultId}, ${evaluation.requirementId}, ${versionById.get(evaluation.requirementId)},
+        ${evaluation.status}, ${evaluation.detail}
+      )
+    `
+
+    for (const finding of evaluation.findings) {
+      await sql`
+        INSERT INTO findings (result_id, requirement_id, requirement_version, severity, message, regulation_reference, location)
+        VALUES (
+          ${resultId}, ${evaluation.requirementId}, ${versionById.get(evaluation.requirementId)},
+          ${finding.severity}, ${finding.message},
+          ${finding.reference}, ${finding.location ? sql.json(finding.location) : null}
+        )
+      `
+    }
+  }
+
+  await sql`
+    UPDATE results
+    SET issues_detected = ${summary.failed}, rule_set_id = ${ruleSetId},
+        rulebook_version = ${rulebookVersion || null}, report_path = NULL, updated_at = NOW()
+    WHERE id = ${resultId}
+  `
+}
+
+// Evaluate an upload and record the outcome for an existing result
+export async function runComplianceCheck(resultId, upload, ruleSetId) {
+  const outcome = await evaluateUpload(upload, ruleSetId)
+  await client.begin(sql => saveEvaluation(sql, resultId, outcome))
+  // Any cached report shows the previous evaluation
+  removeStaleReports(resultId)
+
+  return { evaluations: outcome.evaluations, summary: outcome.summary, ruleSetId, rulebookVersion: outcome.rulebookVersion }
+}
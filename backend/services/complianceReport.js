@@ -0,0 +1,402 @@
+// Compliance report PDF: a cover page, the pass/fail summary of every
+// requirement, the details of each open violation, the waived findings with
+// their justification and the uploaded drawing as an appendix.
+import PDFDocument from 'pdfkit'
+import { selectEvaluations, selectFindings } from './results.js'
+import { formatReviewStatus } from './reviews.js'
+
+const COLORS = {
+  text: '#1a1a1a',
+  muted: '#666666',
+  rule: '#d9d9d9',
+  headerFill: '#f3f4f6',
+  pass: '#059669',
+  fail: '#dc2626',
+  undetermined: '#b45309',
+  waived: '#2563eb',
+}
+
+const STATUS_LABELS = {
+  pass: 'Pass',
+  fail: 'Fail',
+  undetermined: 'Manual review',
+  waived: 'Waived',
+}
+
+const SEVERITY_COLORS = {
+  critical: COLORS.fail,
+  major: '#ea580c',
+  minor: COLORS.undetermined,
+}
+
+// pdfkit can only embed JPEG and PNG images
+const EMBEDDABLE_IMAGES = ['image/jpeg', 'image/jpg', 'image/png']
+const MAX_APPENDIX_TEXT = 100000
+// Larger uploads are left out of the appendix: the whole file is held in
+// memory while the report is built, and the report would be as large as it
+const MAX_APPENDIX_FILE_SIZE = 20 * 1024 * 1024 // 20MB
+
+// Everything the report shows, or null when the result does not exist in the
+// organization
+export async function loadReportData(sql, organizationId, resultId) {
+  const [result] = await sql`
+    SELECT
+      r.id,
+      r.issues_detected as "issuesDetected",
+      r.rulebook_version as "rulebookVersion",
+      r.created_at as "createdAt",
+      r.updated_at as "evaluatedAt",
+      r.report_path as "reportPath",
+      r.review_status as "reviewStatus",
+      r.reviewed_at as "reviewedAt",
+      approval.reviewer_name as "approvedBy",
+      approval.created_at as "approvedAt",
+      (
+        SELECT MAX(w.updated_at) FROM waivers w
+        JOIN findings f ON w.finding_id = f.id
+        WHERE f.result_id = r.id
+      ) as "waiversUpdatedAt",
+      u.original_filename as "originalFilename",
+      u.file_path as "filePath",
+      u.file_size as "fileSize",
+      u.file_type as "fileType",
+      u.uploaded_at as "uploadedAt",
+      rs.name as "ruleSetName",
+      rs.society as "ruleSetSociety",
+      rs.vessel_type as "ruleSetVesselType",
+      rs.updated_at as "ruleSetUpdatedAt",
+      v.name as "vesselName",
+      v.imo_number as "imoNumber",
+      v.vessel_type as "vesselType",
+      v.owner as "vesselOwner",
+      v.updated_at as "vesselUpdatedAt"
+    FROM results r
+    LEFT JOIN uploads u ON r.upload_id = u.id
+    LEFT JOIN vessels v ON u.vessel_id = v.id
+    LEFT JOIN rule_sets rs ON r.rule_set_id = rs.id
+    LEFT JOIN LATERAL (
+      SELECT reviewer_name, created_at FROM result_reviews
+      WHERE result_id = r.id AND to_status = 'approved'
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    ) approval ON r.review_status = 'approved'
+    WHERE r.id = ${resultId} AND r.organization_id = ${organizationId}
+  `
+  if (!result) return null
+
+  const [evaluations, findings] = await Promise.all([
+    selectEvaluations(sql, resultId),
+    selectFindings(sql, resultId),
+  ])
+
+  return { result, evaluations, findings }
+}
+
+// Drawings without a vessel are named after the file, as on the Results page
+export const vesselNameFor = (result) =>
+  result.vesselName ||
+  (result.originalFilename ? result.originalFilename.replace(/\.[^/.]+$/, '') : `Result ${result.id}`)
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }) : '-'
+
+const formatSize = (bytes) => (bytes ? `${(bytes / 1024).toFixed(1)} KB` : '-')
+
+// Status of an evaluation in the report; failed requirements whose findings
+// are all waived show as waived
+const reportStatus = (evaluation) => (evaluation.status === 'fail' && evaluation.waived ? 'waived' : evaluation.status)
+
+function overallStatus(counts) {
+  if (counts.total === 0) return { label: 'Not evaluated', color: COLORS.muted }
+  if (counts.fail > 0) return { label: 'Non-compliant', color: COLORS.fail }
+  if (counts.waived > 0) return { label: 'Compliant with waivers', color: COLORS.pass }
+  return { label: 'Compliant', color: COLORS.pass }
+}
+
+function heading(doc, text) {
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(COLORS.text).text(text)
+  doc.moveDown(0.5)
+}
+
+// Label/value lines on the cover page
+function field(doc, label, value) {
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.muted).text(label, { continued: true })
+  doc.font('Helvetica').fillColor(COLORS.text).text(`  ${value}`)
+  doc.moveDown(0.3)
+}
+
+function drawCover(doc, { result }, counts) {
+  const status = overallStatus(counts)
+  const ruleSetDetails = [result.ruleSetSociety, result.ruleSetVesselType].filter(Boolean).join(', ')
+
+  doc.moveDown(4)
+  doc.font('Helvetica-Bold').fontSize(28).fillColor(COLORS.text).text('Compliance Report', { align: 'center' })
+  doc.moveDown(0.5)
+  doc.font('Helvetica').fontSize(16).fillColor(COLORS.muted).text(vesselNameFor(result), { align: 'center' })
+  doc.moveDown(3)
+
+  field(doc, 'Vessel:', vesselNameFor(result))
+  if (result.imoNumber) field(doc, 'IMO number:', result.imoNumber)
+  if (result.vesselType) field(doc, 'Vessel type:', result.vesselType)
+  if (result.vesselOwner) field(doc, 'Owner:', result.vesselOwner)
+  field(doc, 'Drawing:', result.originalFilename || '-')
+  field(doc, 'Date:', formatDate(result.evaluatedAt || result.createdAt))
+  field(doc, 'Rule set:', result.ruleSetName
+    ? `${result.ruleSetName}${ruleSetDetails ? ` (${ruleSetDetails})` : ''}, version ${result.rulebookVersion}`
+    : result.rulebookVersion ? `Rulebook version ${result.rulebookVersion}` : '-')
+  field(doc, 'Report reference:', `Result #${result.id}`)
+  // Class submissions need a named approver; unapproved reports say so
+  if (result.reviewStatus === 'approved') {
+    field(doc, 'Approved by:', `${result.approvedBy}, ${formatDate(result.approvedAt)}`)
+  } else {
+    const reviewStatus = formatReviewStatus(result.reviewStatus)
+    field(doc, 'Review status:', `${reviewStatus.charAt(0).toUpperCase()}${reviewStatus.slice(1)} (not approved)`)
+  }
+
+  doc.moveDown(2)
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(status.color).text(status.label, { align: 'center' })
+  doc.moveDown(0.5)
+  doc.font('Helvetica').fontSize(12).fillColor(COLORS.text).text(
+    `${counts.pass} passed, ${counts.fail} failed, ${counts.waived ? `${counts.waived} waived, ` : ''}${counts.undetermined} need manual review`,
+    { align: 'center' }
+  )
+}
+
+// Simple table that wraps cell text and repeats its header on new pages.
+// `columns` is a list of { header, width }; `rows` a list of cell lists where
+// a cell is a string or { text, color, bold }.
+function drawTable(doc, columns, rows) {
+  const left = doc.page.margins.left
+  const padding = 4
+
+  const drawRow = (cells, { header = false } = {}) => {
+    const texts = cells.map(cell => (typeof cell === 'object' && cell !== null ? cell : { text: cell }))
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+    const height = Math.max(
+      ...texts.map((cell, i) => doc.heightOfString(String(cell.text ?? '-'), { width: columns[i].width - padding * 2 }))
+    ) + padding * 2
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage()
+      if (!header) drawRow(columns.map(column => column.header), { header: true })
+    }
+
+    const top = doc.y
+    if (header) {
+      doc.rect(left, top, columns.reduce((sum, column) => sum + column.width, 0), height).fill(COLORS.headerFill)
+    }
+
+    let x = left
+    texts.forEach((cell, i) => {
+      doc.font(header || cell.bold ? 'Helvetica-Bold' : 'Helvetica')
+        .fillColor(cell.color || COLORS.text)
+        .text(String(cell.text ?? '-'), x + padding, top + padding, { width: columns[i].width - padding * 2 })
+      x += columns[i].width
+    })
+
+    doc.moveTo(left, top + height).lineTo(x, top + height).strokeColor(COLORS.rule).lineWidth(0.5).stroke()
+    doc.x = left
+    doc.y = top + height
+  }
+
+  drawRow(columns.map(column => column.header), { header: true })
+  rows.forEach(row => drawRow(row))
+}
+
+function drawSummary(doc, { evaluations }) {
+  heading(doc, 'Requirement Summary')
+
+  if (evaluations.length === 0) {
+    doc.font('Helvetica').fontSize(11).fillColor(COLORS.muted).text('This result has not been evaluated against any requirements.')
+    return
+  }
+
+  drawTable(doc, [
+    { header: 'Code', width: 55 },
+    { header: 'Requirement', width: 260 },
+    { header: 'Reference', width: 110 },
+    { header: 'Status', width: 70 },
+  ], evaluations.map(evaluation => {
+    const status = reportStatus(evaluation)
+    return [
+      evaluation.code || '-',
+      evaluation.description,
+      evaluation.reference || '-',
+      { text: STATUS_LABELS[status] || status, color: COLORS[status], bold: true },
+    ]
+  }))
+}
+
+function formatLocation(location) {
+  if (!location) return null
+  if (typeof location !== 'object') return String(location)
+  return Object.entries(location).map(([key, value]) => `${key}: ${value}`).join(', ')
+}
+
+const isWaived = (finding) => finding.waiver?.status === 'approved'
+
+// One numbered finding with its requirement, message, reference and location
+function drawFinding(doc, finding, number) {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 80) doc.addPage()
+
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text)
+    .text(`${number}. ${finding.requirementCode || 'Requirement'}  `, { continued: true })
+    .fillColor(SEVERITY_COLORS[finding.severity] || COLORS.text)
+    .text(finding.severity.toUpperCase())
+  if (finding.requirement) {
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor(COLORS.muted).text(finding.requirement)
+  }
+  doc.moveDown(0.2)
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(finding.message)
+  doc.fontSize(9).fillColor(COLORS.muted).text(`Regulation reference: ${finding.regulationReference || '-'}`)
+  const location = formatLocation(finding.location)
+  if (location) doc.text(`Location on drawing: ${location}`)
+}
+
+function drawViolations(doc, { findings }) {
+  heading(doc, 'Violation Details')
+
+  const open = findings.filter(finding => !isWaived(finding))
+  if (open.length === 0) {
+    doc.font('Helvetica').fontSize(11).fillColor(COLORS.muted).text(
+      findings.length === 0 ? 'No violations were found.' : 'All violations have been waived.'
+    )
+    return
+  }
+
+  open.forEach((finding, index) => {
+    drawFinding(doc, finding, index + 1)
+    doc.moveDown(0.8)
+  })
+}
+
+// Findings accepted with an approved waiver, with the justification and the
+// approver on record
+function drawWaivers(doc, { findings }) {
+  const waived = findings.filter(isWaived)
+  if (waived.length === 0) return
+
+  doc.addPage()
+  heading(doc, 'Waived Items')
+
+  waived.forEach((finding, index) => {
+    const { waiver } = finding
+    drawFinding(doc, finding, index + 1)
+    doc.moveDown(0.2)
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.waived).text('Justification: ', { continued: true })
+      .font('Helvetica').fillColor(COLORS.text).text(waiver.reason)
+    if (waiver.attachmentFilename) {
+      doc.fillColor(COLORS.muted).text(`Supporting document: ${waiver.attachmentFilename}`)
+    }
+    doc.fillColor(COLORS.muted).text(
+      `Requested by ${waiver.requestedBy}; approved by ${waiver.approver}, ${formatDate(waiver.decidedAt)}`
+    )
+    if (waiver.decisionComment) {
+      doc.text(`Approver comment: ${waiver.decisionComment}`)
+    }
+    doc.moveDown(0.8)
+  })
+}
+
+// Whether the report includes the uploaded file of a result; only then is
+// the file read for it
+export const appendixIncludesFile = (result) => result.fileSize <= MAX_APPENDIX_FILE_SIZE
+
+// The uploaded drawing. Images are embedded, PDFs attached, text inlined.
+function drawAppendix(doc, { result }, content) {
+  heading(doc, 'Appendix: Submitted Drawing')
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+    .text(`${result.originalFilename || '-'}  |  ${result.fileType || 'unknown type'}  |  ${formatSize(result.fileSize)}  |  uploaded ${formatDate(result.uploadedAt)}`)
+  doc.moveDown()
+
+  if (!appendixIncludesFile(result)) {
+    doc.fontSize(11).fillColor(COLORS.text).text(
+      `The submitted file is larger than ${MAX_APPENDIX_FILE_SIZE / (1024 * 1024)} MB and is not included in this report. Download it from the result in the application.`
+    )
+    return
+  }
+
+  if (!content) {
+    doc.fontSize(11).fillColor(COLORS.text).text('The submitted file is no longer available.')
+    return
+  }
+
+  const fileType = (result.fileType || '').toLowerCase()
+
+  try {
+    if (EMBEDDABLE_IMAGES.includes(fileType)) {
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right
+      const height = doc.page.height - doc.y - doc.page.margins.bottom
+      doc.image(content, { fit: [width, height], align: 'center', valign: 'top' })
+    } else if (fileType === 'application/pdf') {
+      doc.file(content, { name: result.originalFilename, type: 'application/pdf', description: 'Submitted drawing' })
+      doc.fontSize(11).fillColor(COLORS.text)
+        .text('The submitted PDF is attached to this report. Open the attachments panel of your PDF viewer to view it.')
+    } else if (fileType.startsWith('text/')) {
+      // A UTF-8 character is at most 4 bytes, so this holds everything shown
+      const text = content.subarray(0, MAX_APPENDIX_TEXT * 4).toString('utf-8')
+      const truncated = text.length > MAX_APPENDIX_TEXT || content.length > MAX_APPENDIX_TEXT * 4
+      doc.font('Courier').fontSize(8).fillColor(COLORS.text).text(
+        truncated ? `${text.slice(0, MAX_APPENDIX_TEXT)}\n\n[... Content truncated due to length ...]` : text
+      )
+    } else {
+      doc.file(content, { name: result.originalFilename, type: result.fileType, description: 'Submitted file' })
+      doc.fontSize(11).fillColor(COLORS.text)
+        .text('This file type cannot be shown inline; the submitted file is attached to this report.')
+    }
+  } catch (error) {
+    console.error('Error adding drawing to report:', error)
+    doc.font('Helvetica').fontSize(11).fillColor(COLORS.text).text('The submitted file could not be included in the report.')
+  }
+}
+
+function drawPageNumbers(doc, { result }) {
+  const { start, count } = doc.bufferedPageRange()
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i)
+    // Writing inside the bottom margin would otherwise start a new page
+    const bottom = doc.page.margins.bottom
+    doc.page.margins.bottom = 0
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted).text(
+      `Compliance report - Result #${result.id}  |  Page ${i + 1} of ${count}`,
+      doc.page.margins.left,
+      doc.page.height - bottom / 2,
+      { align: 'center', width: doc.page.width - doc.page.margins.left - doc.page.margins.right }
+    )
+    doc.page.margins.bottom = bottom
+  }
+}
+
+// Write the report for data from loadReportData to a writable stream.
+// `content` is the uploaded file as a Buffer, or null when it is missing or
+// too large to include (appendixIncludesFile).
+export function writeComplianceReport(data, content, output) {
+  const counts = { total: data.evaluations.length, pass: 0, fail: 0, undetermined: 0, waived: 0 }
+  data.evaluations.forEach(evaluation => {
+    const status = reportStatus(evaluation)
+    counts[status] = (counts[status] || 0) + 1
+  })
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    bufferPages: true,
+    info: {
+      Title: `Compliance Report - ${vesselNameFor(data.result)}`,
+      Subject: data.result.originalFilename || undefined,
+    },
+  })
+  doc.pipe(output)
+
+  drawCover(doc, data, counts)
+  doc.addPage()
+  drawSummary(doc, data)
+  doc.addPage()
+  drawViolations(doc, data)
+  drawWaivers(doc, data)
+  doc.addPage()
+  drawAppendix(doc, data, content)
+  drawPageNumbers(doc, data)
+
+  doc.end()
+}
@@ -0,0 +1,68 @@
+// Live events about results, streamed to clients by GET /api/events. Events
+// are published with Postgres NOTIFY, so those of the worker reach the server
+// too; published in a transaction, they are only sent once it commits. Each
+// server LISTENs and passes them on to the streams of users who can see the
+// result.
+import { canViewAllResults } from './auth.js'
+
+const EVENTS_CHANNEL = 'result_events'
+
+export const RESULT_CREATED = 'result.created'
+export const RESULT_ANALYZED = 'result.analyzed'
+export const RESULT_REVIEWED = 'result.reviewed'
+export const RESULT_DELETED = 'result.deleted'
+export const RESULT_RESTORED = 'result.restored'
+
+const subscribers = new Set()
+
+// Publish an event of `type` about a result on behalf of `actor`, an audit
+// actor (services/audit.js) whose `id` is null for automatic actions.
+// `details` are added to the event, e.g. the new review status.
+export async function publishResultEvent(sql, actor, type, resultId, details = {}) {
+  const [result] = await sql`
+    SELECT r.organization_id as "organizationId", u.user_id as "ownerId", u.original_filename as "filename"
+    FROM results r
+    LEFT JOIN uploads u ON r.upload_id = u.id
+    WHERE r.id = ${resultId}
+  `
+  if (!result) return
+
+  const event = {
+    ...result,
+    type,
+    resultId,
+    actorId: actor.id,
+    actorName: actor.name,
+    ...details,
+    createdAt: new Date().toISOString(),
+  }
+  await sql`SELECT pg_notify(${EVENTS_CHANNEL}, ${JSON.stringify(event)})`
+}
+
+// Start passing published events on to the subscribers of this process
+export async function listenForResultEvents(client) {
+  await client.listen(EVENTS_CHANNEL, (payload) => {
+    let event
+    try {
+      event = JSON.parse(payload)
+    } catch (error) {
+      console.warn('⚠️ Ignoring malformed result event:', error.message)
+      return
+    }
+    for (const subscriber of subscribers) subscriber(event)
+  })
+}
+
+// Call `handler` with every event until the returned function is called
+export function subscribeResultEvents(handler) {
+  subscribers.add(handler)
+  return () => subscribers.delete(handler)
+}
+
+// Whether `user` may see an event: one about a result of their organization
+// they can see
+export const canReceiveEvent = (user, event) =>
+  event.organizationId === user.organizationId && (canViewAllResults(user) || event.ownerId === user.id)
+
+// API shape of an event
+export const formatEvent = ({ organizationId, ownerId, ...event }) => event
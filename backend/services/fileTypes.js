@@ -0,0 +1,298 @@
+// What an uploaded file really is. The type a client sends is only a claim:
+// uploads are checked against their magic bytes (and, for Office documents,
+// the parts inside the ZIP container), and images are rewritten without the
+// metadata cameras and editors put in them (EXIF with GPS positions, XMP,
+// IPTC, comments).
+import fs from 'fs'
+import { extname } from 'path'
+
+// Accepted types with the extension files of the type are stored under and
+// the content they must have
+export const FILE_TYPES = {
+  'image/jpeg': { extension: '.jpg', content: 'jpeg', label: 'JPEG image' },
+  'image/jpg': { extension: '.jpg', content: 'jpeg', label: 'JPEG image' },
+  'image/png': { extension: '.png', content: 'png', label: 'PNG image' },
+  'image/gif': { extension: '.gif', content: 'gif', label: 'GIF image' },
+  'application/pdf': { extension: '.pdf', content: 'pdf', label: 'PDF document' },
+  'text/plain': { extension: '.txt', content: 'text', label: 'text file' },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    extension: '.docx', content: 'docx', label: 'Word document',
+  },
+  'text/csv': { extension: '.csv', content: 'text', label: 'CSV file' },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+    extension: '.xlsx', content: 'xlsx', label: 'Excel workbook',
+  },
+  'text/html': { extension: '.html', content: 'text', label: 'HTML file' },
+}
+
+// Stored files browsers may show inline; everything else, HTML in particular,
+// is only served as a download
+const INLINE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif']
+
+export const isInlineImage = (filename) => INLINE_EXTENSIONS.includes(extname(filename).toLowerCase())
+
+const SIGNATURES = [
+  { content: 'jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { content: 'png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { content: 'gif', bytes: [...Buffer.from('GIF87a')] },
+  { content: 'gif', bytes: [...Buffer.from('GIF89a')] },
+  { content: 'pdf', bytes: [...Buffer.from('%PDF-')] },
+  { content: 'zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+]
+
+// Text files are judged by their first bytes: no NUL bytes
+const TEXT_SAMPLE_SIZE = 8192
+
+// Central directories of larger archives are not read
+const MAX_ZIP_DIRECTORY_SIZE = 16 * 1024 * 1024
+
+function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length)
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position)
+  return buffer.subarray(0, bytesRead)
+}
+
+// Names of the entries in a ZIP archive, from its central directory, or null
+// when it has none that can be read
+function zipEntryNames(fd, size) {
+  // The end of central directory record is in the last 22 bytes plus an
+  // archive comment of up to 64 KB
+  const tailLength = Math.min(size, 22 + 0xFFFF)
+  const tail = readAt(fd, size - tailLength, tailLength)
+  const end = tail.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]))
+  if (end < 0 || end + 22 > tail.length) return null
+
+  const entryCount = tail.readUInt16LE(end + 10)
+  const directorySize = tail.readUInt32LE(end + 12)
+  const directoryOffset = tail.readUInt32LE(end + 16)
+  if (directorySize > MAX_ZIP_DIRECTORY_SIZE || directoryOffset + directorySize > size) return null
+
+  const directory = readAt(fd, directoryOffset, directorySize)
+  const names = []
+  let position = 0
+  for (let i = 0; i < entryCount; i++) {
+    if (position + 46 > directory.length || directory.readUInt32LE(position) !== 0x02014B50) return null
+    const nameLength = directory.readUInt16LE(position + 28)
+    const extraLength = directory.readUInt16LE(position + 30)
+    const commentLength = directory.readUInt16LE(position + 32)
+    names.push(directory.toString('utf8', position + 46, position + 46 + nameLength))
+    position += 46 + nameLength + extraLength + commentLength
+  }
+  return names
+}
+
+// The kind of content of a file by its bytes: 'jpeg', 'png', 'gif', 'pdf',
+// 'docx', 'xlsx', 'zip' (any other archive), 'text', or null (other binary)
+export function detectContent(path) {
+  const fd = fs.openSync(path, 'r')
+  try {
+    const { size } = fs.fstatSync(fd)
+    const head = readAt(fd, 0, Math.min(size, TEXT_SAMPLE_SIZE))
+
+    const signature = SIGNATURES.find(({ bytes }) =>
+      head.length >= bytes.length && bytes.every((byte, i) => head[i] === byte))
+
+    if (signature?.content === 'zip') {
+      const names = zipEntryNames(fd, size) || []
+      if (names.includes('[Content_Types].xml')) {
+        if (names.some(name => name.startsWith('word/'))) return 'docx'
+        if (names.some(name => name.startsWith('xl/'))) return 'xlsx'
+      }
+      return 'zip'
+    }
+    if (signature) return signature.content
+
+    return head.includes(0) ? null : 'text'
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+// Check that a file's content is of the type the client claimed. Returns an
+// error message, or null when it matches.
+export function verifyFileType(path, claimedType) {
+  const type = FILE_TYPES[claimedType]
+  if (!type) return 'Invalid file type'
+  if (detectContent(path) !== type.content) {
+    return `The file is not a valid ${type.label}`
+  }
+  return null
+}
+
+// Reads a file in blocks, for parsers that look at many small pieces
+function createByteReader(fd, size) {
+  const BLOCK_SIZE = 64 * 1024
+  let block = Buffer.alloc(0)
+  let blockStart = 0
+
+  const ensure = (position, length) => {
+    if (position < blockStart || position + length > blockStart + block.length) {
+      block = readAt(fd, position, Math.max(BLOCK_SIZE, length))
+      blockStart = position
+    }
+    if (position + length > blockStart + block.length) {
+      throw new Error('Unexpected end of file')
+    }
+  }
+
+  return {
+    size,
+    byte(position) {
+      ensure(position, 1)
+      return block[position - blockStart]
+    },
+    bytes(position, length) {
+      ensure(position, length)
+      return block.subarray(position - blockStart, position - blockStart + length)
+    },
+  }
+}
+
+// JPEG segments kept: JFIF (APP0), ICC colour profiles (APP2) and Adobe's
+// colour transform (APP14), which change how the image looks. EXIF (APP1, so
+// also the orientation), IPTC (APP13), other application data and comments go.
+// A file that ends inside a segment or before the image data is malformed.
+function jpegRangesToKeep(reader) {
+  const ranges = [[0, 2]]
+  let position = 2
+
+  while (position < reader.size) {
+    if (reader.byte(position) !== 0xFF) throw new Error('Malformed JPEG')
+    // Markers may be padded with any number of 0xFF bytes
+    while (reader.byte(position + 1) === 0xFF) position++
+    const marker = reader.byte(position + 1)
+
+    // Start of scan: the compressed image data follows up to the end
+    if (marker === 0xDA) {
+      ranges.push([position, reader.size])
+      return ranges
+    }
+    if ((marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+      ranges.push([position, position + 2])
+      position += 2
+      continue
+    }
+
+    // The length counts its own two bytes
+    const length = reader.bytes(position + 2, 2).readUInt16BE(0)
+    const end = position + 2 + length
+    if (length < 2 || end > reader.size) throw new Error('Malformed JPEG')
+    const isMetadata = (marker >= 0xE0 && marker <= 0xEF) || marker === 0xFE
+    const isIccProfile = marker === 0xE2 && reader.bytes(position + 4, 12).toString('latin1') === 'ICC_PROFILE\0'
+    if (!isMetadata || marker === 0xE0 || marker === 0xEE || isIccProfile) {
+      ranges.push([position, end])
+    }
+    position = end
+  }
+  throw new Error('Malformed JPEG')
+}
+
+const PNG_METADATA_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME']
+
+// PNG chunks up to IEND, without text, EXIF and timestamp chunks
+function pngRangesToKeep(reader) {
+  const ranges = [[0, 8]]
+  let position = 8
+
+  while (position + 8 <= reader.size) {
+    const header = reader.bytes(position, 8)
+    const length = header.readUInt32BE(0)
+    const type = header.toString('latin1', 4, 8)
+    const end = position + 12 + length
+    if (end > reader.size) throw new Error('Malformed PNG')
+
+    if (!PNG_METADATA_CHUNKS.includes(type)) ranges.push([position, end])
+    position = end
+    if (type === 'IEND') break
+  }
+  return ranges
+}
+
+// Application extensions that control animation
+const GIF_ANIMATION_APPLICATIONS = ['NETSCAPE2.0', 'ANIMEXTS1.0']
+
+// GIF blocks up to the trailer, without comments and application data (XMP)
+// other than animation loops
+function gifRangesToKeep(reader) {
+  const skipSubBlocks = (position) => {
+    let length = reader.byte(position)
+    while (length > 0) {
+      position += length + 1
+      length = reader.byte(position)
+    }
+    return position + 1
+  }
+  const colorTableSize = (flags) => (flags & 0x80 ? 3 * 2 ** ((flags & 0x07) + 1) : 0)
+
+  const headerEnd = 13 + colorTableSize(reader.byte(10))
+  const ranges = [[0, headerEnd]]
+  let position = headerEnd
+
+  while (position < reader.size) {
+    const introducer = reader.byte(position)
+
+    if (introducer === 0x3B) {
+      ranges.push([position, position + 1])
+      break
+    }
+
+    if (introducer === 0x2C) {
+      // Image descriptor, local colour table, LZW code size and image data
+      const dataStart = position + 10 + colorTableSize(reader.byte(position + 9))
+      const end = skipSubBlocks(dataStart + 1)
+      ranges.push([position, end])
+      position = end
+      continue
+    }
+
+    if (introducer !== 0x21) throw new Error('Malformed GIF')
+    const label = reader.byte(position + 1)
+    const end = skipSubBlocks(position + 2)
+    const isComment = label === 0xFE
+    const isApplication = label === 0xFF
+    const application = isApplication ? reader.bytes(position + 3, 11).toString('latin1') : null
+    if (!isComment && (!isApplication || GIF_ANIMATION_APPLICATIONS.includes(application))) {
+      ranges.push([position, end])
+    }
+    position = end
+  }
+  return ranges
+}
+
+const METADATA_PARSERS = { jpeg: jpegRangesToKeep, png: pngRangesToKeep, gif: gifRangesToKeep }
+
+// Rewrite an image without its metadata. Other files are left alone. Returns
+// the size of the file afterwards; throws when the image is malformed.
+export async function stripImageMetadata(path, claimedType) {
+  const parse = METADATA_PARSERS[FILE_TYPES[claimedType]?.content]
+  if (!parse) return (await fs.promises.stat(path)).size
+
+  const fd = fs.openSync(path, 'r')
+  let ranges
+  try {
+    ranges = parse(createByteReader(fd, fs.fstatSync(fd).size))
+  } finally {
+    fs.closeSync(fd)
+  }
+
+  const strippedPath = `${path}.stripped`
+  const output = fs.createWriteStream(strippedPath)
+  try {
+    for (const [start, end] of ranges) {
+      if (end <= start) continue
+      await new Promise((resolve, reject) => {
+        fs.createReadStream(path, { start, end: end - 1 })
+          .on('error', reject)
+          .on('end', resolve)
+          .pipe(output, { end: false })
+      })
+    }
+    await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())))
+    await fs.promises.rename(strippedPath, path)
+  } catch (error) {
+    output.destroy()
+    fs.unlink(strippedPath, () => {})
+    throw error
+  }
+  return (await fs.promises.stat(path)).size
+}
@@ -0,0 +1,7 @@
+// Handlers of the background job types, for the workers of worker.js and the
+// one the server runs itself (RUN_JOBS_IN_SERVER)
+import { ANALYSIS_JOB, analyzeUpload } from './uploads.js'
+
+export const JOB_HANDLERS = {
+  [ANALYSIS_JOB]: analyzeUpload,
+}
@@ -0,0 +1,252 @@
+// Background jobs, queued in Postgres and run by workers (worker.js), so work
+// that takes longer than an HTTP request should - analyzing an uploaded
+// drawing - happens outside of it. Any number of workers can run: each claims
+// one job at a time with FOR UPDATE SKIP LOCKED. A job that fails is tried
+// again after a growing delay until JOB_MAX_ATTEMPTS; a claimed job whose
+// worker stopped is taken over once its lock expires, after which the worker
+// that stopped can no longer save, complete or fail it.
+//
+// Jobs are queued -> running -> completed, or back to queued to be tried
+// again, or failed for good.
+import { canViewAllResults } from './auth.js'
+import { publishResultEvent, RESULT_ANALYZED } from './events.js'
+
+export const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5
+
+// Delay before the first retry; it doubles with every further attempt
+const RETRY_DELAY_SECONDS = parseInt(process.env.JOB_RETRY_DELAY_SECONDS) || 30
+const MAX_RETRY_DELAY_SECONDS = 60 * 60
+
+// How long a worker may run a job before another one takes it over
+const JOB_TIMEOUT_SECONDS = parseInt(process.env.JOB_TIMEOUT_SECONDS) || 10 * 60
+
+// Idle workers look for new jobs this often
+const POLL_INTERVAL = (parseInt(process.env.JOB_POLL_INTERVAL_SECONDS) || 2) * 1000
+
+// Thrown by a job handler when trying again can't help, e.g. when what the
+// job is about was deleted; the job fails right away
+export class PermanentJobError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'PermanentJobError'
+  }
+}
+
+// Thrown when a worker's claim on a job has expired: another worker took the
+// job over, or it failed as abandoned. The outcome of the expired claim is
+// discarded.
+export class LostJobClaimError extends Error {
+  constructor(job) {
+    super(`Job ${job.id} was taken over after attempt ${job.attempts} ran past its lock`)
+    this.name = 'LostJobClaimError'
+  }
+}
+
+const jobFields = (sql) => sql`
+  id, organization_id as "organizationId", user_id as "userId", type, payload, result_id as "resultId",
+  status, attempts, max_attempts as "maxAttempts", run_at as "runAt", last_error as "lastError",
+  created_at as "createdAt", started_at as "startedAt", finished_at as "finishedAt"
+`
+
+// Queue a job of `type` for `actor`, in the caller's transaction so it is
+// only queued with what it works on. `resultId` names the result the job is
+// about, if any. Returns the job.
+export async function enqueueJob(sql, actor, { type, payload = {}, resultId = null }) {
+  const [job] = await sql`
+    INSERT INTO jobs (organization_id, user_id, type, payload, result_id, max_attempts)
+    VALUES (${actor.organizationId}, ${actor.id}, ${type}, ${sql.json(payload)}, ${resultId}, ${JOB_MAX_ATTEMPTS})
+    RETURNING ${jobFields(sql)}
+  `
+  return job
+}
+
+// A job of the user's organization; engineers only see their own
+export async function findJob(sql, user, id) {
+  const [job] = await sql`
+    SELECT ${jobFields(sql)} FROM jobs
+    WHERE id = ${id} AND organization_id = ${user.organizationId}
+      ${canViewAllResults(user) ? sql`` : sql`AND user_id = ${user.id}`}
+  `
+  return job || null
+}
+
+// The latest job about a result, or null
+export async function findResultJob(sql, resultId) {
+  const [job] = await sql`
+    SELECT ${jobFields(sql)} FROM jobs
+    WHERE result_id = ${resultId}
+    ORDER BY id DESC
+    LIMIT 1
+  `
+  return job || null
+}
+
+// Whether a job is still to be run or running
+export const isPending = (job) => job.status === 'queued' || job.status === 'running'
+
+// API shape of a job
+export const formatJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  resultId: job.resultId,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  // When a queued job runs (again)
+  runAt: job.status === 'queued' ? job.runAt : null,
+  lastError: job.lastError,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+})
+
+// Claim the next job that is due, or a job whose worker stopped, and lock it
+// for JOB_TIMEOUT_SECONDS. Returns null when there is none.
+export async function claimJob(sql) {
+  const [job] = await sql`
+    UPDATE jobs
+    SET status = 'running', attempts = attempts + 1, started_at = NOW(), updated_at = NOW(),
+        locked_until = NOW() + make_interval(secs => ${JOB_TIMEOUT_SECONDS})
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE (status = 'queued' AND run_at <= NOW())
+         OR (status = 'running' AND locked_until < NOW() AND attempts < max_attempts)
+      ORDER BY run_at ASC, id ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING ${jobFields(sql)}
+  `
+  return job || null
+}
+
+// Announce that the job about a result has finished, completed or failed for
+// good, so clients showing the result update it
+async function publishFinished(sql, job) {
+  if (!job.resultId) return
+  const actor = { organizationId: job.organizationId, id: null, name: null }
+  await publishResultEvent(sql, actor, RESULT_ANALYZED, job.resultId, {
+    jobId: job.id,
+    analysisStatus: job.status === 'completed' ? 'complete' : 'failed',
+    analysisError: job.lastError,
+  })
+}
+
+// Rows of `job` still claimed by the worker that claimed it: once the lock
+// expires, the job is claimed again, with one more attempt, or failed
+const stillClaimed = (sql, job) => sql`
+  id = ${job.id} AND status = 'running' AND attempts = ${job.attempts}
+`
+
+// Lock a claimed job for the rest of the transaction `sql`, or throw
+// LostJobClaimError when the claim has expired. Handlers call it in the
+// transaction that saves their outcome, so only the current claim saves one.
+export async function lockJobClaim(sql, job) {
+  const [locked] = await sql`SELECT id FROM jobs WHERE ${stillClaimed(sql, job)} FOR UPDATE`
+  if (!locked) throw new LostJobClaimError(job)
+}
+
+// Jobs whose worker stopped on their last attempt fail
+export async function failAbandonedJobs(sql) {
+  const failed = await sql`
+    UPDATE jobs
+    SET status = 'failed', last_error = 'The worker running the job stopped', locked_until = NULL,
+        finished_at = NOW(), updated_at = NOW()
+    WHERE status = 'running' AND locked_until < NOW() AND attempts >= max_attempts
+    RETURNING ${jobFields(sql)}
+  `
+  for (const job of failed) await publishFinished(sql, job)
+  return failed
+}
+
+// Mark a claimed job completed. Throws LostJobClaimError when the claim has
+// expired.
+export async function completeJob(sql, job) {
+  const [completed] = await sql`
+    UPDATE jobs
+    SET status = 'completed', locked_until = NULL, last_error = NULL, finished_at = NOW(), updated_at = NOW()
+    WHERE ${stillClaimed(sql, job)}
+    RETURNING ${jobFields(sql)}
+  `
+  if (!completed) throw new LostJobClaimError(job)
+  await publishFinished(sql, completed)
+  return completed
+}
+
+// Seconds before attempt `attempts` + 1: the retry delay, doubled for every
+// attempt after the first
+const retryDelay = (attempts) =>
+  Math.min(RETRY_DELAY_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS)
+
+// Queue a failed job again after the retry delay, or fail it for good after
+// its last attempt or a PermanentJobError. Returns the job, or null when the
+// claim has expired and the failure no longer counts.
+export async function failJob(sql, job, error) {
+  const retry = !(error instanceof PermanentJobError) && job.attempts < job.maxAttempts
+  const [failed] = await sql`
+    UPDATE jobs
+    SET status = ${retry ? 'queued' : 'failed'}, last_error = ${error.message}, locked_until = NULL,
+        run_at = ${retry ? sql`NOW() + make_interval(secs => ${retryDelay(job.attempts)})` : sql`run_at`},
+        finished_at = ${retry ? null : sql`NOW()`}, updated_at = NOW()
+    WHERE ${stillClaimed(sql, job)}
+    RETURNING ${jobFields(sql)}
+  `
+  if (!failed) return null
+  if (failed.status === 'failed') await publishFinished(sql, failed)
+  return failed
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Run jobs with `handlers`, an async function per job type that gets the job,
+// until stop() is called; stop() resolves once the current job is done.
+export function startWorker(client, handlers) {
+  let stopping = false
+
+  const runNext = async () => {
+    for (const job of await failAbandonedJobs(client)) {
+      console.warn(`⚠️ Job ${job.id} (${job.type}) failed: ${job.lastError}`)
+    }
+
+    const job = await claimJob(client)
+    if (!job) return false
+
+    try {
+      const handler = handlers[job.type]
+      if (!handler) throw new PermanentJobError(`Unknown job type "${job.type}"`)
+      await handler(job)
+      await completeJob(client, job)
+      console.log(`✓ Job ${job.id} (${job.type}) completed`)
+    } catch (error) {
+      const failed = !(error instanceof LostJobClaimError) && await failJob(client, job, error)
+      if (!failed) {
+        console.warn(`⚠️ Job ${job.id} (${job.type}) attempt ${job.attempts} ran past its lock; its outcome was discarded`)
+      } else if (failed.status === 'failed') {
+        console.error(`✗ Job ${job.id} (${job.type}) failed after ${job.attempts} attempt(s):`, error.message)
+      } else {
+        console.warn(`⚠️ Job ${job.id} (${job.type}) attempt ${job.attempts} failed, retrying at ${new Date(failed.runAt).toISOString()}:`, error.message)
+      }
+    }
+    return true
+  }
+
+  const loop = (async () => {
+    while (!stopping) {
+      let ranJob = false
+      try {
+        ranJob = await runNext()
+      } catch (error) {
+        // E.g. the database is unreachable; try again after the poll interval
+        console.warn(`⚠️ Job queue unavailable: ${error.message}`)
+      }
+      if (!ranJob && !stopping) await wait(POLL_INTERVAL)
+    }
+  })()
+
+  return {
+    stop() {
+      stopping = true
+      return loop
+    },
+  }
+}
@@ -0,0 +1,46 @@
+// Organizations are the tenants of the deployment. Everything a user can see
+// (vessels, uploads, results, rule sets) belongs to their organization, and
+// every query on those tables is filtered by it.
+import { defaultRequirements } from '../db/seed.js'
+import { addRulebookVersion, createRequirement } from './requirements.js'
+import { DEFAULT_RULE_SET_NAME, getDefaultRuleSet, createRuleSet } from './ruleSets.js'
+
+// Owner of the data created before organizations existed
+export const DEFAULT_ORGANIZATION_NAME = 'Default'
+
+export const organizationColumns = (sql) => sql`
+  id, name, created_at as "createdAt", updated_at as "updatedAt"
+`
+
+// Give an organization its default rule set, filled with the default
+// rulebook. Must run in a transaction.
+export async function seedDefaultRuleSet(sql, organizationId) {
+  const ruleSet = (await getDefaultRuleSet(sql, organizationId)) || (await createRuleSet(sql, organizationId, {
+    name: DEFAULT_RULE_SET_NAME,
+    description: null,
+    society: null,
+    vesselType: null,
+    isDefault: true,
+  }))
+
+  const rulebookVersion = await addRulebookVersion(sql, ruleSet.id, 'Default rulebook')
+  for (const requirement of defaultRequirements) {
+    await createRequirement(sql, ruleSet.id, requirement, rulebookVersion)
+  }
+  return ruleSet
+}
+
+// Create an organization with the default rulebook. Must run in a
+// transaction; returns null when the name is taken.
+export async function createOrganization(sql, name) {
+  const [organization] = await sql`
+    INSERT INTO organizations (name)
+    VALUES (${name})
+    ON CONFLICT (name) DO NOTHING
+    RETURNING ${organizationColumns(sql)}
+  `
+  if (!organization) return null
+
+  await seedDefaultRuleSet(sql, organization.id)
+  return organization
+}
@@ -0,0 +1,99 @@
+// Generated compliance reports are kept in backend/reports and recorded in
+// results.report_path. A report's ETag fingerprints everything it is built
+// from, so a changed result, review, waiver, rule set, vessel or uploaded file
+// gives a new ETag and the cached file is regenerated on the next download.
+import { createHash, randomBytes } from 'crypto'
+import { fileURLToPath } from 'url'
+import { dirname, join, basename } from 'path'
+import fs from 'fs'
+import { writeComplianceReport, appendixIncludesFile } from './complianceReport.js'
+import { readStoredFile } from './storage.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+export const reportsDir = join(__dirname, '..', 'reports')
+
+// Bump when the report layout changes so cached reports are regenerated
+const REPORT_LAYOUT_VERSION = 4
+
+// Strong ETag for the report of `data` (from loadReportData). `file` is what
+// storage.stat returned for the uploaded file, or null when it is missing.
+export function reportEtag(data, file) {
+  const { result } = data
+
+  const hash = createHash('sha256')
+    .update(JSON.stringify([
+      REPORT_LAYOUT_VERSION,
+      result.id,
+      result.evaluatedAt,
+      result.ruleSetUpdatedAt,
+      result.vesselUpdatedAt,
+      result.reviewedAt,
+      result.waiversUpdatedAt,
+      file ? [file.size, new Date(file.modifiedAt).getTime()] : null,
+    ]))
+    .digest('hex')
+    .slice(0, 32)
+
+  return `"${hash}"`
+}
+
+// Whether an If-None-Match header matches the ETag
+export function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false
+  return ifNoneMatch.split(',').some(candidate => {
+    const value = candidate.trim().replace(/^W\//, '')
+    return value === '*' || value === etag
+  })
+}
+
+const reportFilename = (resultId, etag) => `result-${resultId}-${etag.replace(/"/g, '')}.pdf`
+
+// Path of the cached report for the given ETag, generating it first when the
+// cached copy is missing or stale. `fileKey` is the storage key of the
+// uploaded file, read only when the report is generated and includes it.
+// Older reports of the result are removed.
+export async function getCachedReport(sql, data, fileKey, etag) {
+  const filename = reportFilename(data.result.id, etag)
+  const reportPath = join(reportsDir, filename)
+
+  if (data.result.reportPath === filename && fs.existsSync(reportPath)) {
+    return reportPath
+  }
+
+  fs.mkdirSync(reportsDir, { recursive: true })
+  const content = fileKey && appendixIncludesFile(data.result) ? await readStoredFile(fileKey) : null
+
+  // Write to a temporary file first so concurrent downloads never see a
+  // half-written report
+  const tempPath = `${reportPath}.${randomBytes(6).toString('hex')}.tmp`
+  await new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(tempPath)
+    output.on('finish', resolve)
+    output.on('error', reject)
+    writeComplianceReport(data, content, output)
+  })
+  fs.renameSync(tempPath, reportPath)
+
+  await sql`UPDATE results SET report_path = ${filename} WHERE id = ${data.result.id}`
+  removeStaleReports(data.result.id, filename)
+
+  return reportPath
+}
+
+// Remove cached reports of a result, except `keep`
+export function removeStaleReports(resultId, keep = null) {
+  if (!fs.existsSync(reportsDir)) return
+
+  const prefix = `result-${resultId}-`
+  for (const filename of fs.readdirSync(reportsDir)) {
+    if (filename.startsWith(prefix) && filename !== keep && !filename.endsWith('.tmp')) {
+      try {
+        fs.unlinkSync(join(reportsDir, basename(filename)))
+      } catch (error) {
+        console.warn('Could not delete cached report:', filename, error.message)
+      }
+    }
+  }
+}
@@ -0,0 +1,256 @@
+// Shared helpers for the requirements rulebook
+
+export const REQUIREMENT_CATEGORIES = ['arrangement', 'hazardous_area', 'machinery_space', 'submission']
+
+// Thrown inside a rulebook transaction to roll it back and report `status`
+// to the client
+export class RulebookError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'RulebookError'
+    this.status = status
+  }
+}
+
+const trimOrNull = (value) => {
+  if (value === undefined || value === null) return null
+  const trimmed = String(value).trim()
+  return trimmed.length > 0 ? trimmed : null
+}
+
+// Validate and normalize a requirement payload.
+// Returns { requirement } on success or { error } with a user-facing message.
+export function parseRequirementInput(body = {}) {
+  const description = trimOrNull(body.description)
+  if (!description) {
+    return { error: 'Description is required' }
+  }
+
+  const category = trimOrNull(body.category)
+  if (category && !REQUIREMENT_CATEGORIES.includes(category)) {
+    return { error: `Category must be one of: ${REQUIREMENT_CATEGORIES.join(', ')}` }
+  }
+
+  let footnotes = body.footnotes ?? []
+  if (typeof footnotes === 'string') {
+    footnotes = [footnotes]
+  }
+  if (!Array.isArray(footnotes)) {
+    return { error: 'Footnotes must be a list of strings' }
+  }
+  footnotes = footnotes.map(trimOrNull).filter(Boolean)
+
+  const checkParams = body.checkParams ?? null
+  if (checkParams !== null && (typeof checkParams !== 'object' || Array.isArray(checkParams))) {
+    return { error: 'Check parameters must be an object' }
+  }
+
+  return {
+    requirement: {
+      code: trimOrNull(body.code),
+      description,
+      reference: trimOrNull(body.reference),
+      category,
+      footnotes,
+      checkType: trimOrNull(body.checkType),
+      checkParams,
+    },
+  }
+}
+
+export const CHANGE_TYPES = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DELETED: 'deleted',
+  REORDERED: 'reordered',
+}
+
+// Every change to a rule set is made inside one transaction that first
+// records a new version of that rule set; `fn(sql, rulebookVersion)` then
+// stamps each requirement it touches with that version number.
+// `client` is any postgres client.
+export async function withRulebookVersion(client, ruleSetId, summary, fn) {
+  return client.begin(async (sql) => {
+    await lockRuleSet(sql, ruleSetId)
+    return fn(sql, await addRulebookVersion(sql, ruleSetId, summary))
+  })
+}
+
+// Lock a rule set for the rest of the transaction `sql`. Locking serializes
+// its changes, so version numbers stay gapless even when a change is rolled
+// back, and what a change is based on can't change under it.
+export async function lockRuleSet(sql, ruleSetId) {
+  const [ruleSet] = await sql`SELECT id FROM rule_sets WHERE id = ${ruleSetId} FOR UPDATE`
+  if (!ruleSet) {
+    throw new RulebookError('Rule set not found', 404)
+  }
+}
+
+// Record the next version of a rule set and return its number. Must run in a
+// transaction that holds a lock on the rule set; see withRulebookVersion.
+export async function addRulebookVersion(sql, ruleSetId, summary) {
+  const [rulebookVersion] = await sql`
+    INSERT INTO rulebook_versions (rule_set_id, version, summary)
+    SELECT ${ruleSetId}, COALESCE(MAX(version), 0) + 1, ${summary}
+    FROM rulebook_versions
+    WHERE rule_set_id = ${ruleSetId}
+    RETURNING version
+  `
+  await sql`UPDATE rule_sets SET updated_at = NOW() WHERE id = ${ruleSetId}`
+  return rulebookVersion.version
+}
+
+export async function getCurrentRulebookVersion(sql, ruleSetId) {
+  const [row] = await sql`
+    SELECT COALESCE(MAX(version), 0)::int as version
+    FROM rulebook_versions
+    WHERE rule_set_id = ${ruleSetId}
+  `
+  return row.version
+}
+
+// Copy the current state of a requirement into its version history
+async function recordVersion(sql, id, changeType, rulebookVersion) {
+  await sql`
+    INSERT INTO requirement_versions (
+      requirement_id, version, rulebook_version, change_type,
+      code, description, reference, category, footnotes, check_type, check_params, sort_order
+    )
+    SELECT id, version, ${rulebookVersion}, ${changeType},
+           code, description, reference, category, footnotes, check_type, check_params, sort_order
+    FROM requirements
+    WHERE id = ${id}
+  `
+}
+
+const returningColumns = (sql) => sql`
+  id, rule_set_id as "ruleSetId", code, description, reference, category, footnotes,
+  check_type as "checkType", check_params as "checkParams",
+  sort_order as "sortOrder", version, created_at as "createdAt", updated_at as "updatedAt"
+`
+
+// An active requirement of a rule set, or null
+export async function findRequirement(sql, ruleSetId, id) {
+  const [requirement] = await sql`
+    SELECT ${returningColumns(sql)} FROM requirements
+    WHERE id = ${id} AND rule_set_id = ${ruleSetId} AND deleted_at IS NULL
+  `
+  return requirement || null
+}
+
+// Insert a normalized requirement at the end of a rule set
+export async function createRequirement(sql, ruleSetId, requirement, rulebookVersion) {
+  const [created] = await sql`
+    INSERT INTO requirements (rule_set_id, code, description, reference, category, footnotes, check_type, check_params, sort_order)
+    VALUES (
+      ${ruleSetId}, ${requirement.code || null}, ${requirement.description}, ${requirement.reference || null},
+      ${requirement.category || null}, ${sql.json(requirement.footnotes || [])},
+      ${requirement.checkType || null}, ${requirement.checkParams ? sql.json(requirement.checkParams) : null},
+      (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM requirements WHERE rule_set_id = ${ruleSetId} AND deleted_at IS NULL)
+    )
+    RETURNING ${returningColumns(sql)}
+  `
+  await recordVersion(sql, created.id, CHANGE_TYPES.CREATED, rulebookVersion)
+  return created
+}
+
+// Replace the content of a requirement
+export async function updateRequirement(sql, ruleSetId, id, requirement, rulebookVersion) {
+  const [updated] = await sql`
+    UPDATE requirements
+    SET code = ${requirement.code || null},
+        description = ${requirement.description},
+        reference = ${requirement.reference || null},
+        category = ${requirement.category || null},
+        footnotes = ${sql.json(requirement.footnotes || [])},
+        check_type = ${requirement.checkType || null},
+        check_params = ${requirement.checkParams ? sql.json(requirement.checkParams) : null},
+        version = version + 1,
+        updated_at = NOW()
+    WHERE id = ${id} AND rule_set_id = ${ruleSetId} AND deleted_at IS NULL
+    RETURNING ${returningColumns(sql)}
+  `
+  if (!updated) {
+    throw new RulebookError('Requirement not found', 404)
+  }
+
+  await recordVersion(sql, id, CHANGE_TYPES.UPDATED, rulebookVersion)
+  return updated
+}
+
+// Requirements are never removed from the table so that past evaluations
+// keep pointing at the wording they were checked against.
+export async function deleteRequirement(sql, ruleSetId, id, rulebookVersion) {
+  const [deleted] = await sql`
+    UPDATE requirements
+    SET deleted_at = NOW(), version = version + 1, updated_at = NOW()
+    WHERE id = ${id} AND rule_set_id = ${ruleSetId} AND deleted_at IS NULL
+    RETURNING id
+  `
+  if (!deleted) {
+    throw new RulebookError('Requirement not found', 404)
+  }
+
+  await recordVersion(sql, id, CHANGE_TYPES.DELETED, rulebookVersion)
+}
+
+// Apply a new order. `ids` must list every active requirement of the rule
+// set exactly once.
+export async function reorderRequirements(sql, ruleSetId, ids, rulebookVersion) {
+  const active = await sql`
+    SELECT id, sort_order FROM requirements
+    WHERE rule_set_id = ${ruleSetId} AND deleted_at IS NULL
+  `
+  const activeIds = new Set(active.map(row => row.id))
+
+  if (ids.length !== activeIds.size || new Set(ids).size !== ids.length || !ids.every(id => activeIds.has(id))) {
+    throw new RulebookError('Order must list every requirement exactly once')
+  }
+
+  const currentOrder = new Map(active.map(row => [row.id, row.sort_order]))
+  for (const [index, id] of ids.entries()) {
+    if (currentOrder.get(id) === index) continue
+
+    await sql`
+      UPDATE requirements
+      SET sort_order = ${index}, version = version + 1, updated_at = NOW()
+      WHERE id = ${id}
+    `
+    await recordVersion(sql, id, CHANGE_TYPES.REORDERED, rulebookVersion)
+  }
+}
+
+// Copy every active requirement of one rule set into another
+export async function copyRequirements(sql, fromRuleSetId, toRuleSetId, rulebookVersion) {
+  const source = await sql`
+    SELECT code, description, reference, category, footnotes,
+           check_type as "checkType", check_params as "checkParams"
+    FROM requirements
+    WHERE rule_set_id = ${fromRuleSetId} AND deleted_at IS NULL
+    ORDER BY sort_order ASC, id ASC
+  `
+  for (const requirement of source) {
+    await createRequirement(sql, toRuleSetId, requirement, rulebookVersion)
+  }
+  return source.length
+}
+
+// Snapshot every active requirement that has no history yet, e.g. rows
+// created before versioning existed
+export async function backfillVersions(client) {
+  const unversioned = await client`
+    SELECT q.id, q.rule_set_id FROM requirements q
+    WHERE q.deleted_at IS NULL
+      AND NOT EXISTS (SELECT 1 FROM requirement_versions v WHERE v.requirement_id = q.id)
+    ORDER BY q.sort_order ASC, q.id ASC
+  `
+  const ruleSetIds = [...new Set(unversioned.map(row => row.rule_set_id))]
+
+  for (const ruleSetId of ruleSetIds) {
+    await withRulebookVersion(client, ruleSetId, 'Initial rulebook', async (sql, rulebookVersion) => {
+      for (const { id } of unversioned.filter(row => row.rule_set_id === ruleSetId)) {
+        await recordVersion(sql, id, CHANGE_TYPES.CREATED, rulebookVersion)
+      }
+    })
+  }
+}
@@ -0,0 +1,188 @@
+// Queries shared by the results API and the compliance report.
+// Requirement wording comes from requirement_versions, so a result always
+// shows the rules as they were when it was evaluated.
+import { selectLatestWaivers } from './waivers.js'
+import { isInlineImage } from './fileTypes.js'
+
+// Whether the failed evaluation `e` is waived: it has findings and every one
+// of them has an approved waiver
+const waivedEvaluation = (sql) => sql`(
+  EXISTS (
+    SELECT 1 FROM findings f
+    WHERE f.result_id = e.result_id AND f.requirement_id = e.requirement_id
+  )
+  AND NOT EXISTS (
+    SELECT 1 FROM findings f
+    WHERE f.result_id = e.result_id AND f.requirement_id = e.requirement_id
+      AND NOT EXISTS (SELECT 1 FROM waivers w WHERE w.finding_id = f.id AND w.status = 'approved')
+  )
+)`
+
+// Results of an organization with their upload, vessel, rule set and
+// evaluation counts, newest first. Pass `vesselId` to only list the drawings
+// of one vessel and `userId` to only list the uploads of one user.
+export const selectResultSummaries = (sql, organizationId, { vesselId, userId } = {}) => sql`
+  SELECT 
+    r.id,
+    r.upload_id as "uploadId",
+    r.review_status as "reviewStatus",
+    r.reviewed_at as "reviewedAt",
+    review.reviewer_name as "reviewedBy",
+    r.issues_detected as "issuesDetected",
+    r.rule_set_id as "ruleSetId",
+    rs.name as "ruleSetName",
+    r.rulebook_version as "rulebookVersion",
+    r.created_at as "createdAt",
+    u.original_filename as "originalFilename",
+    u.file_path as "filePath",
+    u.file_size as "fileSize",
+    u.file_type as "fileType",
+    u.vessel_id as "vesselId",
+    v.name as "vesselName",
+    owner.name as "uploadedBy",
+    job.id as "jobId",
+    job.status as "jobStatus",
+    job.last_error as "jobError",
+    u.revision,
+    COALESCE(u.document_id, u.id) as "documentId",
+    (
+      SELECT COUNT(*)::int FROM uploads du
+      JOIN results dr ON dr.upload_id = du.id
+      WHERE (du.id = COALESCE(u.document_id, u.id) OR du.document_id = COALESCE(u.document_id, u.id))
+        AND dr.deleted_at IS NULL
+        ${userId !== undefined ? sql`AND du.user_id = ${userId}` : sql``}
+    ) as "revisionCount",
+    ev.passed,
+    ev.failed,
+    ev.waived,
+    ev.undetermined,
+    (
+      SELECT COUNT(*)::int FROM findings f
+      JOIN waivers w ON w.finding_id = f.id AND w.status = 'approved'
+      WHERE f.result_id = r.id
+    ) as "findingsWaived"
+  FROM results r
+  LEFT JOIN uploads u ON r.upload_id = u.id
+  LEFT JOIN vessels v ON u.vessel_id = v.id
+  LEFT JOIN users owner ON u.user_id = owner.id
+  LEFT JOIN rule_sets rs ON r.rule_set_id = rs.id
+  LEFT JOIN LATERAL (
+    SELECT id, status, last_error FROM jobs
+    WHERE result_id = r.id
+    ORDER BY id DESC
+    LIMIT 1
+  ) job ON true
+  LEFT JOIN LATERAL (
+    SELECT reviewer_name FROM result_reviews
+    WHERE result_id = r.id
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  ) review ON true
+  LEFT JOIN LATERAL (
+    SELECT
+      COUNT(*) FILTER (WHERE e.status = 'pass')::int as passed,
+      COUNT(*) FILTER (WHERE e.status = 'fail')::int as failed,
+      COUNT(*) FILTER (WHERE e.status = 'fail' AND ${waivedEvaluation(sql)})::int as waived,
+      COUNT(*) FILTER (WHERE e.status = 'undetermined')::int as undetermined
+    FROM rule_evaluations e
+    WHERE e.result_id = r.id
+  ) ev ON true
+  WHERE r.organization_id = ${organizationId} AND r.deleted_at IS NULL
+  ${vesselId !== undefined ? sql`AND u.vessel_id = ${vesselId}` : sql``}
+  ${userId !== undefined ? sql`AND u.user_id = ${userId}` : sql``}
+  ORDER BY r.created_at DESC
+`
+
+const analysisStatus = (jobStatus) => {
+  if (jobStatus === 'queued' || jobStatus === 'running') return 'processing'
+  return jobStatus === 'failed' ? 'failed' : 'complete'
+}
+
+// API shape of a row from selectResultSummaries
+export const formatResultSummary = (row) => ({
+  id: row.id,
+  filename: row.originalFilename || 'Unknown',
+  // Only images are previewed; every upload is available from /file
+  image_url: row.filePath && isInlineImage(row.filePath) ? `/api/results/${row.id}/file` : null,
+  review_status: row.reviewStatus,
+  // Whoever made the latest review transition; for approved results the approver
+  reviewed_by: row.reviewedBy,
+  reviewed_at: row.reviewedAt,
+  issues_detected: row.issuesDetected || 0,
+  // Only results that were actually evaluated can be reported as compliant;
+  // failed requirements count unless all of their findings are waived
+  is_compliant: row.passed + row.failed + row.undetermined > 0 && row.failed === row.waived,
+  rules_passed: row.passed,
+  rules_failed: row.failed,
+  rules_waived: row.waived,
+  findings_waived: row.findingsWaived,
+  rules_undetermined: row.undetermined,
+  rule_set_id: row.ruleSetId,
+  rule_set_name: row.ruleSetName,
+  rulebook_version: row.rulebookVersion,
+  vessel_id: row.vesselId,
+  vesselName: row.vesselName,
+  uploaded_by: row.uploadedBy,
+  // processing until the analysis job has run, then complete or failed;
+  // results from before background analysis have no job
+  analysis_status: analysisStatus(row.jobStatus),
+  analysis_job_id: row.jobId,
+  analysis_error: row.jobStatus === 'failed' ? row.jobError : null,
+  // Revision `revision` of `revision_count` (those the user can see) of the
+  // document the upload belongs to
+  document_id: row.documentId,
+  revision: row.revision,
+  revision_count: row.revisionCount,
+  created_at: row.createdAt,
+})
+
+// Per-requirement outcome of the compliance engine, in rulebook order
+export const selectEvaluations = (sql, resultId) => sql`
+  SELECT
+    e.requirement_id as "requirementId",
+    e.requirement_version as "requirementVersion",
+    COALESCE(rv.code, q.code) as code,
+    COALESCE(rv.description, q.description) as description,
+    COALESCE(rv.reference, q.reference) as reference,
+    COALESCE(rv.category, q.category) as category,
+    e.status,
+    e.status = 'fail' AND ${waivedEvaluation(sql)} as waived,
+    e.detail
+  FROM rule_evaluations e
+  LEFT JOIN requirement_versions rv
+    ON rv.requirement_id = e.requirement_id AND rv.version = e.requirement_version
+  LEFT JOIN requirements q ON e.requirement_id = q.id
+  WHERE e.result_id = ${resultId}
+  ORDER BY COALESCE(rv.sort_order, q.sort_order) ASC, e.requirement_id ASC
+`
+
+const selectFindingRows = (sql, resultId) => sql`
+  SELECT
+    f.id,
+    f.result_id as "resultId",
+    f.requirement_id as "requirementId",
+    f.requirement_version as "requirementVersion",
+    COALESCE(rv.code, q.code) as "requirementCode",
+    COALESCE(rv.description, q.description) as "requirement",
+    f.severity,
+    f.message,
+    f.regulation_reference as "regulationReference",
+    f.location,
+    f.created_at as "createdAt"
+  FROM findings f
+  LEFT JOIN requirement_versions rv
+    ON rv.requirement_id = f.requirement_id AND rv.version = f.requirement_version
+  LEFT JOIN requirements q ON f.requirement_id = q.id
+  WHERE f.result_id = ${resultId}
+  ORDER BY
+    CASE f.severity WHEN 'critical' THEN 0 WHEN 'major' THEN 1 ELSE 2 END,
+    f.id ASC
+`
+
+// Individual violations, most severe first, each with its latest `waiver`
+// (null when none was requested)
+export async function selectFindings(sql, resultId) {
+  const [findings, waivers] = await Promise.all([selectFindingRows(sql, resultId), selectLatestWaivers(sql, resultId)])
+  const waiverByFinding = new Map(waivers.map(waiver => [waiver.findingId, waiver]))
+  return findings.map(finding => ({ ...finding, waiver: waiverByFinding.get(finding.id) || null }))
+}
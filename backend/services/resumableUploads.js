@@ -0,0 +1,273 @@
+// Resumable uploads following the tus protocol 1.0.0 (https://tus.io), with
+// the creation, termination and expiration extensions. A client creates an
+// upload with its length and metadata, sends the bytes in chunks at the
+// offset the server has, and asks for that offset again after an
+// interruption. The bytes go to partialDir; once all have arrived the file is
+// checked, stored, recorded and queued for analysis like any other upload.
+import { randomBytes } from 'crypto'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import { Transform } from 'stream'
+import { pipeline } from 'stream/promises'
+import fs from 'fs'
+import {
+  inspectFile, findSubmissionVessel, saveSubmission, withStoredFiles,
+} from './uploads.js'
+import { resolveRuleSet } from './ruleSets.js'
+import { findParentUpload } from './revisions.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+export const partialDir = join(__dirname, '..', 'partial-uploads')
+if (!fs.existsSync(partialDir)) {
+  fs.mkdirSync(partialDir, { recursive: true })
+}
+
+export const TUS_VERSION = '1.0.0'
+
+// uploads.file_size is an INTEGER, so no file can be 2 GB or more
+const MAX_RECORDABLE_SIZE = 2 ** 31 - 1
+export const RESUMABLE_MAX_SIZE = Math.min(
+  parseInt(process.env.RESUMABLE_UPLOAD_MAX_SIZE) || 1024 * 1024 * 1024, // 1GB
+  MAX_RECORDABLE_SIZE,
+)
+
+// Unfinished uploads are removed this long after their last chunk
+export const RESUMABLE_EXPIRY_HOURS = parseInt(process.env.RESUMABLE_UPLOAD_EXPIRY_HOURS) || 24
+
+const CLEANUP_INTERVAL = 60 * 60 * 1000 // hourly
+
+// Headers answering a tus OPTIONS request
+export const TUS_OPTIONS_HEADERS = {
+  'Tus-Resumable': TUS_VERSION,
+  'Tus-Version': TUS_VERSION,
+  'Tus-Extension': 'creation,termination,expiration',
+  'Tus-Max-Size': String(RESUMABLE_MAX_SIZE),
+}
+
+export class ResumableUploadError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'ResumableUploadError'
+    this.status = status
+  }
+}
+
+export const partialPath = (id) => join(partialDir, id)
+
+// Upload-Metadata is a comma-separated list of "key base64value" pairs; a key
+// may come without a value. Returns null when the header is malformed.
+export function parseUploadMetadata(header) {
+  const metadata = {}
+  if (!header) return metadata
+
+  for (const pair of header.split(',')) {
+    const [key, value, ...rest] = pair.trim().split(' ')
+    if (!key || rest.length > 0) return null
+    if (value !== undefined && !/^[A-Za-z0-9+/]*={0,2}$/.test(value)) return null
+    metadata[key] = value === undefined ? '' : Buffer.from(value, 'base64').toString('utf8')
+  }
+  return metadata
+}
+
+const uploadFields = (sql) => sql`
+  id, filename, file_type as "fileType", upload_length as "length", upload_offset as "offset",
+  metadata, rule_set_id as "ruleSetId", vessel_id as "vesselId", parent_result_id as "parentResultId",
+  result_id as "resultId",
+  created_at as "createdAt", expires_at as "expiresAt"
+`
+
+// Start a resumable upload with an empty partial file
+export async function createResumableUpload(sql, actor, {
+  filename, fileType, length, metadata, ruleSetId, vesselId, parentResultId,
+}) {
+  const id = randomBytes(16).toString('hex')
+  await fs.promises.writeFile(partialPath(id), '')
+
+  const [upload] = await sql`
+    INSERT INTO resumable_uploads (
+      id, organization_id, user_id, filename, file_type, upload_length, metadata, rule_set_id, vessel_id,
+      parent_result_id, expires_at
+    )
+    VALUES (
+      ${id}, ${actor.organizationId}, ${actor.id}, ${filename}, ${fileType}, ${length}, ${metadata},
+      ${ruleSetId}, ${vesselId}, ${parentResultId}, NOW() + make_interval(hours => ${RESUMABLE_EXPIRY_HOURS})
+    )
+    RETURNING ${uploadFields(sql)}
+  `
+  return upload
+}
+
+// An upload of the user; only its creator can continue it
+export async function findResumableUpload(sql, actor, id) {
+  const [upload] = await sql`
+    SELECT ${uploadFields(sql)}
+    FROM resumable_uploads
+    WHERE id = ${id} AND organization_id = ${actor.organizationId} AND user_id = ${actor.id}
+  `
+  return upload || null
+}
+
+export const isExpired = (upload) => !upload.resultId && new Date(upload.expiresAt) < new Date()
+
+// How long a request may hold the lock on an upload. A server that stops
+// mid-request can't release it, so the upload is locked until then.
+const UPLOAD_LOCK_SECONDS = 10 * 60
+
+// Run `fn` holding the lock on an upload, which a request writing to,
+// completing or cancelling it takes. The lock is recorded on the upload's row
+// rather than held as a row lock, so it works across server instances
+// without keeping a database connection for the whole chunk; a second request
+// for the same upload is refused rather than interleaving bytes.
+export async function withUploadLock(sql, id, fn) {
+  const token = randomBytes(16).toString('hex')
+  const [locked] = await sql`
+    UPDATE resumable_uploads
+    SET lock_token = ${token}, locked_until = NOW() + make_interval(secs => ${UPLOAD_LOCK_SECONDS})
+    WHERE id = ${id} AND (locked_until IS NULL OR locked_until < NOW())
+    RETURNING id
+  `
+  if (!locked) {
+    throw new ResumableUploadError('Another request is writing to this upload', 409)
+  }
+  try {
+    return await fn()
+  } finally {
+    await sql`
+      UPDATE resumable_uploads SET lock_token = NULL, locked_until = NULL
+      WHERE id = ${id} AND lock_token = ${token}
+    `
+  }
+}
+
+// Append the body of `req` to the partial file at `upload.offset` and record
+// the new offset, which is also what was kept when the client disconnects
+// mid-chunk. Bytes past the upload's length are refused. Returns the upload
+// with its new offset and expiry. Use within withUploadLock.
+export async function appendChunk(sql, upload, req) {
+  const path = partialPath(upload.id)
+  const offset = Number(upload.offset)
+  const remaining = Number(upload.length) - offset
+
+  // Drop anything written past the recorded offset by an interrupted request
+  await fs.promises.truncate(path, offset)
+
+  let received = 0
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length
+      if (received > remaining) {
+        callback(new ResumableUploadError('The chunk goes past Upload-Length', 413))
+      } else {
+        callback(null, chunk)
+      }
+    },
+  })
+
+  let streamError = null
+  try {
+    await pipeline(req, limit, fs.createWriteStream(path, { flags: 'r+', start: offset }))
+  } catch (error) {
+    streamError = error
+  }
+
+  // Only recorded if nothing else recorded bytes meanwhile, e.g. a request
+  // that took over the lock after this one ran past it
+  const { size } = await fs.promises.stat(path)
+  const [updated] = await sql`
+    UPDATE resumable_uploads
+    SET upload_offset = ${size}, updated_at = NOW(),
+        expires_at = NOW() + make_interval(hours => ${RESUMABLE_EXPIRY_HOURS})
+    WHERE id = ${upload.id} AND upload_offset = ${offset}
+    RETURNING ${uploadFields(sql)}
+  `
+  if (!updated) {
+    throw new ResumableUploadError('Another request wrote to this upload meanwhile', 409)
+  }
+  if (streamError instanceof ResumableUploadError) throw streamError
+  if (streamError) throw new ResumableUploadError('The upload was interrupted', 400)
+  return updated
+}
+
+// Record an upload all of whose bytes have arrived: copy the file to storage,
+// record it with its result and queue its analysis against the rule set
+// chosen when it was created. The rule set, vessel and parent result are looked up again,
+// as any of them may have been deleted since; `user` is the account of
+// `actor`, who must still be able to see the parent. A file whose content
+// doesn't match its type is rejected and the upload removed; on other
+// failures the partial file stays, so the client can try to complete the
+// upload again. Returns { upload, result, job }. Use within withUploadLock.
+export async function completeResumableUpload(client, user, actor, upload) {
+  const ruleSet = await resolveRuleSet(client, actor.organizationId, upload.ruleSetId)
+  const vessel = await findSubmissionVessel(actor.organizationId, upload.vesselId)
+  if (vessel === false) {
+    throw new ResumableUploadError('Vessel not found', 404)
+  }
+  const parent = await findParentUpload(client, user, upload.parentResultId)
+  if (parent === false) {
+    throw new ResumableUploadError('Parent result not found', 404)
+  }
+
+  const file = {
+    originalname: upload.filename,
+    size: Number(upload.length),
+    mimetype: upload.fileType,
+    path: partialPath(upload.id),
+  }
+
+  // Content that doesn't match the type will never be accepted, so the upload
+  // is removed
+  const rejection = await inspectFile(file)
+  if (rejection) {
+    await removeResumableUpload(client, upload)
+    throw new ResumableUploadError(rejection, 400)
+  }
+
+  const submitted = await withStoredFiles(stored => client.begin(async sql => {
+    const { submitted: [saved] } = await saveSubmission(sql, actor, [file], { ruleSet, vessel, stored, parent })
+    await sql`UPDATE resumable_uploads SET result_id = ${saved.result.id}, updated_at = NOW() WHERE id = ${upload.id}`
+    return saved
+  }))
+  fs.unlink(file.path, () => {})
+  return submitted
+}
+
+// Cancel an upload that has not been completed
+export async function removeResumableUpload(sql, upload) {
+  await sql`DELETE FROM resumable_uploads WHERE id = ${upload.id}`
+  fs.unlink(partialPath(upload.id), () => {})
+}
+
+// Remove expired uploads: unfinished ones with their partial files, and the
+// records of completed ones, which are only kept so clients can look up the
+// result
+export async function purgeExpiredUploads(client) {
+  const expired = await client`
+    DELETE FROM resumable_uploads
+    WHERE expires_at < NOW()
+    RETURNING id, result_id as "resultId"
+  `
+  expired
+    .filter(upload => !upload.resultId)
+    .forEach(upload => fs.unlink(partialPath(upload.id), () => {}))
+  return expired.length
+}
+
+// Run purgeExpiredUploads now and then every hour
+export function startResumableUploadCleanup(client) {
+  const cleanup = async () => {
+    try {
+      const count = await purgeExpiredUploads(client)
+      if (count > 0) {
+        console.log(`🧹 Removed ${count} expired resumable upload(s)`)
+      }
+    } catch (error) {
+      // Try again on the next run
+      console.warn(`⚠️ Resumable upload cleanup failed: ${error.message}`)
+    }
+  }
+
+  cleanup()
+  setInterval(cleanup, CLEANUP_INTERVAL)
+}
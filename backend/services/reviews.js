@@ -0,0 +1,118 @@
+// Reviewer sign-off of compliance results. A result starts pending, a
+// reviewer takes it under review and then approves or rejects it. Every
+// transition is recorded in result_reviews with the reviewer and a comment.
+import { recordAudit } from './audit.js'
+import { publishResultEvent, RESULT_REVIEWED } from './events.js'
+
+export const REVIEW_STATUSES = ['pending', 'under_review', 'approved', 'rejected']
+
+// Allowed next statuses. Approval is final; a rejected result can be taken
+// under review again once the drawing issues are resolved, and a result under
+// review can be handed back to the queue.
+export const REVIEW_TRANSITIONS = {
+  pending: ['under_review'],
+  under_review: ['approved', 'rejected', 'pending'],
+  rejected: ['under_review'],
+  approved: [],
+}
+
+// Statuses that end a review need a comment explaining the decision
+const COMMENT_REQUIRED = ['rejected']
+
+export const formatReviewStatus = (status) => (status ? status.replace('_', ' ') : '-')
+
+export class ReviewError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'ReviewError'
+    this.status = status
+  }
+}
+
+const reviewColumns = (sql) => sql`
+  id, result_id as "resultId", reviewer_id as "reviewerId", reviewer_name as "reviewerName",
+  from_status as "fromStatus", to_status as "toStatus", comment, created_at as "createdAt"
+`
+
+// Review history of a result, newest first
+export const selectReviews = (sql, resultId) => sql`
+  SELECT ${reviewColumns(sql)}
+  FROM result_reviews
+  WHERE result_id = ${resultId}
+  ORDER BY created_at DESC, id DESC
+`
+
+// Move a result of the organization to `status` on behalf of `reviewer`, an
+// audit actor (services/audit.js). Returns the recorded review; throws a
+// ReviewError for invalid input, unknown results and transitions the current
+// status does not allow.
+export async function reviewResult(client, organizationId, resultId, reviewer, body = {}) {
+  const status = body.status
+  const comment = typeof body.comment === 'string' && body.comment.trim() ? body.comment.trim() : null
+
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw new ReviewError(`Status must be one of: ${REVIEW_STATUSES.join(', ')}`)
+  }
+  if (COMMENT_REQUIRED.includes(status) && !comment) {
+    throw new ReviewError(`A comment is required when a result is ${formatReviewStatus(status)}`)
+  }
+
+  return client.begin(async sql => {
+    const [result] = await sql`
+      SELECT review_status as "reviewStatus" FROM results
+      WHERE id = ${resultId} AND organization_id = ${organizationId}
+      FOR UPDATE
+    `
+    if (!result) {
+      throw new ReviewError('Result not found', 404)
+    }
+    if (!REVIEW_TRANSITIONS[result.reviewStatus].includes(status)) {
+      throw new ReviewError(
+        `A result that is ${formatReviewStatus(result.reviewStatus)} cannot be moved to ${formatReviewStatus(status)}`,
+        409
+      )
+    }
+    // The approved record must not change later, so the analysis has to be
+    // done and waivers settled first
+    if (status === 'approved') {
+      const [analysis] = await sql`
+        SELECT status FROM jobs WHERE result_id = ${resultId} ORDER BY id DESC LIMIT 1
+      `
+      if (analysis && analysis.status !== 'completed') {
+        throw new ReviewError('A result cannot be approved before its analysis has finished', 409)
+      }
+
+      const [openWaiver] = await sql`
+        SELECT w.id FROM waivers w
+        JOIN findings f ON w.finding_id = f.id
+        WHERE f.result_id = ${resultId} AND w.status = 'requested'
+        LIMIT 1
+      `
+      if (openWaiver) {
+        throw new ReviewError('Approve or reject the requested waivers before approving the result', 409)
+      }
+    }
+
+    await sql`
+      UPDATE results SET review_status = ${status}, reviewed_at = NOW()
+      WHERE id = ${resultId}
+    `
+    const [review] = await sql`
+      INSERT INTO result_reviews (result_id, reviewer_id, reviewer_name, from_status, to_status, comment)
+      VALUES (${resultId}, ${reviewer.id}, ${reviewer.name}, ${result.reviewStatus}, ${status}, ${comment})
+      RETURNING ${reviewColumns(sql)}
+    `
+    await recordAudit(sql, reviewer, {
+      action: 'result.review',
+      entityType: 'result',
+      entityId: resultId,
+      before: { reviewStatus: result.reviewStatus },
+      after: { reviewStatus: status, comment },
+    })
+    await publishResultEvent(sql, reviewer, RESULT_REVIEWED, resultId, {
+      fromStatus: result.reviewStatus,
+      reviewStatus: status,
+    })
+    return review
+  })
+}
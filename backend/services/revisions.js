@@ -0,0 +1,124 @@
+// Revisions of a document. An upload can be a new revision of an earlier one,
+// its parent; all revisions of a document share document_id, the ID of the
+// first upload (which has none itself, like any upload without revisions),
+// and are numbered from 1 in the order they came in. Revisions are named by
+// the IDs of their results in the API, like everything else about uploads.
+import { canViewAllResults } from './auth.js'
+import { selectFindings } from './results.js'
+
+// The upload of a result a new revision is uploaded for: null without
+// `parentResultId`, false when it is not a result `user` can see
+export async function findParentUpload(sql, user, parentResultId) {
+  if (!parentResultId) return null
+  const id = parseInt(parentResultId)
+  if (isNaN(id)) return false
+
+  const [parent] = await sql`
+    SELECT u.id, COALESCE(u.document_id, u.id) as "documentId", u.vessel_id as "vesselId", r.id as "resultId"
+    FROM results r
+    JOIN uploads u ON r.upload_id = u.id
+    WHERE r.id = ${id} AND r.organization_id = ${user.organizationId} AND r.deleted_at IS NULL
+      ${canViewAllResults(user) ? sql`` : sql`AND u.user_id = ${user.id}`}
+  `
+  return parent || false
+}
+
+// Document and number of a new revision of `parent`, in the caller's
+// transaction. The document's uploads stay locked until it commits, so
+// revisions uploaded at the same time get consecutive numbers.
+export async function nextRevision(sql, parent) {
+  await sql`
+    SELECT id FROM uploads
+    WHERE id = ${parent.documentId} OR document_id = ${parent.documentId}
+    FOR UPDATE
+  `
+  const [{ revision }] = await sql`
+    SELECT COALESCE(MAX(revision), 0) + 1 as revision FROM uploads
+    WHERE id = ${parent.documentId} OR document_id = ${parent.documentId}
+  `
+  return { documentId: parent.documentId, revision }
+}
+
+// The document a result's upload belongs to, or null for a result without upload
+export async function findDocumentId(sql, resultId) {
+  const [row] = await sql`
+    SELECT COALESCE(u.document_id, u.id) as "documentId"
+    FROM results r
+    JOIN uploads u ON r.upload_id = u.id
+    WHERE r.id = ${resultId}
+  `
+  return row ? row.documentId : null
+}
+
+// Revisions of a document `user` can see, oldest first
+export const selectRevisions = (sql, user, documentId) => sql`
+  SELECT
+    r.id as "resultId",
+    u.id as "uploadId",
+    u.revision,
+    parent.id as "parentResultId",
+    u.original_filename as "originalFilename",
+    u.file_size as "fileSize",
+    u.uploaded_at as "uploadedAt",
+    owner.name as "uploadedBy",
+    r.review_status as "reviewStatus",
+    r.issues_detected as "issuesDetected"
+  FROM uploads u
+  JOIN results r ON r.upload_id = u.id
+  LEFT JOIN results parent ON parent.upload_id = u.parent_upload_id AND parent.deleted_at IS NULL
+  LEFT JOIN users owner ON u.user_id = owner.id
+  WHERE (u.id = ${documentId} OR u.document_id = ${documentId})
+    AND r.organization_id = ${user.organizationId} AND r.deleted_at IS NULL
+    ${canViewAllResults(user) ? sql`` : sql`AND u.user_id = ${user.id}`}
+  ORDER BY u.revision ASC, u.id ASC
+`
+
+const findingKey = (finding, withMessage) =>
+  withMessage ? `${finding.requirementId}\n${finding.message}` : String(finding.requirementId)
+
+// Pair findings of `other` with findings of `base` whose key matches; the
+// paired ones are removed from both lists
+function pairFindings(base, other, withMessage) {
+  const byKey = new Map()
+  for (const finding of base) {
+    const key = findingKey(finding, withMessage)
+    byKey.set(key, [...(byKey.get(key) || []), finding])
+  }
+
+  const pairs = []
+  const unpaired = []
+  for (const finding of other) {
+    const candidates = byKey.get(findingKey(finding, withMessage))
+    if (candidates?.length) {
+      pairs.push({ ...finding, previous: candidates.shift() })
+    } else {
+      unpaired.push(finding)
+    }
+  }
+  const paired = new Set(pairs.map(pair => pair.previous))
+  return { pairs, base: base.filter(finding => !paired.has(finding)), other: unpaired }
+}
+
+// What changed in the findings from the result `baseResultId` to
+// `otherResultId`: `fixed` findings of the base that are gone, `new` ones
+// and `unchanged` ones of the other result, each with the matching base
+// finding as `previous`. Findings match when they are for the same
+// requirement with the same message; of the rest, findings for the same
+// requirement match with a changed message.
+export async function compareFindings(sql, baseResultId, otherResultId) {
+  const [baseFindings, otherFindings] = await Promise.all([
+    selectFindings(sql, baseResultId),
+    selectFindings(sql, otherResultId),
+  ])
+
+  const exact = pairFindings(baseFindings, otherFindings, true)
+  const sameRequirement = pairFindings(exact.base, exact.other, false)
+
+  // Most severe first, as the findings were listed
+  const order = new Map(otherFindings.map((finding, index) => [finding.id, index]))
+  return {
+    fixed: sameRequirement.base,
+    new: sameRequirement.other,
+    unchanged: [...exact.pairs, ...sameRequirement.pairs].sort((a, b) => order.get(a.id) - order.get(b.id)),
+  }
+}
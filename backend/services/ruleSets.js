@@ -0,0 +1,109 @@
+// Named rule sets, e.g. one per classification society or vessel type.
+// Every requirement belongs to exactly one rule set, and every rule set to one
+// organization. Exactly one rule set per organization is the default used when
+// an upload or request does not name one.
+import { RulebookError } from './requirements.js'
+
+export const DEFAULT_RULE_SET_NAME = 'Default'
+
+const ruleSetColumns = (sql) => sql`
+  id, name, description, society, vessel_type as "vesselType", is_default as "isDefault",
+  created_at as "createdAt", updated_at as "updatedAt"
+`
+
+export async function getDefaultRuleSet(sql, organizationId) {
+  const [ruleSet] = await sql`
+    SELECT ${ruleSetColumns(sql)} FROM rule_sets
+    WHERE organization_id = ${organizationId} AND is_default
+  `
+  return ruleSet || null
+}
+
+// Resolve a rule set ID from user input, falling back to the organization's
+// default rule set when none is given. Throws a RulebookError for invalid IDs
+// and for rule sets that do not exist in the organization.
+export async function resolveRuleSet(sql, organizationId, ruleSetId) {
+  if (ruleSetId === undefined || ruleSetId === null || ruleSetId === '') {
+    const ruleSet = await getDefaultRuleSet(sql, organizationId)
+    if (!ruleSet) {
+      throw new RulebookError('No default rule set is configured', 404)
+    }
+    return ruleSet
+  }
+
+  const id = parseInt(ruleSetId)
+  if (isNaN(id)) {
+    throw new RulebookError('Invalid rule set ID')
+  }
+
+  const [ruleSet] = await sql`
+    SELECT ${ruleSetColumns(sql)} FROM rule_sets
+    WHERE id = ${id} AND organization_id = ${organizationId}
+  `
+  if (!ruleSet) {
+    throw new RulebookError('Rule set not found', 404)
+  }
+  return ruleSet
+}
+
+// Validate a create/update body. Returns { ruleSet } or { error }.
+export function parseRuleSetInput(body) {
+  const name = typeof body.name === 'string' ? body.name.trim() : ''
+  if (!name) {
+    return { error: 'Name is required' }
+  }
+
+  const optional = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null)
+
+  return {
+    ruleSet: {
+      name,
+      description: optional(body.description),
+      society: optional(body.society),
+      vesselType: optional(body.vesselType),
+      isDefault: body.isDefault === true,
+    },
+  }
+}
+
+export async function createRuleSet(sql, organizationId, ruleSet) {
+  if (ruleSet.isDefault) {
+    await sql`UPDATE rule_sets SET is_default = false WHERE organization_id = ${organizationId} AND is_default`
+  }
+
+  const [created] = await sql`
+    INSERT INTO rule_sets (organization_id, name, description, society, vessel_type, is_default)
+    VALUES (
+      ${organizationId}, ${ruleSet.name}, ${ruleSet.description}, ${ruleSet.society},
+      ${ruleSet.vesselType}, ${ruleSet.isDefault}
+    )
+    RETURNING ${ruleSetColumns(sql)}
+  `
+  return created
+}
+
+// The default flag can be moved to another rule set but never cleared, so
+// there is always a default
+export async function updateRuleSet(sql, organizationId, id, ruleSet) {
+  const [existing] = await sql`SELECT id FROM rule_sets WHERE id = ${id} AND organization_id = ${organizationId}`
+  if (!existing) {
+    throw new RulebookError('Rule set not found', 404)
+  }
+
+  if (ruleSet.isDefault) {
+    await sql`UPDATE rule_sets SET is_default = false WHERE organization_id = ${organizationId} AND is_default AND id <> ${id}`
+  }
+
+  const [updated] = await sql`
+    UPDATE rule_sets
+    SET name = ${ruleSet.name},
+        description = ${ruleSet.description},
+        society = ${ruleSet.society},
+        vessel_type = ${ruleSet.vesselType},
+        is_default = is_default OR ${ruleSet.isDefault},
+        updated_at = NOW()
+    WHERE id = ${id} AND organization_id = ${organizationId}
+    RETURNING ${ruleSetColumns(sql)}
+  `
+  return updated
+}
@@ -0,0 +1,214 @@
+// Rulebook import/export in JSON, CSV and YAML.
+// Imports replace the whole of one rule set: requirements are matched by
+// code, so every imported requirement must have one.
+import { parse as parseCsv } from 'csv-parse/sync'
+import { stringify as stringifyCsv } from 'csv-stringify/sync'
+import YAML from 'yaml'
+import {
+  RulebookError,
+  parseRequirementInput,
+  createRequirement,
+  updateRequirement,
+  deleteRequirement,
+  reorderRequirements,
+} from './requirements.js'
+
+export const RULEBOOK_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  yaml: { contentType: 'application/x-yaml', extension: 'yaml' },
+}
+
+const CSV_COLUMNS = ['code', 'category', 'description', 'reference', 'footnotes', 'checkType', 'checkParams']
+
+// Compared when deciding whether an imported requirement changed
+const COMPARED_FIELDS = ['description', 'reference', 'category', 'footnotes', 'checkType', 'checkParams']
+
+// Work out the format from an explicit value, a filename or a content type
+export function detectFormat({ format, filename, contentType } = {}) {
+  const candidates = [
+    format,
+    filename && filename.split('.').pop(),
+    contentType && contentType.split(';')[0].split('/').pop(),
+  ]
+
+  for (const candidate of candidates) {
+    const value = candidate && candidate.toLowerCase().replace(/^x-/, '')
+    if (value === 'yml') return 'yaml'
+    if (value && RULEBOOK_FORMATS[value]) return value
+  }
+  return null
+}
+
+// Spreadsheet headers such as "Check Type" or "check_type" map to checkType
+const normalizeHeader = (header) => {
+  const key = String(header).toLowerCase().replace(/[^a-z]/g, '')
+  return CSV_COLUMNS.find(column => column.toLowerCase() === key) || key
+}
+
+function rowsFromCsv(content) {
+  const rows = parseCsv(content, {
+    columns: (headers) => headers.map(normalizeHeader),
+    skip_empty_lines: true,
+    trim: true,
+    bom: true,
+  })
+
+  return rows.map((row) => ({
+    ...row,
+    // One footnote per line within the cell
+    footnotes: row.footnotes ? row.footnotes.split(/\r?\n/) : [],
+    checkParams: row.checkParams ? JSON.parse(row.checkParams) : null,
+  }))
+}
+
+function rowsFromDocument(document) {
+  const rows = Array.isArray(document) ? document : document?.requirements
+  if (!Array.isArray(rows)) {
+    throw new RulebookError('Expected a list of requirements or an object with a "requirements" list')
+  }
+  return rows
+}
+
+// Parse and validate an uploaded rulebook.
+// `content` is the raw text, or an already parsed JSON body.
+export function parseRulebook(content, format) {
+  let rows
+  try {
+    if (format === 'csv') {
+      rows = rowsFromCsv(content)
+    } else if (format === 'yaml') {
+      rows = rowsFromDocument(YAML.parse(content))
+    } else {
+      rows = rowsFromDocument(typeof content === 'string' ? JSON.parse(content) : content)
+    }
+  } catch (error) {
+    if (error instanceof RulebookError) throw error
+    throw new RulebookError(`Could not parse ${format.toUpperCase()} rulebook: ${error.message}`)
+  }
+
+  const errors = []
+  const seenCodes = new Set()
+  const requirements = []
+
+  rows.forEach((row, index) => {
+    const label = `Row ${index + 1}`
+    const { requirement, error } = parseRequirementInput(row || {})
+
+    if (error) {
+      errors.push(`${label}: ${error}`)
+      return
+    }
+    if (!requirement.code) {
+      errors.push(`${label}: Code is required for import`)
+      return
+    }
+    if (seenCodes.has(requirement.code)) {
+      errors.push(`${label}: Duplicate code ${requirement.code}`)
+      return
+    }
+
+    seenCodes.add(requirement.code)
+    requirements.push(requirement)
+  })
+
+  if (errors.length > 0) {
+    const error = new RulebookError('The rulebook contains invalid requirements')
+    error.details = errors
+    throw error
+  }
+
+  return requirements
+}
+
+export function serializeRulebook(requirements, format, { ruleSet, rulebookVersion }) {
+  const rows = requirements.map((requirement) => ({
+    code: requirement.code,
+    category: requirement.category,
+    description: requirement.description,
+    reference: requirement.reference,
+    footnotes: requirement.footnotes || [],
+    checkType: requirement.checkType,
+    checkParams: requirement.checkParams,
+  }))
+
+  if (format === 'csv') {
+    return stringifyCsv(
+      rows.map(row => ({
+        ...row,
+        footnotes: row.footnotes.join('\n'),
+        checkParams: row.checkParams ? JSON.stringify(row.checkParams) : '',
+      })),
+      { header: true, columns: CSV_COLUMNS }
+    )
+  }
+
+  const document = { ruleSet: ruleSet.name, rulebookVersion, exportedAt: new Date().toISOString(), requirements: rows }
+  return format === 'yaml' ? YAML.stringify(document) : JSON.stringify(document, null, 2)
+}
+
+// JSON with sorted object keys, so key order does not count as a change
+const comparable = (value) => JSON.stringify(value ?? null, (key, val) =>
+  val && typeof val === 'object' && !Array.isArray(val)
+    ? Object.fromEntries(Object.keys(val).sort().map(k => [k, val[k]]))
+    : val
+)
+
+// Compare the current rulebook with an imported one, matching on code
+export function diffRulebook(current, incoming) {
+  const currentByCode = new Map(current.filter(req => req.code).map(req => [req.code, req]))
+  const incomingCodes = new Set(incoming.map(req => req.code))
+
+  const added = []
+  const changed = []
+  let unchanged = 0
+
+  for (const requirement of incoming) {
+    const existing = currentByCode.get(requirement.code)
+    if (!existing) {
+      added.push(requirement)
+      continue
+    }
+
+    const fields = COMPARED_FIELDS.filter(field => comparable(existing[field]) !== comparable(requirement[field]))
+    if (fields.length > 0) {
+      changed.push({ id: existing.id, code: requirement.code, fields, before: existing, after: requirement })
+    } else {
+      unchanged++
+    }
+  }
+
+  // Requirements without a code can never match an import, so they are removed too
+  const removed = current.filter(req => !req.code || !incomingCodes.has(req.code))
+
+  const keptCodes = current.filter(req => incomingCodes.has(req.code)).map(req => req.code)
+  const importedOrder = incoming.map(req => req.code).filter(code => currentByCode.has(code))
+  const reordered = keptCodes.some((code, index) => code !== importedOrder[index])
+
+  return { added, changed, removed, unchanged, reordered }
+}
+
+export const hasChanges = (diff) =>
+  diff.added.length > 0 || diff.changed.length > 0 || diff.removed.length > 0 || diff.reordered
+
+// Apply a diff as `rulebookVersion` of the rule set; the imported order
+// becomes the rule set order. Runs in the caller's transaction, which holds
+// the lock on the rule set the diff was computed under (see lockRuleSet).
+export async function applyRulebookImport(sql, ruleSetId, incoming, diff, rulebookVersion) {
+  for (const requirement of diff.removed) {
+    await deleteRequirement(sql, ruleSetId, requirement.id, rulebookVersion)
+  }
+  for (const change of diff.changed) {
+    await updateRequirement(sql, ruleSetId, change.id, change.after, rulebookVersion)
+  }
+  for (const requirement of diff.added) {
+    await createRequirement(sql, ruleSetId, requirement, rulebookVersion)
+  }
+
+  const active = await sql`
+    SELECT id, code FROM requirements
+    WHERE rule_set_id = ${ruleSetId} AND deleted_at IS NULL
+  `
+  const idByCode = new Map(active.map(row => [row.code, row.id]))
+  await reorderRequirements(sql, ruleSetId, incoming.map(req => idByCode.get(req.code)), rulebookVersion)
+}
@@ -0,0 +1,83 @@
+// Global search across vessels, uploaded files, requirements and findings.
+// Each table keeps a generated `search_vector` column (see db/init.js), so a
+// query is a GIN index lookup per group rather than a scan.
+
+export const MIN_QUERY_LENGTH = 2
+export const DEFAULT_GROUP_LIMIT = 5
+export const MAX_GROUP_LIMIT = 20
+
+// Turn free text into a prefix tsquery: "fire ext" -> "fire:* & ext:*".
+// Words are reduced to letters and digits first, so user input can never
+// produce tsquery syntax errors. Returns null when nothing searchable is left.
+export function buildSearchQuery(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, 8)
+
+  if (words.join('').length < MIN_QUERY_LENGTH) return null
+  return words.map(word => `${word}:*`).join(' & ')
+}
+
+// Only the given organization's data is searched. Pass `userId` to further
+// limit files and findings to that user's uploads.
+export async function searchAll(sql, organizationId, text, { limit = DEFAULT_GROUP_LIMIT, userId } = {}) {
+  const query = buildSearchQuery(text)
+  if (!query) {
+    return { vessels: [], files: [], requirements: [], findings: [] }
+  }
+
+  const tsquery = sql`to_tsquery('simple', ${query})`
+  const ownUploads = userId !== undefined ? sql`AND u.user_id = ${userId}` : sql``
+
+  const [vessels, files, requirements, findings] = await Promise.all([
+    sql`
+      SELECT v.id, v.name, v.imo_number as "imoNumber", v.vessel_type as "vesselType"
+      FROM vessels v
+      WHERE v.organization_id = ${organizationId} AND v.search_vector @@ ${tsquery}
+      ORDER BY ts_rank(v.search_vector, ${tsquery}) DESC, v.name ASC
+      LIMIT ${limit}
+    `,
+    // Files are linked through their latest result so the UI can open it
+    sql`
+      SELECT
+        r.id as "resultId", u.id as "uploadId", u.original_filename as "filename",
+        v.name as "vesselName", r.issues_detected as "issuesDetected", r.created_at as "createdAt"
+      FROM uploads u
+      JOIN LATERAL (
+        SELECT id, issues_detected, created_at FROM results
+        WHERE upload_id = u.id AND deleted_at IS NULL
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) r ON true
+      LEFT JOIN vessels v ON u.vessel_id = v.id
+      WHERE u.organization_id = ${organizationId} AND u.search_vector @@ ${tsquery} ${ownUploads}
+      ORDER BY ts_rank(u.search_vector, ${tsquery}) DESC, u.uploaded_at DESC
+      LIMIT ${limit}
+    `,
+    sql`
+      SELECT
+        q.id, q.code, q.description, q.category, q.reference,
+        q.rule_set_id as "ruleSetId", rs.name as "ruleSetName"
+      FROM requirements q
+      JOIN rule_sets rs ON q.rule_set_id = rs.id
+      WHERE rs.organization_id = ${organizationId} AND q.deleted_at IS NULL AND q.search_vector @@ ${tsquery}
+      ORDER BY ts_rank(q.search_vector, ${tsquery}) DESC, q.sort_order ASC, q.id ASC
+      LIMIT ${limit}
+    `,
+    sql`
+      SELECT
+        f.id, f.result_id as "resultId", f.severity, f.message,
+        f.regulation_reference as "regulationReference", u.original_filename as "filename"
+      FROM findings f
+      JOIN results r ON f.result_id = r.id
+      LEFT JOIN uploads u ON r.upload_id = u.id
+      WHERE r.organization_id = ${organizationId} AND r.deleted_at IS NULL AND f.search_vector @@ ${tsquery} ${ownUploads}
+      ORDER BY ts_rank(f.search_vector, ${tsquery}) DESC, f.created_at DESC
+      LIMIT ${limit}
+    `,
+  ])
+
+  return { vessels, files, requirements, findings }
+}
@@ -0,0 +1,203 @@
+// Where uploaded files are kept. STORAGE_DRIVER selects the driver: `local`
+// (the default) keeps them in directories on the server's disk, `s3` in a
+// bucket of Amazon S3 or an S3-compatible service such as MinIO, so they
+// survive redeploys on hosts with an ephemeral disk.
+//
+// Files are addressed by keys of the form `<area>/<name>`, e.g.
+// `uploads/file-1700000000000-123456789.pdf`. Locally that is the path below
+// STORAGE_LOCAL_DIR (the backend directory); in S3 the object key, after
+// S3_PREFIX. Files arrive on the local disk first (multer, resumable uploads)
+// and are copied in with putFile once they have been checked.
+import { fileURLToPath } from 'url'
+import { dirname, join, basename } from 'path'
+import { pipeline } from 'stream/promises'
+import fs from 'fs'
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} from '@aws-sdk/client-s3'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+// Storage areas: uploaded drawings and waiver attachments
+export const UPLOADS_AREA = 'uploads'
+export const WAIVERS_AREA = 'waivers'
+
+// The key of a stored file. Only the last part of `name` is used, so keys
+// can't point outside their area, and file paths recorded by older versions
+// (absolute, or relative to another directory) still find the file.
+export const storageKey = (area, name) => `${area}/${basename(String(name).replace(/\\/g, '/'))}`
+
+const isMissing = (error) =>
+  error.code === 'ENOENT' || error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+  error.$metadata?.httpStatusCode === 404
+
+// Files in directories below `root`
+function createLocalStorage(root) {
+  const pathOf = (key) => join(root, key)
+
+  return {
+    driver: 'local',
+
+    async putFile(key, sourcePath) {
+      await fs.promises.mkdir(dirname(pathOf(key)), { recursive: true })
+      await fs.promises.copyFile(sourcePath, pathOf(key))
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(pathOf(key))
+        return { size: stats.size, modifiedAt: stats.mtime }
+      } catch (error) {
+        if (isMissing(error)) return null
+        throw error
+      }
+    },
+
+    async createReadStream(key) {
+      const file = await this.stat(key)
+      return file && { ...file, stream: fs.createReadStream(pathOf(key)) }
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(pathOf(key))
+      } catch (error) {
+        if (!isMissing(error)) throw error
+      }
+    },
+  }
+}
+
+// Objects in an S3 bucket. Credentials not given in the environment come from
+// the SDK's default chain (AWS_* variables, instance roles).
+function createS3Storage({ bucket, prefix, ...config }) {
+  const s3 = new S3Client(config)
+  const objectKey = (key) => prefix + key
+
+  return {
+    driver: 's3',
+
+    async putFile(key, sourcePath, contentType) {
+      const { size } = await fs.promises.stat(sourcePath)
+      await s3.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: contentType || 'application/octet-stream',
+      }))
+    },
+
+    async stat(key) {
+      try {
+        const object = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }))
+        return { size: object.ContentLength, modifiedAt: object.LastModified }
+      } catch (error) {
+        if (isMissing(error)) return null
+        throw error
+      }
+    },
+
+    async createReadStream(key) {
+      try {
+        const object = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }))
+        return { size: object.ContentLength, modifiedAt: object.LastModified, stream: object.Body }
+      } catch (error) {
+        if (isMissing(error)) return null
+        throw error
+      }
+    },
+
+    // Deleting a missing object succeeds in S3
+    async remove(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }))
+    },
+  }
+}
+
+function createStorage(env) {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase()
+
+  if (driver === 'local') {
+    return createLocalStorage(env.STORAGE_LOCAL_DIR || join(__dirname, '..'))
+  }
+
+  if (driver === 's3') {
+    if (!env.S3_BUCKET) {
+      throw new Error('S3_BUCKET must be set when STORAGE_DRIVER is s3')
+    }
+    const prefix = (env.S3_PREFIX || '').replace(/^\/+|\/+$/g, '')
+    return createS3Storage({
+      bucket: env.S3_BUCKET,
+      prefix: prefix ? `${prefix}/` : '',
+      region: env.S3_REGION || env.AWS_REGION || 'us-east-1',
+      endpoint: env.S3_ENDPOINT || undefined,
+      // MinIO and most other S3-compatible services need bucket/key URLs
+      // instead of bucket subdomains
+      forcePathStyle: ['true', '1'].includes((env.S3_FORCE_PATH_STYLE || '').toLowerCase()),
+      // Not every S3-compatible service understands the checksummed
+      // (aws-chunked) uploads the SDK sends by default
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED',
+      credentials: env.S3_ACCESS_KEY_ID && env.S3_SECRET_ACCESS_KEY
+        ? { accessKeyId: env.S3_ACCESS_KEY_ID, secretAccessKey: env.S3_SECRET_ACCESS_KEY }
+        : undefined,
+    })
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${env.STORAGE_DRIVER}"; use local or s3`)
+}
+
+export const storage = createStorage(process.env)
+
+// The whole content of a stored file, or null when it doesn't exist
+export async function readStoredFile(key) {
+  const file = await storage.createReadStream(key)
+  if (!file) return null
+
+  const chunks = []
+  for await (const chunk of file.stream) chunks.push(chunk)
+  return Buffer.concat(chunks)
+}
+
+// Send a stored file as the response body. Returns false, without answering,
+// when the file doesn't exist. Last-Modified lets clients revalidate.
+export async function sendStoredFile(req, res, key) {
+  const file = await storage.createReadStream(key)
+  if (!file) return false
+
+  if (file.modifiedAt) res.setHeader('Last-Modified', new Date(file.modifiedAt).toUTCString())
+  if (req.fresh) {
+    file.stream.destroy()
+    res.status(304).end()
+    return true
+  }
+
+  if (file.size !== undefined) res.setHeader('Content-Length', file.size)
+  if (req.method === 'HEAD') {
+    file.stream.destroy()
+    res.end()
+    return true
+  }
+  try {
+    await pipeline(file.stream, res)
+  } catch (error) {
+    // The client went away or storage failed mid-transfer; the response is
+    // already under way, so it is only cut short
+    console.warn('Could not send stored file:', key, error.message)
+  }
+  return true
+}
+
+// Remove stored files, e.g. after the records pointing to them were deleted.
+// Failures are only logged, as nothing refers to the files any more.
+export function discardStoredFiles(keys) {
+  keys.forEach(key => storage.remove(key).catch(error => {
+    console.warn('Could not delete stored file:', key, error.message)
+  }))
+}
@@ -0,0 +1,156 @@
+// Deleted results go to a trash first: they disappear from every list and
+// answer 404, but keep their files and records until they are restored,
+// deleted permanently by an admin, or purged once TRASH_RETENTION_DAYS have
+// passed. Every step is recorded in the audit log.
+import { recordAudit } from './audit.js'
+import { publishResultEvent, RESULT_DELETED, RESULT_RESTORED } from './events.js'
+import { removeStaleReports } from './reportCache.js'
+import { releaseBlob } from './uploads.js'
+import { UPLOADS_AREA, WAIVERS_AREA, storageKey, discardStoredFiles } from './storage.js'
+
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30
+
+const PURGE_INTERVAL = 60 * 60 * 1000 // hourly
+
+// What a result was when it was trashed, restored or purged
+const resultSnapshot = (sql) => sql`
+  r.id, r.upload_id as "uploadId", r.review_status as "reviewStatus",
+  r.issues_detected as "issuesDetected", r.rule_set_id as "ruleSetId",
+  r.rulebook_version as "rulebookVersion", r.created_at as "createdAt",
+  u.original_filename as "originalFilename", u.file_path as "filePath",
+  u.file_size as "fileSize", u.file_type as "fileType", u.sha256,
+  u.vessel_id as "vesselId", u.user_id as "uploadedById"
+`
+
+// Trashed results of an organization, most recently deleted first
+export const selectTrash = (sql, organizationId) => sql`
+  SELECT
+    r.id,
+    u.original_filename as "filename",
+    u.file_type as "fileType",
+    v.name as "vesselName",
+    owner.name as "uploadedBy",
+    r.review_status as "reviewStatus",
+    r.issues_detected as "issuesDetected",
+    r.created_at as "createdAt",
+    r.deleted_at as "deletedAt",
+    deleter.name as "deletedBy",
+    r.deleted_at + make_interval(days => ${TRASH_RETENTION_DAYS}) as "purgeAt"
+  FROM results r
+  LEFT JOIN uploads u ON r.upload_id = u.id
+  LEFT JOIN vessels v ON u.vessel_id = v.id
+  LEFT JOIN users owner ON u.user_id = owner.id
+  LEFT JOIN users deleter ON r.deleted_by = deleter.id
+  WHERE r.organization_id = ${organizationId} AND r.deleted_at IS NOT NULL
+  ORDER BY r.deleted_at DESC, r.id DESC
+`
+
+// Lock a result of the organization that is (`trashed`) or is not in the trash
+async function lockResult(sql, organizationId, id, trashed) {
+  const [result] = await sql`
+    SELECT ${resultSnapshot(sql)}
+    FROM results r
+    LEFT JOIN uploads u ON r.upload_id = u.id
+    WHERE r.id = ${id} AND r.organization_id = ${organizationId}
+      AND r.deleted_at IS ${trashed ? sql`NOT NULL` : sql`NULL`}
+    FOR UPDATE OF r
+  `
+  return result || null
+}
+
+// Move a result to the trash. Returns false when there is no such result.
+export async function trashResult(client, actor, id) {
+  return client.begin(async sql => {
+    const result = await lockResult(sql, actor.organizationId, id, false)
+    if (!result) return false
+
+    await sql`UPDATE results SET deleted_at = NOW(), deleted_by = ${actor.id} WHERE id = ${id}`
+    await recordAudit(sql, actor, { action: 'result.delete', entityType: 'result', entityId: id, before: result })
+    await publishResultEvent(sql, actor, RESULT_DELETED, id)
+    return true
+  })
+}
+
+// Take a result out of the trash. Returns false when it is not in the trash.
+export async function restoreResult(client, actor, id) {
+  return client.begin(async sql => {
+    const result = await lockResult(sql, actor.organizationId, id, true)
+    if (!result) return false
+
+    await sql`UPDATE results SET deleted_at = NULL, deleted_by = NULL WHERE id = ${id}`
+    await recordAudit(sql, actor, { action: 'result.restore', entityType: 'result', entityId: id, after: result })
+    await publishResultEvent(sql, actor, RESULT_RESTORED, id)
+    return true
+  })
+}
+
+// Delete a trashed result, its upload and everything recorded for it, then
+// its files once that is committed - except an uploaded file with a blob,
+// which releaseBlob removes in the transaction when nothing else uses it.
+// Returns false when it is not in the trash.
+export async function purgeResult(client, actor, id) {
+  const purged = await client.begin(async sql => {
+    const result = await lockResult(sql, actor.organizationId, id, true)
+    if (!result) return null
+
+    const waiverAttachments = await sql`
+      SELECT w.attachment_path as "storedName"
+      FROM waivers w
+      JOIN findings f ON w.finding_id = f.id
+      WHERE f.result_id = ${id} AND w.attachment_path IS NOT NULL
+    `
+
+    // Evaluations, findings, reviews and waivers go with the result
+    await sql`DELETE FROM results WHERE id = ${id}`
+    if (result.uploadId) {
+      await sql`DELETE FROM uploads WHERE id = ${result.uploadId}`
+    }
+    // The file goes with its blob, unless other uploads have the same content
+    if (result.sha256) {
+      await releaseBlob(sql, result.sha256)
+    }
+    await recordAudit(sql, actor, { action: 'result.purge', entityType: 'result', entityId: id, before: result })
+    return { ...result, waiverAttachments }
+  })
+  if (!purged) return false
+
+  removeStaleReports(id)
+  discardStoredFiles([
+    ...(purged.filePath && !purged.sha256 ? [storageKey(UPLOADS_AREA, purged.filePath)] : []),
+    ...purged.waiverAttachments.map(({ storedName }) => storageKey(WAIVERS_AREA, storedName)),
+  ])
+  return true
+}
+
+// Purge every result that has been in the trash longer than the retention
+// period. The audit log records these without a user.
+export async function purgeExpiredResults(client) {
+  const expired = await client`
+    SELECT id, organization_id as "organizationId" FROM results
+    WHERE deleted_at < NOW() - make_interval(days => ${TRASH_RETENTION_DAYS})
+    ORDER BY deleted_at ASC
+  `
+  for (const { id, organizationId } of expired) {
+    await purgeResult(client, { organizationId, id: null, name: null, ip: null }, id)
+  }
+  return expired.length
+}
+
+// Run purgeExpiredResults now and then every hour
+export function startTrashPurge(client) {
+  const purge = async () => {
+    try {
+      const count = await purgeExpiredResults(client)
+      if (count > 0) {
+        console.log(`🗑️ Purged ${count} result(s) older than ${TRASH_RETENTION_DAYS} days from the trash`)
+      }
+    } catch (error) {
+      // Try again on the next run
+      console.warn(`⚠️ Trash purge failed: ${error.message}`)
+    }
+  }
+
+  purge()
+  setInterval(purge, PURGE_INTERVAL)
+  console.log(`🗑️ Trash purge enabled - results are kept for ${TRASH_RETENTION_DAYS} days`)
+}
@@ -0,0 +1,315 @@
+// Recording uploaded drawings: shared by the multipart upload endpoints and
+// resumable (tus) uploads, which all end with files on the local disk that
+// are checked, copied to storage (services/storage.js) and recorded as
+// uploads with their results. Each result is analyzed afterwards by a job
+// (services/jobs.js) that evaluates the stored file against the rule set.
+//
+// Stored files are content-addressed: each distinct content is a blob in
+// file_blobs, stored once under its SHA-256, however many uploads refer to it.
+import { createHash } from 'crypto'
+import { fileURLToPath } from 'url'
+import { dirname, join, extname } from 'path'
+import { pipeline } from 'stream/promises'
+import fs from 'fs'
+import { client } from '../db/config.js'
+import { evaluateUpload, saveEvaluation } from './compliance/index.js'
+import { findVessel } from './vessels.js'
+import { recordAudit } from './audit.js'
+import { canViewAllResults } from './auth.js'
+import { nextRevision } from './revisions.js'
+import { RulebookError } from './requirements.js'
+import { resolveRuleSet } from './ruleSets.js'
+import { enqueueJob, formatJob, lockJobClaim, PermanentJobError } from './jobs.js'
+import { publishResultEvent, RESULT_CREATED } from './events.js'
+import { FILE_TYPES, verifyFileType, stripImageMetadata } from './fileTypes.js'
+import { UPLOADS_AREA, storage, storageKey, discardStoredFiles } from './storage.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+// Multipart uploads are written here until they are stored or rejected
+export const incomingDir = join(__dirname, '..', 'incoming')
+if (!fs.existsSync(incomingDir)) {
+  fs.mkdirSync(incomingDir, { recursive: true })
+}
+
+export const ALLOWED_TYPES = Object.keys(FILE_TYPES)
+export const INVALID_TYPE_MESSAGE = 'Invalid file type. Allowed types: txt, pdf, docx, csv, xlsx, html, jpg, jpeg, png, gif'
+
+// Unique name a received file is written under in incomingDir, e.g.
+// file-1700000000000-123456789.pdf
+export function storedFilename(fieldname, fileType) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
+  return fieldname + '-' + uniqueSuffix + (FILE_TYPES[fileType]?.extension || '')
+}
+
+// Name a blob is stored under: its SHA-256 with the extension of the type it
+// was first uploaded as - never the client's filename, so a file can't be
+// served as another type
+const blobName = (sha256, fileType) => sha256 + (FILE_TYPES[fileType]?.extension || '')
+
+async function hashFile(path) {
+  const hash = createHash('sha256')
+  await pipeline(fs.createReadStream(path), hash)
+  return hash.digest('hex')
+}
+
+// Check a received file's content against the type the client claimed, strip
+// the metadata of images and hash what remains, updating `file.size` and
+// setting `file.sha256`. Returns an error message when the file must be rejected.
+export async function inspectFile(file) {
+  const mismatch = verifyFileType(file.path, file.mimetype)
+  if (mismatch) return mismatch
+
+  try {
+    file.size = await stripImageMetadata(file.path, file.mimetype)
+  } catch (error) {
+    return `The file is not a valid ${FILE_TYPES[file.mimetype].label}`
+  }
+  file.sha256 = await hashFile(file.path)
+  return null
+}
+
+// The name of the blob holding the content of `file` (inspected, so with its
+// SHA-256), in the caller's transaction. New content is copied to storage and
+// its key added to `stored`. An existing blob is locked, so it can't be
+// released until this transaction has committed its reference.
+async function saveBlob(sql, file, stored) {
+  const [created] = await sql`
+    INSERT INTO file_blobs (sha256, stored_name, file_size, file_type)
+    VALUES (${file.sha256}, ${blobName(file.sha256, file.mimetype)}, ${file.size}, ${file.mimetype})
+    ON CONFLICT (sha256) DO NOTHING
+    RETURNING stored_name as "storedName"
+  `
+  if (created) {
+    const key = storageKey(UPLOADS_AREA, created.storedName)
+    await storage.putFile(key, file.path, file.mimetype)
+    stored.push(key)
+    return created.storedName
+  }
+
+  const [blob] = await sql`SELECT stored_name as "storedName" FROM file_blobs WHERE sha256 = ${file.sha256} FOR UPDATE`
+  // Store the content again if the file went missing, e.g. with a wiped disk
+  const key = storageKey(UPLOADS_AREA, blob.storedName)
+  if (!(await storage.stat(key))) {
+    await storage.putFile(key, file.path, file.mimetype)
+  }
+  return blob.storedName
+}
+
+// After an upload was deleted in the caller's transaction: delete its blob,
+// and the stored file, when no other upload refers to it any more. The file
+// is removed while the blob is locked, so an upload of the same content that
+// comes in meanwhile waits and then stores it anew.
+export async function releaseBlob(sql, sha256) {
+  const [blob] = await sql`SELECT stored_name as "storedName" FROM file_blobs WHERE sha256 = ${sha256} FOR UPDATE`
+  if (!blob) return
+
+  const [{ referenced }] = await sql`SELECT EXISTS (SELECT 1 FROM uploads WHERE sha256 = ${sha256}) as referenced`
+  if (referenced) return
+
+  await sql`DELETE FROM file_blobs WHERE sha256 = ${sha256}`
+  await storage.remove(storageKey(UPLOADS_AREA, blob.storedName))
+}
+
+export const discardFiles = (files) => files.forEach(file => fs.unlink(file.path, () => {}))
+
+// The vessel named by a submission: null without `vesselId`, false when it is
+// not a vessel of the organization
+export async function findSubmissionVessel(organizationId, vesselId) {
+  if (!vesselId) return null
+  const id = parseInt(vesselId)
+  return (isNaN(id) ? null : await findVessel(client, organizationId, id)) || false
+}
+
+// Job type analyzing the upload of a result (analyzeUpload)
+export const ANALYSIS_JOB = 'analyze_upload'
+
+// Record the uploads with their results in the caller's transaction, storing
+// the content of the files that is new (see withStoredFiles for `stored`),
+// and queue the analysis of each against the rule set. `files` are
+// multer-style descriptions of files on disk (originalname, size, mimetype,
+// path) checked by inspectFile. With `batch` the uploads are grouped in an
+// upload batch; with `parent` (see findParentUpload) the single file is
+// recorded as a new revision of it. Returns the batch ID and
+// { upload, result, job } per file.
+export async function saveSubmission(sql, actor, files, { ruleSet, vessel, stored, batch = false, parent = null }) {
+  // Waits for a delete of the rule set in progress, and keeps it from being
+  // deleted until the results that use it are committed
+  const [current] = await sql`SELECT id FROM rule_sets WHERE id = ${ruleSet.id} FOR KEY SHARE`
+  if (!current) {
+    throw new RulebookError('Rule set not found', 404)
+  }
+
+  let batchId = null
+  if (batch) {
+    const [created] = await sql`
+      INSERT INTO upload_batches (organization_id, user_id, file_count)
+      VALUES (${actor.organizationId}, ${actor.id}, ${files.length})
+      RETURNING id
+    `
+    batchId = created.id
+  }
+
+  const submitted = []
+  for (const file of files) {
+    const { originalname, size, mimetype, sha256 } = file
+    const filename = await saveBlob(sql, file, stored)
+    const { documentId, revision } = parent ? await nextRevision(sql, parent) : { documentId: null, revision: 1 }
+
+    // Store relative path (just filename) to avoid issues with absolute paths on different environments
+    const [uploadRecord] = await sql`
+      INSERT INTO uploads (
+        organization_id, filename, original_filename, file_path, file_size, file_type, sha256, vessel_id, user_id, batch_id,
+        parent_upload_id, document_id, revision
+      )
+      VALUES (
+        ${actor.organizationId}, ${filename}, ${originalname}, ${filename}, ${size}, ${mimetype}, ${sha256},
+        ${vessel ? vessel.id : null}, ${actor.id}, ${batchId}, ${parent ? parent.id : null}, ${documentId}, ${revision}
+      )
+      RETURNING id, filename, original_filename as "originalFilename", file_path as "filePath",
+                file_size as "fileSize", file_type as "fileType", sha256, uploaded_at as "uploadedAt",
+                user_id as "userId", vessel_id as "vesselId", batch_id as "batchId",
+                parent_upload_id as "parentUploadId", COALESCE(document_id, id) as "documentId", revision
+    `
+
+    // Create a result entry for this upload. Its rule set is recorded right
+    // away, so the rule set can't be deleted while the analysis is pending.
+    const [resultRecord] = await sql`
+      INSERT INTO results (organization_id, upload_id, rule_set_id)
+      VALUES (${actor.organizationId}, ${uploadRecord.id}, ${ruleSet.id})
+      RETURNING id, upload_id as "uploadId", review_status as "reviewStatus",
+                report_path as "reportPath", created_at as "createdAt", updated_at as "updatedAt"
+    `
+    const job = await enqueueJob(sql, actor, {
+      type: ANALYSIS_JOB,
+      payload: { ruleSetId: ruleSet.id },
+      resultId: resultRecord.id,
+    })
+
+    await recordAudit(sql, actor, {
+      action: 'result.upload',
+      entityType: 'result',
+      entityId: resultRecord.id,
+      after: {
+        uploadId: uploadRecord.id,
+        batchId,
+        filename: originalname,
+        fileSize: size,
+        fileType: mimetype,
+        sha256,
+        vesselId: uploadRecord.vesselId,
+        parentResultId: parent ? parent.resultId : null,
+        revision,
+        ruleSetId: ruleSet.id,
+        jobId: job.id,
+      },
+    })
+    await publishResultEvent(sql, actor, RESULT_CREATED, resultRecord.id, { batchId })
+
+    submitted.push({
+      upload: uploadRecord,
+      result: {
+        ...resultRecord,
+        analysisStatus: 'processing',
+        ruleSet: { id: ruleSet.id, name: ruleSet.name },
+      },
+      job: formatJob(job),
+    })
+  }
+  return { batchId, submitted }
+}
+
+// Run `save(stored)`, a transaction that stores files and adds their keys to
+// `stored`. When it fails the files it stored are removed again. The files on
+// the local disk are left for the caller.
+export async function withStoredFiles(save) {
+  const stored = []
+  try {
+    return await save(stored)
+  } catch (error) {
+    discardStoredFiles(stored)
+    throw error
+  }
+}
+
+// Store and record received files in one transaction, so a submission is
+// stored completely or not at all
+export async function recordSubmission(actor, files, options) {
+  return withStoredFiles(stored => client.begin(sql => (
+    saveSubmission(sql, actor, files, { ...options, stored })
+  )))
+}
+
+// Job handler for ANALYSIS_JOB: evaluate the stored file of the job's result
+// against the rule set chosen at upload and record the outcome. The rule set
+// is looked up again, as it may have been deleted since. The file is copied
+// from storage to the local disk for the checks that read it.
+export async function analyzeUpload(job) {
+  const [upload] = await client`
+    SELECT u.original_filename as "originalFilename", u.file_size as "fileSize", u.file_type as "fileType",
+           u.file_path as "filePath"
+    FROM results r
+    JOIN uploads u ON r.upload_id = u.id
+    WHERE r.id = ${job.resultId}
+  `
+  if (!upload) throw new PermanentJobError('The upload was deleted')
+
+  let ruleSet
+  try {
+    ruleSet = await resolveRuleSet(client, job.organizationId, job.payload.ruleSetId)
+  } catch (error) {
+    if (error instanceof RulebookError) throw new PermanentJobError(error.message)
+    throw error
+  }
+
+  const stored = await storage.createReadStream(storageKey(UPLOADS_AREA, upload.filePath))
+  if (!stored) throw new Error('The uploaded file is missing from storage')
+  const path = join(incomingDir, `analysis-${job.id}-${Date.now()}${extname(upload.filePath)}`)
+
+  try {
+    await pipeline(stored.stream, fs.createWriteStream(path))
+    const outcome = await evaluateUpload({ ...upload, absolutePath: path }, ruleSet.id)
+
+    await client.begin(async sql => {
+      // A worker that ran past its lock must not overwrite the outcome of the
+      // one that took the job over
+      await lockJobClaim(sql, job)
+      await saveEvaluation(sql, job.resultId, outcome)
+      await recordAudit(sql, { organizationId: job.organizationId, id: null, name: null, ip: null }, {
+        action: 'result.analyze',
+        entityType: 'result',
+        entityId: job.resultId,
+        after: {
+          jobId: job.id,
+          attempt: job.attempts,
+          ruleSetId: ruleSet.id,
+          rulebookVersion: outcome.rulebookVersion,
+          issuesDetected: outcome.summary.failed,
+        },
+      })
+    })
+  } finally {
+    fs.unlink(path, () => {})
+  }
+}
+
+// The latest earlier result of the organization for an upload with the same
+// content as `upload`, among those `user` can see, or null. Lets the client
+// point out that an identical file was analyzed before.
+export async function findEarlierResult(sql, user, upload) {
+  if (!upload.sha256) return null
+
+  const [earlier] = await sql`
+    SELECT r.id as "resultId", u.id as "uploadId", u.original_filename as "originalFilename",
+           u.uploaded_at as "uploadedAt", r.review_status as "reviewStatus", r.issues_detected as "issuesDetected"
+    FROM uploads u
+    JOIN results r ON r.upload_id = u.id
+    WHERE u.sha256 = ${upload.sha256} AND u.id < ${upload.id}
+      AND r.organization_id = ${user.organizationId} AND r.deleted_at IS NULL
+      ${canViewAllResults(user) ? sql`` : sql`AND u.user_id = ${user.id}`}
+    ORDER BY u.id DESC
+    LIMIT 1
+  `
+  return earlier || null
+}
@@ -0,0 +1,54 @@
+// Shared helpers for vessels and the drawings uploaded for them
+
+const trimOrNull = (value) => {
+  if (value === undefined || value === null) return null
+  const trimmed = String(value).trim()
+  return trimmed.length > 0 ? trimmed : null
+}
+
+// IMO numbers are seven digits; the last is a check digit: the sum of the
+// first six digits multiplied by 7, 6, 5, 4, 3 and 2, modulo 10
+export function isValidImoNumber(imoNumber) {
+  if (!/^\d{7}$/.test(imoNumber)) return false
+  const digits = imoNumber.split('').map(Number)
+  const sum = digits.slice(0, 6).reduce((total, digit, i) => total + digit * (7 - i), 0)
+  return sum % 10 === digits[6]
+}
+
+// Validate and normalize a vessel payload.
+// Returns { vessel } on success or { error } with a user-facing message.
+export function parseVesselInput(body = {}) {
+  const name = trimOrNull(body.name)
+  if (!name) {
+    return { error: 'Name is required' }
+  }
+
+  // Accept "IMO 9074729" as well as the bare number
+  const imoNumber = trimOrNull(body.imoNumber)?.replace(/^IMO\s*/i, '') || null
+  if (imoNumber && !isValidImoNumber(imoNumber)) {
+    return { error: 'IMO number must be 7 digits with a valid check digit' }
+  }
+
+  return {
+    vessel: {
+      name,
+      imoNumber,
+      vesselType: trimOrNull(body.vesselType),
+      owner: trimOrNull(body.owner),
+    },
+  }
+}
+
+export const vesselColumns = (sql) => sql`
+  id, name, imo_number as "imoNumber", vessel_type as "vesselType", owner,
+  created_at as "createdAt", updated_at as "updatedAt"
+`
+
+// Vessels are looked up within an organization, so another tenant's ID is
+// simply not found
+export async function findVessel(sql, organizationId, id) {
+  const [vessel] = await sql`
+    SELECT ${vesselColumns(sql)} FROM vessels WHERE id = ${id} AND organization_id = ${organizationId}
+  `
+  return vessel || null
+}
@@ -0,0 +1,201 @@
+// Waivers accept an individual finding with a documented justification, e.g.
+// an equivalence argument. An engineer requests the waiver with a reason and
+// an optional supporting attachment; a reviewer or admin other than the
+// requester approves or rejects it. Only approved waivers count: a failed
+// requirement whose findings are all waived no longer makes the result
+// non-compliant (see services/results.js).
+import fs from 'fs'
+import { recordAudit } from './audit.js'
+import { WAIVERS_AREA, storage, storageKey, discardStoredFiles } from './storage.js'
+import { inspectFile } from './uploads.js'
+
+// Decisions a reviewer can take, by the status they apply to
+const DECISIONS = {
+  approve: { from: 'requested', to: 'approved' },
+  reject: { from: 'requested', to: 'rejected', commentRequired: true },
+  revoke: { from: 'approved', to: 'revoked', commentRequired: true },
+}
+
+export class WaiverError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'WaiverError'
+    this.status = status
+  }
+}
+
+export const waiverColumns = (sql) => sql`
+  w.id, w.finding_id as "findingId", w.status, w.reason,
+  w.attachment_filename as "attachmentFilename", w.attachment_type as "attachmentType",
+  w.attachment_size as "attachmentSize",
+  w.requested_by as "requestedById", w.requested_by_name as "requestedBy",
+  w.approver_id as "approverId", w.approver_name as "approver",
+  w.decision_comment as "decisionComment", w.decided_at as "decidedAt",
+  w.revoked_by_name as "revokedBy", w.revoke_reason as "revokeReason", w.revoked_at as "revokedAt",
+  w.created_at as "createdAt", w.updated_at as "updatedAt"
+`
+
+const trimOrNull = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null)
+
+// Remove an attachment written by multer once it is stored or the request failed
+export function discardAttachment(file) {
+  if (file) fs.unlink(file.path, () => {})
+}
+
+// Attachments are only served through the API, never statically
+export const attachmentKey = (storedName) => storageKey(WAIVERS_AREA, storedName)
+
+// Waivers cannot change once the result has been signed off, or the approved
+// record would no longer match the compliance status
+async function lockFinding(sql, organizationId, resultId, findingId) {
+  const [finding] = await sql`
+    SELECT f.id, r.review_status as "reviewStatus"
+    FROM findings f
+    JOIN results r ON f.result_id = r.id
+    WHERE f.id = ${findingId} AND f.result_id = ${resultId} AND r.organization_id = ${organizationId}
+    FOR UPDATE OF r
+  `
+  if (!finding) {
+    throw new WaiverError('Finding not found', 404)
+  }
+  if (finding.reviewStatus === 'approved') {
+    throw new WaiverError('Waivers of an approved result cannot be changed', 409)
+  }
+  return finding
+}
+
+// Request a waiver for a finding on behalf of `user`, an audit actor
+// (services/audit.js). `file` is the optional multer attachment, which is
+// checked like an uploaded drawing (its content must match its type, images
+// lose their metadata) and copied to storage; the caller removes the
+// received file.
+export async function requestWaiver(client, organizationId, resultId, findingId, user, body = {}, file = null) {
+  const reason = trimOrNull(body.reason)
+  if (!reason) {
+    throw new WaiverError('A reason is required')
+  }
+
+  if (file) {
+    const rejection = await inspectFile(file)
+    if (rejection) {
+      throw new WaiverError(rejection)
+    }
+    await storage.putFile(attachmentKey(file.filename), file.path, file.mimetype)
+  }
+  try {
+    return await saveWaiverRequest(client, organizationId, resultId, findingId, user, reason, file)
+  } catch (error) {
+    if (file) discardStoredFiles([attachmentKey(file.filename)])
+    throw error
+  }
+}
+
+// The waiver row and its audit entry, in one transaction
+async function saveWaiverRequest(client, organizationId, resultId, findingId, user, reason, file) {
+  return client.begin(async sql => {
+    await lockFinding(sql, organizationId, resultId, findingId)
+
+    const [open] = await sql`
+      SELECT id FROM waivers WHERE finding_id = ${findingId} AND status IN ('requested', 'approved')
+    `
+    if (open) {
+      throw new WaiverError('This finding already has a waiver', 409)
+    }
+
+    const [{ id }] = await sql`
+      INSERT INTO waivers (
+        finding_id, reason, attachment_filename, attachment_path, attachment_type, attachment_size,
+        requested_by, requested_by_name
+      )
+      VALUES (
+        ${findingId}, ${reason}, ${file ? file.originalname : null}, ${file ? file.filename : null},
+        ${file ? file.mimetype : null}, ${file ? file.size : null}, ${user.id}, ${user.name}
+      )
+      RETURNING id
+    `
+    const [waiver] = await sql`SELECT ${waiverColumns(sql)} FROM waivers w WHERE w.id = ${id}`
+    await recordAudit(sql, user, {
+      action: 'waiver.request',
+      entityType: 'waiver',
+      entityId: waiver.id,
+      after: { ...waiver, resultId },
+    })
+    return waiver
+  })
+}
+
+// Approve, reject or revoke a waiver on behalf of `user`, an audit actor.
+// Body: { comment }
+export async function decideWaiver(client, organizationId, resultId, waiverId, decision, user, body = {}) {
+  const { from, to, commentRequired } = DECISIONS[decision]
+  const comment = trimOrNull(body.comment)
+  if (commentRequired && !comment) {
+    throw new WaiverError(`A comment is required to ${decision} a waiver`)
+  }
+
+  return client.begin(async sql => {
+    const [current] = await sql`
+      SELECT ${waiverColumns(sql)}
+      FROM waivers w
+      JOIN findings f ON w.finding_id = f.id
+      WHERE w.id = ${waiverId} AND f.result_id = ${resultId}
+    `
+    if (!current) {
+      throw new WaiverError('Waiver not found', 404)
+    }
+    await lockFinding(sql, organizationId, resultId, current.findingId)
+
+    if (current.status !== from) {
+      throw new WaiverError(`Only ${from} waivers can be ${to}`, 409)
+    }
+    if (decision === 'approve' && current.requestedById === user.id) {
+      throw new WaiverError('A waiver must be approved by someone other than the requester', 403)
+    }
+
+    // Revoking keeps the original approver on record
+    if (decision === 'revoke') {
+      await sql`
+        UPDATE waivers
+        SET status = ${to}, revoked_by = ${user.id}, revoked_by_name = ${user.name},
+            revoke_reason = ${comment}, revoked_at = NOW(), updated_at = NOW()
+        WHERE id = ${waiverId}
+      `
+    } else {
+      await sql`
+        UPDATE waivers
+        SET status = ${to}, approver_id = ${user.id}, approver_name = ${user.name},
+            decision_comment = ${comment}, decided_at = NOW(), updated_at = NOW()
+        WHERE id = ${waiverId}
+      `
+    }
+    const [waiver] = await sql`SELECT ${waiverColumns(sql)} FROM waivers w WHERE w.id = ${waiverId}`
+    await recordAudit(sql, user, {
+      action: `waiver.${decision}`,
+      entityType: 'waiver',
+      entityId: waiverId,
+      before: { ...current, resultId },
+      after: { ...waiver, resultId },
+    })
+    return waiver
+  })
+}
+
+// The most recent waiver of each finding of a result
+export const selectLatestWaivers = (sql, resultId) => sql`
+  SELECT DISTINCT ON (w.finding_id) ${waiverColumns(sql)}
+  FROM waivers w
+  JOIN findings f ON w.finding_id = f.id
+  WHERE f.result_id = ${resultId}
+  ORDER BY w.finding_id, w.created_at DESC, w.id DESC
+`
+
+export async function findWaiverAttachment(sql, organizationId, resultId, waiverId) {
+  const [waiver] = await sql`
+    SELECT w.attachment_filename as "filename", w.attachment_path as "storedName", w.attachment_type as "type"
+    FROM waivers w
+    JOIN findings f ON w.finding_id = f.id
+    JOIN results r ON f.result_id = r.id
+    WHERE w.id = ${waiverId} AND f.result_id = ${resultId} AND r.organization_id = ${organizationId}
+  `
+  return waiver && waiver.storedName ? waiver : null
+}
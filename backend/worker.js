@@ -0,0 +1,21 @@
+// Runs background jobs (services/jobs.js), i.e. the analysis of uploaded
+// drawings, in a process of its own next to the server: `npm run worker`.
+// Any number of workers can run against the same database; servers started
+// with RUN_JOBS_IN_SERVER=false leave the jobs to them.
+import { client } from './db/config.js'
+import { startWorker } from './services/jobs.js'
+import { JOB_HANDLERS } from './services/jobHandlers.js'
+
+const worker = startWorker(client, JOB_HANDLERS)
+console.log('👷 Worker started, waiting for jobs')
+
+// Finish the current job before exiting. A job cut short anyway is taken
+// over by another worker once its lock expires.
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, async () => {
+    console.log('Stopping worker after the current job...')
+    await worker.stop()
+    await client.end()
+    process.exit(0)
+  })
+}
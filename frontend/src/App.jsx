@@ -1,23 +1,55 @@
 import React from 'react'
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom'
 import Layout from './components/Layout'
+import RequireAuth from './components/RequireAuth'
+import { AuthProvider } from './context/AuthContext'
+import { EventsProvider } from './context/EventsContext'
+import Login from './pages/Login'
 import Dashboard from './pages/Dashboard'
 import Upload from './pages/Upload'
 import Results from './pages/Results'
 import Requirements from './pages/Requirements'
+import Vessels from './pages/Vessels'
+import VesselDetail from './pages/VesselDetail'
+import Users from './pages/Users'
+import AuditLog from './pages/AuditLog'
+import Trash from './pages/Trash'
 
 function App() {
   return (
-    <Router>
-      <Layout>
-        <Routes>
-          <Route path="/" element={<Dashboard />} />
-          <Route path="/upload" element={<Upload />} />
-          <Route path="/results" element={<Results />} />
-          <Route path="/requirements" element={<Requirements />} />
-        </Routes>
-      </Layout>
-    </Router>
+    <AuthProvider>
+      <EventsProvider>
+        <Router>
+          <Routes>
+            <Route path="/login" element={<Login />} />
+            <Route path="/register" element={<Login mode="register" />} />
+            <Route
+              path="/*"
+              element={
+                <RequireAuth>
+                  <Layout>
+                    <Routes>
+                      <Route path="/" element={<Dashboard />} />
+                      <Route
+                        path="/upload"
+                        element={<RequireAuth roles={['engineer', 'admin']}><Upload /></RequireAuth>}
+                      />
+                      <Route path="/results" element={<Results />} />
+                      <Route path="/requirements" element={<Requirements />} />
+                      <Route path="/vessels" element={<Vessels />} />
+                      <Route path="/vessels/:id" element={<VesselDetail />} />
+                      <Route path="/users" element={<RequireAuth roles={['admin']}><Users /></RequireAuth>} />
+                      <Route path="/audit" element={<RequireAuth roles={['admin']}><AuditLog /></RequireAuth>} />
+                      <Route path="/trash" element={<RequireAuth roles={['admin']}><Trash /></RequireAuth>} />
+                    </Routes>
+                  </Layout>
+                </RequireAuth>
+              }
+            />
+          </Routes>
+        </Router>
+      </EventsProvider>
+    </AuthProvider>
   )
 }
 
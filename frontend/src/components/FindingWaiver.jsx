@@ -0,0 +1,156 @@
+import React, { useState } from 'react'
+import { Paperclip } from 'lucide-react'
+import './FindingWaiver.css'
+import { api } from '../utils/api'
+import { useAuth } from '../context/AuthContext'
+
+const waiverStatusLabels = {
+  requested: 'Waiver requested',
+  approved: 'Waived',
+  rejected: 'Waiver rejected',
+  revoked: 'Waiver revoked',
+}
+
+// Waiver of one finding: its current state, the request form for engineers
+// and the decision buttons for reviewers. Waivers are frozen once the result
+// is approved. `onChange` receives the updated waiver.
+const FindingWaiver = ({ resultId, finding, resultApproved, onChange }) => {
+  const { user, hasRole } = useAuth()
+  const { waiver } = finding
+  const [requesting, setRequesting] = useState(false)
+  const [reason, setReason] = useState('')
+  const [attachment, setAttachment] = useState(null)
+  const [comment, setComment] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [errorMessage, setErrorMessage] = useState('')
+
+  const isOpen = waiver && (waiver.status === 'requested' || waiver.status === 'approved')
+  const canRequest = hasRole('engineer', 'admin') && !resultApproved && !isOpen
+  const canDecide = hasRole('reviewer', 'admin') && !resultApproved && isOpen
+
+  const run = async (action) => {
+    setSaving(true)
+    setErrorMessage('')
+    try {
+      const response = await action()
+      onChange(response.data.waiver)
+      setRequesting(false)
+      setReason('')
+      setAttachment(null)
+      setComment('')
+    } catch (error) {
+      console.error('Waiver error:', error)
+      setErrorMessage(error.userMessage || 'Failed to update waiver')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRequest = (e) => {
+    e.preventDefault()
+    run(() => api.requestWaiver(resultId, finding.id, { reason, attachment }))
+  }
+
+  const handleDecision = (decision) => run(() => api.decideWaiver(resultId, waiver.id, decision, comment))
+
+  const handleAttachment = async () => {
+    try {
+      const response = await api.downloadWaiverAttachment(resultId, waiver.id)
+      const url = window.URL.createObjectURL(new Blob([response.data]))
+      const link = document.createElement('a')
+      link.href = url
+      link.setAttribute('download', waiver.attachmentFilename)
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Attachment download error:', error)
+      setErrorMessage(error.userMessage || 'Failed to download attachment')
+    }
+  }
+
+  return (
+    <div className="finding-waiver">
+      {errorMessage && <div className="waiver-error">{errorMessage}</div>}
+
+      {waiver && (
+        <div className={`waiver-state waiver-${waiver.status}`}>
+          <span className="waiver-status">{waiverStatusLabels[waiver.status]}</span>
+          <span className="waiver-reason">{waiver.reason}</span>
+          <div className="waiver-meta">
+            Requested by {waiver.requestedBy}
+            {waiver.approver && waiver.status !== 'requested' && (
+              <>; {waiver.status === 'rejected' ? 'rejected' : 'approved'} by {waiver.approver}</>
+            )}
+            {waiver.decisionComment && <> ({waiver.decisionComment})</>}
+            {waiver.revokedBy && <>; revoked by {waiver.revokedBy} ({waiver.revokeReason})</>}
+            {waiver.attachmentFilename && (
+              <button className="waiver-attachment" onClick={handleAttachment}>
+                <Paperclip size={12} /> {waiver.attachmentFilename}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {canDecide && (
+        <div className="waiver-decision">
+          <input
+            type="text"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder={waiver.status === 'requested' ? 'Comment (required to reject)' : 'Reason for revoking'}
+          />
+          {waiver.status === 'requested' ? (
+            <>
+              {waiver.requestedById !== user?.id && (
+                <button className="waiver-btn primary" onClick={() => handleDecision('approve')} disabled={saving}>
+                  Approve
+                </button>
+              )}
+              <button className="waiver-btn" onClick={() => handleDecision('reject')} disabled={saving}>
+                Reject
+              </button>
+            </>
+          ) : (
+            <button className="waiver-btn" onClick={() => handleDecision('revoke')} disabled={saving}>
+              Revoke
+            </button>
+          )}
+        </div>
+      )}
+
+      {canRequest && !requesting && (
+        <button className="waiver-link" onClick={() => setRequesting(true)}>Request waiver</button>
+      )}
+
+      {canRequest && requesting && (
+        <form className="waiver-form" onSubmit={handleRequest}>
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Justification, e.g. the equivalence argument"
+            rows={2}
+            required
+          />
+          <input
+            type="file"
+            accept=".pdf,.jpg,.jpeg,.png,.txt,.docx,.xlsx"
+            onChange={(e) => setAttachment(e.target.files[0] || null)}
+          />
+          <div className="waiver-form-actions">
+            <button type="button" className="waiver-btn" onClick={() => setRequesting(false)} disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" className="waiver-btn primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Request Waiver'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default FindingWaiver
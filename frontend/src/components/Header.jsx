@@ -1,95 +1,287 @@
-import React, { useState, useEffect } from 'react'
-import { Menu, Search, Bell, User, ChevronDown } from 'lucide-react'
+import React, { useState, useEffect, useRef } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { Menu, Search, Bell, User, ChevronDown, LogOut } from 'lucide-react'
 import './Header.css'
 import { api } from '../utils/api'
+import { useAuth } from '../context/AuthContext'
+import { useEvents, describeEvent } from '../context/EventsContext'
+
+const SEARCH_DEBOUNCE_MS = 250
+
+const formatRole = (role) => (role ? role.charAt(0).toUpperCase() + role.slice(1) : '')
+
+const searchGroups = [
+  { key: 'vessels', label: 'Vessels' },
+  { key: 'files', label: 'Files' },
+  { key: 'requirements', label: 'Requirements' },
+  { key: 'findings', label: 'Findings' },
+]
+
+// Map one search hit to the page that shows it
+const searchItem = (group, hit) => {
+  switch (group) {
+    case 'vessels':
+      return { to: `/vessels/${hit.id}`, label: hit.name, detail: hit.imoNumber ? `IMO ${hit.imoNumber}` : hit.vesselType }
+    case 'files':
+      return { to: `/results?result=${hit.resultId}`, label: hit.filename, detail: hit.vesselName }
+    case 'requirements':
+      return {
+        to: `/requirements?ruleSetId=${hit.ruleSetId}&requirement=${hit.id}`,
+        label: hit.code ? `${hit.code} - ${hit.description}` : hit.description,
+        detail: hit.ruleSetName,
+      }
+    default:
+      return { to: `/results?result=${hit.resultId}`, label: hit.message, detail: hit.filename }
+  }
+}
+
+// Results that were deleted no longer open
+const notificationLink = (notification) =>
+  notification.type === 'result.deleted' ? null : `/results?result=${notification.resultId}`
 
 const Header = ({ onMenuClick }) => {
+  const navigate = useNavigate()
+  const { user, logout } = useAuth()
+  const { notifications, unreadCount, markAllRead, clearNotifications } = useEvents()
+  const [userMenuOpen, setUserMenuOpen] = useState(false)
+  const [notificationsOpen, setNotificationsOpen] = useState(false)
   const [searchDropdownOpen, setSearchDropdownOpen] = useState(false)
-  const [vesselNames, setVesselNames] = useState([])
+  const [vessels, setVessels] = useState([])
+  const [query, setQuery] = useState('')
+  const [searchResults, setSearchResults] = useState(null)
+  const [searching, setSearching] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const latestQuery = useRef('')
 
   useEffect(() => {
-    fetchVesselNames()
-  }, [])
+    if (searchDropdownOpen && !query.trim()) fetchVessels()
+  }, [searchDropdownOpen, query])
+
+  // Debounced typeahead; responses for queries the user has since changed are dropped
+  useEffect(() => {
+    const q = query.trim()
+    latestQuery.current = q
+    setActiveIndex(-1)
+
+    if (q.length < 2) {
+      setSearchResults(null)
+      setSearching(false)
+      return
+    }
+
+    setSearching(true)
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.search(q)
+        if (latestQuery.current === q && response.data.success) {
+          setSearchResults(response.data.results)
+        }
+      } catch (error) {
+        console.error('Error searching:', error)
+      } finally {
+        if (latestQuery.current === q) setSearching(false)
+      }
+    }, SEARCH_DEBOUNCE_MS)
+
+    return () => clearTimeout(timer)
+  }, [query])
 
   useEffect(() => {
     const handleClickOutside = (event) => {
       if (searchDropdownOpen && !event.target.closest('.search-bar-container')) {
         setSearchDropdownOpen(false)
       }
+      if (userMenuOpen && !event.target.closest('.user-menu-container')) {
+        setUserMenuOpen(false)
+      }
+      if (notificationsOpen && !event.target.closest('.notification-container')) {
+        setNotificationsOpen(false)
+      }
     }
     
     document.addEventListener('mousedown', handleClickOutside)
     return () => {
       document.removeEventListener('mousedown', handleClickOutside)
     }
-  }, [searchDropdownOpen])
+  }, [searchDropdownOpen, userMenuOpen, notificationsOpen])
+
+  // Notifications stay highlighted while the list is open and count as read
+  // once it is closed
+  useEffect(() => {
+    if (!notificationsOpen) markAllRead()
+  }, [notificationsOpen])
+
+  const openNotification = (notification) => {
+    setNotificationsOpen(false)
+    navigate(notificationLink(notification))
+  }
 
-  const fetchVesselNames = async () => {
+  const fetchVessels = async () => {
     try {
-      const response = await api.getResults()
+      const response = await api.getVessels()
       if (response.data.success) {
-        const results = response.data.results || []
-        // Extract unique vessel names (vesselName is already formatted by backend)
-        const uniqueVessels = [...new Set(
-          results.map(r => r.vesselName).filter(name => name && name !== 'Unknown')
-        )]
-        // Sort to ensure vessel1 comes before vessel1 P1
-        const sortedVessels = uniqueVessels.sort((a, b) => {
-          if (a === 'vessel1') return -1
-          if (b === 'vessel1') return 1
-          return a.localeCompare(b)
-        })
-        setVesselNames(sortedVessels)
+        setVessels(response.data.vessels || [])
       }
     } catch (error) {
-      console.error('Error fetching vessel names:', error)
+      console.error('Error fetching vessels:', error)
     }
   }
 
+  // Flat list of dropdown entries, used for both rendering and keyboard navigation
+  const sections = searchResults
+    ? searchGroups
+        .map(group => ({ ...group, items: (searchResults[group.key] || []).map(hit => searchItem(group.key, hit)) }))
+        .filter(group => group.items.length > 0)
+    : [{ key: 'vessels', items: vessels.map(vessel => searchItem('vessels', vessel)) }]
+  const items = sections.flatMap(section => section.items)
+
+  const openItem = (item) => {
+    setSearchDropdownOpen(false)
+    setQuery('')
+    navigate(item.to)
+  }
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault()
+      setSearchDropdownOpen(true)
+      setActiveIndex(index => Math.min(index + 1, items.length - 1))
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault()
+      setActiveIndex(index => Math.max(index - 1, 0))
+    } else if (event.key === 'Enter' && items[activeIndex]) {
+      event.preventDefault()
+      openItem(items[activeIndex])
+    } else if (event.key === 'Escape') {
+      setSearchDropdownOpen(false)
+    }
+  }
+
+  const renderDropdown = () => {
+    if (searchResults && items.length === 0) {
+      return <div className="search-dropdown-empty">{searching ? 'Searching...' : `No matches for "${query.trim()}"`}</div>
+    }
+    if (!searchResults && query.trim().length >= 2) {
+      return <div className="search-dropdown-empty">Searching...</div>
+    }
+    if (items.length === 0) {
+      return <div className="search-dropdown-empty">No vessels found</div>
+    }
+
+    let offset = 0
+    return sections.map(section => {
+      const start = offset
+      offset += section.items.length
+      return (
+        <div key={section.key}>
+          {section.label && <div className="search-dropdown-group">{section.label}</div>}
+          {section.items.map((item, i) => (
+            <Link
+              key={`${section.key}-${item.to}-${i}`}
+              to={item.to}
+              className={`search-dropdown-item ${start + i === activeIndex ? 'active' : ''}`}
+              onMouseEnter={() => setActiveIndex(start + i)}
+              onClick={(event) => {
+                event.preventDefault()
+                openItem(item)
+              }}
+            >
+              <span className="search-dropdown-label">{item.label}</span>
+              {item.detail && <span className="search-dropdown-detail">{item.detail}</span>}
+            </Link>
+          ))}
+        </div>
+      )
+    })
+  }
+
   return (
     <header className="header">
       <button className="menu-toggle" onClick={onMenuClick}>
         <Menu size={20} />
       </button>
       <div className="search-bar-container">
-        <div className="search-bar" onClick={() => setSearchDropdownOpen(!searchDropdownOpen)}>
+        <div className="search-bar" onClick={() => setSearchDropdownOpen(true)}>
           <Search className="search-icon" size={18} />
           <input
             type="text"
-            placeholder="Search Data and Reports"
+            placeholder="Search vessels, files, requirements and findings"
             className="search-input"
-            readOnly
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value)
+              setSearchDropdownOpen(true)
+            }}
+            onFocus={() => setSearchDropdownOpen(true)}
+            onKeyDown={handleKeyDown}
           />
           <ChevronDown size={16} style={{ marginLeft: '8px' }} />
         </div>
         {searchDropdownOpen && (
           <div className="search-dropdown">
-            {vesselNames.length > 0 ? (
-              vesselNames.map((vessel, index) => (
-                <div key={index} className="search-dropdown-item">
-                  {vessel}
-                </div>
-              ))
-            ) : (
-              <div className="search-dropdown-item">No vessels found</div>
-            )}
+            {renderDropdown()}
           </div>
         )}
       </div>
       <div className="header-right">
         <div className="header-left-group">
-          <button className="notification-btn">
-            <Bell size={18} />
-          </button>
-          <div className="user-menu">
-            <div className="header-avatar">
-              <User size={20} />
-            </div>
-            <div className="user-details">
-              <div className="user-name">Ivan</div>
-              <div className="user-role">Student</div>
+          <div className="notification-container">
+            <button className="notification-btn" onClick={() => setNotificationsOpen(!notificationsOpen)} title="Notifications">
+              <Bell size={18} />
+              {unreadCount > 0 && <span className="notification-count">{unreadCount}</span>}
+            </button>
+            {notificationsOpen && (
+              <div className="notification-dropdown">
+                <div className="notification-header">
+                  <span>Notifications</span>
+                  {notifications.length > 0 && (
+                    <button className="notification-clear" onClick={clearNotifications}>Clear</button>
+                  )}
+                </div>
+                {notifications.length === 0 ? (
+                  <div className="notification-empty">No new notifications</div>
+                ) : (
+                  notifications.map(notification => (
+                    <button
+                      key={notification.id}
+                      className={`notification-item ${notification.read ? '' : 'unread'}`}
+                      onClick={() => openNotification(notification)}
+                      disabled={!notificationLink(notification)}
+                    >
+                      <span className="notification-message">{describeEvent(notification)}</span>
+                      <span className="notification-time">{new Date(notification.createdAt).toLocaleString()}</span>
+                    </button>
+                  ))
+                )}
+              </div>
+            )}
+          </div>
+          <div className="user-menu-container">
+            <div className="user-menu" onClick={() => setUserMenuOpen(!userMenuOpen)}>
+              <div className="header-avatar">
+                <User size={20} />
+              </div>
+              <div className="user-details">
+                <div className="user-name">{user?.name}</div>
+                <div className="user-role">{formatRole(user?.role)} · {user?.organizationName}</div>
+              </div>
+              <ChevronDown className="dropdown-arrow" size={16} />
             </div>
-            <ChevronDown className="dropdown-arrow" size={16} />
+            {userMenuOpen && (
+              <div className="user-dropdown">
+                <button
+                  className="user-dropdown-item"
+                  onClick={async () => {
+                    setUserMenuOpen(false)
+                    await logout()
+                    navigate('/login')
+                  }}
+                >
+                  <LogOut size={16} />
+                  Log out
+                </button>
+              </div>
+            )}
           </div>
         </div>
         <div className="header-lower-group">
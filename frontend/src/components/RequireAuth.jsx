@@ -0,0 +1,26 @@
+import React from 'react'
+import { Navigate, useLocation } from 'react-router-dom'
+import { useAuth } from '../context/AuthContext'
+
+// Render the page only for logged-in users; everyone else goes to /login and
+// comes back here afterwards. With `roles`, other users are sent home.
+const RequireAuth = ({ roles, children }) => {
+  const { user, loading, hasRole } = useAuth()
+  const location = useLocation()
+
+  if (loading) {
+    return null
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />
+  }
+
+  if (roles && !hasRole(...roles)) {
+    return <Navigate to="/" replace />
+  }
+
+  return children
+}
+
+export default RequireAuth
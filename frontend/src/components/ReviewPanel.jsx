@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react'
+import './ReviewPanel.css'
+import { api } from '../utils/api'
+import { useAuth } from '../context/AuthContext'
+
+export const reviewStatusLabels = {
+  pending: 'Pending',
+  under_review: 'Under review',
+  approved: 'Approved',
+  rejected: 'Rejected',
+}
+
+// Button label for moving a result to each status
+const actionLabels = {
+  pending: 'Return to queue',
+  under_review: 'Start review',
+  approved: 'Approve',
+  rejected: 'Reject',
+}
+
+export const ReviewBadge = ({ status }) => (
+  <span className={`review-badge review-${status}`}>{reviewStatusLabels[status] || status}</span>
+)
+
+// Review history of a result and, for reviewers and admins, the transitions
+// it can make next. `onReviewed` receives the recorded review. The history is
+// reloaded when `reviewStatus` changes, e.g. after someone else's review.
+const ReviewPanel = ({ resultId, reviewStatus, onReviewed }) => {
+  const { hasRole } = useAuth()
+  const canReview = hasRole('reviewer', 'admin')
+  const [reviews, setReviews] = useState(null)
+  const [transitions, setTransitions] = useState([])
+  const [comment, setComment] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [errorMessage, setErrorMessage] = useState('')
+
+  useEffect(() => {
+    fetchReviews()
+  }, [resultId, reviewStatus])
+
+  const fetchReviews = async () => {
+    try {
+      const response = await api.getResultReviews(resultId)
+      setReviews(response.data.reviews || [])
+      setTransitions(response.data.transitions || [])
+    } catch (error) {
+      console.error('Error fetching reviews:', error)
+      setReviews([])
+      setErrorMessage(error.userMessage || 'Failed to load review history')
+    }
+  }
+
+  const handleTransition = async (status) => {
+    setSaving(true)
+    setErrorMessage('')
+    try {
+      const response = await api.reviewResult(resultId, status, comment)
+      setReviews([response.data.review, ...reviews])
+      setTransitions(response.data.transitions || [])
+      setComment('')
+      onReviewed?.(response.data.review)
+    } catch (error) {
+      console.error('Review error:', error)
+      setErrorMessage(error.userMessage || 'Failed to update review')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!reviews) {
+    return <div className="review-panel review-empty">Loading review...</div>
+  }
+
+  return (
+    <div className="review-panel">
+      <div className="review-panel-title">Review</div>
+      {errorMessage && <div className="review-error">{errorMessage}</div>}
+
+      {reviews.length === 0 ? (
+        <div className="review-empty">Not reviewed yet.</div>
+      ) : (
+        <ol className="review-history">
+          {reviews.map((review) => (
+            <li key={review.id}>
+              <ReviewBadge status={review.toStatus} />
+              <span className="review-meta">
+                {review.reviewerName}, {new Date(review.createdAt).toLocaleString()}
+              </span>
+              {review.comment && <div className="review-comment">{review.comment}</div>}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {canReview && transitions.length > 0 && (
+        <div className="review-actions">
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Comment (required to reject)"
+            rows={2}
+          />
+          <div className="review-buttons">
+            {transitions.map(status => (
+              <button
+                key={status}
+                className={`review-btn review-btn-${status}`}
+                onClick={() => handleTransition(status)}
+                disabled={saving}
+              >
+                {actionLabels[status]}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReviewPanel
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { GitCompare, Upload as UploadIcon } from 'lucide-react'
+import './RevisionHistory.css'
+import { api } from '../utils/api'
+import { useAuth } from '../context/AuthContext'
+import { ReviewBadge } from './ReviewPanel'
+
+const CompareList = ({ title, findings, className }) => (
+  <div className={`compare-group ${className}`}>
+    <div className="compare-group-title">{title} ({findings.length})</div>
+    {findings.length === 0 ? (
+      <div className="revision-empty">None</div>
+    ) : (
+      <ul className="compare-list">
+        {findings.map(finding => (
+          <li key={finding.id}>
+            <span className={`severity-badge severity-${finding.severity}`}>{finding.severity}</span>
+            <span className="compare-message">
+              {finding.message}
+              {finding.previous && finding.previous.message !== finding.message && (
+                <span className="compare-previous">was: {finding.previous.message}</span>
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+)
+
+// Revisions of the document a result belongs to, a comparison of the
+// result's findings with those of an earlier revision and, for engineers and
+// admins, the way to upload the next revision
+const RevisionHistory = ({ result }) => {
+  const { hasRole } = useAuth()
+  const navigate = useNavigate()
+  const [revisions, setRevisions] = useState(null)
+  const [baseId, setBaseId] = useState(null)
+  const [comparison, setComparison] = useState(null)
+  const [errorMessage, setErrorMessage] = useState('')
+
+  useEffect(() => {
+    fetchRevisions()
+  }, [result.id])
+
+  useEffect(() => {
+    if (baseId) fetchComparison(baseId)
+  }, [baseId])
+
+  const fetchRevisions = async () => {
+    try {
+      const response = await api.getResultRevisions(result.id)
+      const list = response.data.revisions || []
+      setRevisions(list)
+      // Compare with the revision before this one by default
+      const index = list.findIndex(revision => revision.resultId === result.id)
+      setBaseId(index > 0 ? list[index - 1].resultId : null)
+    } catch (error) {
+      console.error('Error fetching revisions:', error)
+      setRevisions([])
+      setErrorMessage(error.userMessage || 'Failed to load revisions')
+    }
+  }
+
+  const fetchComparison = async (id) => {
+    setComparison(null)
+    try {
+      const response = await api.compareResults(id, result.id)
+      setComparison(response.data)
+    } catch (error) {
+      console.error('Error comparing revisions:', error)
+      setErrorMessage(error.userMessage || 'Failed to compare revisions')
+    }
+  }
+
+  const uploadRevision = () => {
+    navigate('/upload', {
+      state: {
+        revisionOf: {
+          resultId: result.id,
+          filename: result.filename,
+          vesselId: result.vessel_id,
+          ruleSetId: result.rule_set_id,
+        },
+      },
+    })
+  }
+
+  if (!revisions) {
+    return <div className="revision-history revision-empty">Loading revisions...</div>
+  }
+
+  const earlier = revisions.filter(revision => revision.revision < result.revision)
+
+  return (
+    <div className="revision-history">
+      <div className="revision-header">
+        <div className="revision-title">Revisions</div>
+        {hasRole('engineer', 'admin') && (
+          <button className="revision-btn" onClick={uploadRevision}>
+            <UploadIcon size={14} />
+            Upload new revision
+          </button>
+        )}
+      </div>
+      {errorMessage && <div className="revision-error">{errorMessage}</div>}
+
+      {revisions.length <= 1 ? (
+        <div className="revision-empty">This is the only revision of the document.</div>
+      ) : (
+        <ol className="revision-list">
+          {revisions.map(revision => (
+            <li key={revision.resultId} className={revision.resultId === result.id ? 'current' : ''}>
+              <span className="revision-number">Rev. {revision.revision}</span>
+              <span className="revision-meta">
+                {revision.originalFilename}, {revision.uploadedBy || 'Unknown'},{' '}
+                {new Date(revision.uploadedAt).toLocaleString()}
+                {' - '}{revision.issuesDetected} issue{revision.issuesDetected !== 1 ? 's' : ''}
+              </span>
+              <ReviewBadge status={revision.reviewStatus} />
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {earlier.length > 0 && (
+        <div className="revision-compare">
+          <label className="compare-picker">
+            <GitCompare size={14} />
+            Compare with
+            <select value={baseId || ''} onChange={(e) => setBaseId(parseInt(e.target.value))}>
+              {earlier.map(revision => (
+                <option key={revision.resultId} value={revision.resultId}>
+                  Rev. {revision.revision} ({revision.originalFilename})
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {!comparison ? (
+            <div className="revision-empty">Comparing...</div>
+          ) : (
+            <div className="compare-groups">
+              <CompareList title="Fixed" findings={comparison.fixed} className="compare-fixed" />
+              <CompareList title="New" findings={comparison.new} className="compare-new" />
+              <CompareList title="Unchanged" findings={comparison.unchanged} className="compare-unchanged" />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RevisionHistory
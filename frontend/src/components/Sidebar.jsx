@@ -1,15 +1,28 @@
 import React from 'react'
-import { Link } from 'react-router-dom'
-import { BarChart3, Upload, CheckCircle, FileText, Settings, HelpCircle, User, LogOut } from 'lucide-react'
+import { Link, useNavigate } from 'react-router-dom'
+import { BarChart3, Upload, CheckCircle, FileText, Ship, Users, ScrollText, Trash2, Settings, HelpCircle, User, LogOut } from 'lucide-react'
 import './Sidebar.css'
+import { useAuth } from '../context/AuthContext'
 
 const Sidebar = ({ isOpen, currentPath }) => {
+  const { user, logout, hasRole } = useAuth()
+  const navigate = useNavigate()
+
   const navItems = [
     { path: '/', label: 'Home', icon: BarChart3 },
-    { path: '/upload', label: 'Upload', icon: Upload },
+    { path: '/upload', label: 'Upload', icon: Upload, roles: ['engineer', 'admin'] },
     { path: '/results', label: 'Results', icon: CheckCircle },
+    { path: '/vessels', label: 'Vessels', icon: Ship },
     { path: '/requirements', label: 'Requirements', icon: FileText },
-  ]
+    { path: '/users', label: 'Users', icon: Users, roles: ['admin'] },
+    { path: '/audit', label: 'Audit Log', icon: ScrollText, roles: ['admin'] },
+    { path: '/trash', label: 'Trash', icon: Trash2, roles: ['admin'] },
+  ].filter(item => !item.roles || hasRole(...item.roles))
+
+  const handleLogout = async () => {
+    await logout()
+    navigate('/login')
+  }
 
   const utilityItems = [
     { path: '/settings', label: 'Settings', icon: Settings },
@@ -61,10 +74,10 @@ const Sidebar = ({ isOpen, currentPath }) => {
         <div className="user-profile">
           <User className="user-avatar" size={20} />
           <div className="user-info">
-            <div className="user-name">Ivan</div>
-            <div className="user-email">2301572@sit.singaporetech.edu.sg</div>
+            <div className="user-name">{user?.name}</div>
+            <div className="user-email">{user?.email}</div>
           </div>
-          <LogOut className="logout-icon" size={16} />
+          <LogOut className="logout-icon" size={16} onClick={handleLogout} />
         </div>
       </div>
     </aside>
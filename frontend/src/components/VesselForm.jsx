@@ -0,0 +1,65 @@
+import React, { useState } from 'react'
+import './VesselForm.css'
+
+const emptyVessel = { name: '', imoNumber: '', vesselType: '', owner: '' }
+
+// Create/edit form for a vessel. `onSubmit` receives the form values and
+// may throw; its error message is shown above the form.
+const VesselForm = ({ initialValues, submitLabel, onSubmit, onCancel }) => {
+  const [values, setValues] = useState({ ...emptyVessel, ...initialValues })
+  const [saving, setSaving] = useState(false)
+  const [errorMessage, setErrorMessage] = useState('')
+
+  const handleChange = (field) => (e) => {
+    setValues({ ...values, [field]: e.target.value })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setErrorMessage('')
+    try {
+      await onSubmit(values)
+    } catch (error) {
+      setErrorMessage(error.userMessage || error.message || 'Failed to save vessel')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form className="vessel-form" onSubmit={handleSubmit}>
+      {errorMessage && <div className="vessel-form-error">{errorMessage}</div>}
+      <div className="vessel-form-fields">
+        <label>
+          <span>Name</span>
+          <input type="text" value={values.name} onChange={handleChange('name')} required />
+        </label>
+        <label>
+          <span>IMO number</span>
+          <input type="text" value={values.imoNumber || ''} onChange={handleChange('imoNumber')} placeholder="e.g. 9074729" />
+        </label>
+        <label>
+          <span>Type</span>
+          <input type="text" value={values.vesselType || ''} onChange={handleChange('vesselType')} placeholder="e.g. Ferry" />
+        </label>
+        <label>
+          <span>Owner</span>
+          <input type="text" value={values.owner || ''} onChange={handleChange('owner')} />
+        </label>
+      </div>
+      <div className="vessel-form-actions">
+        {onCancel && (
+          <button type="button" className="vessel-form-btn" onClick={onCancel} disabled={saving}>
+            Cancel
+          </button>
+        )}
+        <button type="submit" className="vessel-form-btn primary" disabled={saving}>
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default VesselForm
@@ -0,0 +1,54 @@
+import React, { createContext, useContext, useState, useEffect } from 'react'
+import { api, getAuthToken, setAuthToken, AUTH_EXPIRED_EVENT } from '../utils/api'
+
+const AuthContext = createContext(null)
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null)
+  // True until a stored token has been checked with the backend
+  const [loading, setLoading] = useState(Boolean(getAuthToken()))
+
+  useEffect(() => {
+    if (getAuthToken()) {
+      api.getCurrentUser()
+        .then(response => setUser(response.data.user))
+        .catch(() => setAuthToken(null))
+        .finally(() => setLoading(false))
+    }
+
+    const handleExpired = () => setUser(null)
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired)
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired)
+  }, [])
+
+  const startSession = (response) => {
+    setAuthToken(response.data.token)
+    setUser(response.data.user)
+  }
+
+  const login = async (email, password) => startSession(await api.login(email, password))
+
+  const register = async (values) => startSession(await api.register(values))
+
+  const logout = async () => {
+    try {
+      await api.logout()
+    } catch (error) {
+      console.error('Logout error:', error)
+    } finally {
+      setAuthToken(null)
+      setUser(null)
+    }
+  }
+
+  // Mirrors the role checks of the backend (engineer, reviewer, admin)
+  const hasRole = (...roles) => Boolean(user && roles.includes(user.role))
+
+  return (
+    <AuthContext.Provider value={{ user, loading, login, register, logout, hasRole }}>
+      {children}
+    </AuthContext.Provider>
+  )
+}
+
+export const useAuth = () => useContext(AuthContext)
@@ -0,0 +1,96 @@
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react'
+import { openEventStream } from '../utils/eventStream'
+import { useAuth } from './AuthContext'
+import { reviewStatusLabels } from '../components/ReviewPanel'
+
+// Passed to subscribers when the stream reconnects: events sent while it was
+// down are lost, so whatever they show should be reloaded
+export const STREAM_RECONNECTED = 'stream.reconnected'
+
+// Notifications kept for the bell in the header
+const MAX_NOTIFICATIONS = 20
+
+const EventsContext = createContext(null)
+
+// Notification text for a result event
+export const describeEvent = (event) => {
+  const actor = event.actorName || 'Someone'
+  switch (event.type) {
+    case 'result.created':
+      return `${actor} uploaded ${event.filename}`
+    case 'result.analyzed':
+      return event.analysisStatus === 'failed'
+        ? `Analysis of ${event.filename} failed`
+        : `Analysis of ${event.filename} finished`
+    case 'result.reviewed':
+      return `${actor} moved ${event.filename} to ${reviewStatusLabels[event.reviewStatus] || event.reviewStatus}`
+    case 'result.deleted':
+      return `${actor} deleted ${event.filename}`
+    case 'result.restored':
+      return `${actor} restored ${event.filename}`
+    default:
+      return event.filename
+  }
+}
+
+// Live result events (GET /api/events) for the logged-in user: pages follow
+// them with useResultEvents, the header lists them as notifications
+export const EventsProvider = ({ children }) => {
+  const { user } = useAuth()
+  const [notifications, setNotifications] = useState([])
+  const subscribers = useRef(new Set())
+  const nextId = useRef(1)
+
+  useEffect(() => {
+    setNotifications([])
+    if (!user) return
+
+    let opened = false
+    const publish = (event) => subscribers.current.forEach(subscriber => subscriber(event))
+
+    return openEventStream({
+      onOpen: () => {
+        if (opened) publish({ type: STREAM_RECONNECTED })
+        opened = true
+      },
+      onEvent: (event) => {
+        publish(event)
+        // Users aren't notified of what they did themselves
+        if (event.actorId === user.id) return
+        const notification = { ...event, id: nextId.current++, read: false }
+        setNotifications(previous => [notification, ...previous].slice(0, MAX_NOTIFICATIONS))
+      },
+    })
+  }, [user?.id])
+
+  const subscribe = (subscriber) => {
+    subscribers.current.add(subscriber)
+    return () => subscribers.current.delete(subscriber)
+  }
+
+  const markAllRead = () => {
+    setNotifications(previous => previous.map(notification => ({ ...notification, read: true })))
+  }
+
+  const clearNotifications = () => setNotifications([])
+
+  const unreadCount = notifications.filter(notification => !notification.read).length
+
+  return (
+    <EventsContext.Provider value={{ notifications, unreadCount, markAllRead, clearNotifications, subscribe }}>
+      {children}
+    </EventsContext.Provider>
+  )
+}
+
+export const useEvents = () => useContext(EventsContext)
+
+// Call `handler` with every result event, and with STREAM_RECONNECTED, while
+// the component is mounted
+export const useResultEvents = (handler) => {
+  const { subscribe } = useEvents()
+  const latestHandler = useRef(handler)
+  latestHandler.current = handler
+
+  useEffect(() => subscribe(event => latestHandler.current(event)), [])
+}
@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react'
+import { ChevronDown, ChevronRight } from 'lucide-react'
+import './Vessels.css'
+import './AuditLog.css'
+import { api } from '../utils/api'
+
+const emptyFilters = { action: '', entityType: '', entityId: '', actorId: '', from: '', to: '' }
+
+const formatLabel = (value) => value.replace(/[._]/g, ' ')
+
+// Query parameters for the filters that are set
+const activeFilters = (filters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''))
+
+const Snapshot = ({ label, value }) => (
+  <div className="audit-snapshot">
+    <div className="audit-snapshot-label">{label}</div>
+    {value ? <pre>{JSON.stringify(value, null, 2)}</pre> : <div className="audit-snapshot-empty">-</div>}
+  </div>
+)
+
+const AuditLog = () => {
+  const [events, setEvents] = useState([])
+  const [actions, setActions] = useState([])
+  const [entityTypes, setEntityTypes] = useState([])
+  const [users, setUsers] = useState([])
+  const [filters, setFilters] = useState(emptyFilters)
+  // Filters of the events shown; "Load more" keeps using them
+  const [appliedFilters, setAppliedFilters] = useState(emptyFilters)
+  const [nextBefore, setNextBefore] = useState(null)
+  const [expandedId, setExpandedId] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [errorMessage, setErrorMessage] = useState('')
+
+  useEffect(() => {
+    fetchEvents(emptyFilters)
+    api.getUsers()
+      .then(response => setUsers(response.data.users || []))
+      .catch(error => console.error('Error fetching users:', error))
+  }, [])
+
+  const fetchEvents = async (applied, before = null) => {
+    try {
+      const response = await api.getAuditEvents({ ...activeFilters(applied), ...(before ? { before } : {}) })
+      if (response.data.success) {
+        setEvents(before ? [...events, ...response.data.events] : response.data.events)
+        setActions(response.data.actions || [])
+        setEntityTypes(response.data.entityTypes || [])
+        setNextBefore(response.data.nextBefore)
+        setErrorMessage('')
+      }
+    } catch (error) {
+      console.error('Error fetching audit events:', error)
+      setErrorMessage(error.userMessage || 'Failed to load audit events')
+    } finally {
+      setLoading(false)
+      setLoadingMore(false)
+    }
+  }
+
+  const handleFilterChange = (field) => (e) => setFilters({ ...filters, [field]: e.target.value })
+
+  const handleApply = (e) => {
+    e.preventDefault()
+    setExpandedId(null)
+    setAppliedFilters(filters)
+    fetchEvents(filters)
+  }
+
+  const handleReset = () => {
+    setFilters(emptyFilters)
+    setAppliedFilters(emptyFilters)
+    setExpandedId(null)
+    fetchEvents(emptyFilters)
+  }
+
+  const handleLoadMore = () => {
+    setLoadingMore(true)
+    fetchEvents(appliedFilters, nextBefore)
+  }
+
+  if (loading) {
+    return <div className="vessels-loading">Loading audit log...</div>
+  }
+
+  return (
+    <div className="vessels-page">
+      <div className="vessels-header">
+        <div>
+          <h1 className="page-title">Audit Log</h1>
+          <p className="page-subtitle">
+            Who uploaded, downloaded, changed or deleted what, and when. Events cannot be edited or removed.
+          </p>
+        </div>
+      </div>
+
+      {errorMessage && <div className="vessels-error">{errorMessage}</div>}
+
+      <form className="audit-filters" onSubmit={handleApply}>
+        <label>
+          <span>Action</span>
+          <select value={filters.action} onChange={handleFilterChange('action')}>
+            <option value="">All actions</option>
+            {actions.map(action => <option key={action} value={action}>{formatLabel(action)}</option>)}
+          </select>
+        </label>
+        <label>
+          <span>Entity</span>
+          <select value={filters.entityType} onChange={handleFilterChange('entityType')}>
+            <option value="">All entities</option>
+            {entityTypes.map(type => <option key={type} value={type}>{formatLabel(type)}</option>)}
+          </select>
+        </label>
+        <label>
+          <span>Entity ID</span>
+          <input type="number" min="1" value={filters.entityId} onChange={handleFilterChange('entityId')} />
+        </label>
+        <label>
+          <span>User</span>
+          <select value={filters.actorId} onChange={handleFilterChange('actorId')}>
+            <option value="">Anyone</option>
+            {users.map(user => <option key={user.id} value={user.id}>{user.name}</option>)}
+          </select>
+        </label>
+        <label>
+          <span>From</span>
+          <input type="date" value={filters.from} onChange={handleFilterChange('from')} />
+        </label>
+        <label>
+          <span>To</span>
+          <input type="date" value={filters.to} onChange={handleFilterChange('to')} />
+        </label>
+        <div className="audit-filter-actions">
+          <button type="button" className="audit-btn" onClick={handleReset}>Reset</button>
+          <button type="submit" className="audit-btn primary">Apply</button>
+        </div>
+      </form>
+
+      <div className="vessels-table-container">
+        <table className="vessels-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Time</th>
+              <th>User</th>
+              <th>Action</th>
+              <th>Entity</th>
+              <th>IP address</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="no-vessels">No audit events match these filters</td>
+              </tr>
+            ) : (
+              events.map((event) => (
+                <React.Fragment key={event.id}>
+                  <tr
+                    className="audit-row"
+                    onClick={() => setExpandedId(expandedId === event.id ? null : event.id)}
+                  >
+                    <td className="audit-toggle">
+                      {expandedId === event.id ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                    </td>
+                    <td>{new Date(event.createdAt).toLocaleString()}</td>
+                    <td>{event.actorId ? event.actorName : 'System'}</td>
+                    <td><span className="audit-action">{formatLabel(event.action)}</span></td>
+                    <td>{formatLabel(event.entityType)}{event.entityId ? ` #${event.entityId}` : ''}</td>
+                    <td className="audit-ip">{event.ip || '-'}</td>
+                  </tr>
+                  {expandedId === event.id && (
+                    <tr className="audit-details">
+                      <td colSpan="6">
+                        <div className="audit-snapshots">
+                          <Snapshot label="Before" value={event.before} />
+                          <Snapshot label="After" value={event.after} />
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {nextBefore && (
+        <div className="audit-more">
+          <button className="audit-btn" onClick={handleLoadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AuditLog
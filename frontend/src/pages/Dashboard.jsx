@@ -2,9 +2,11 @@ import React, { useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { Upload as UploadIcon } from 'lucide-react'
 import './Dashboard.css'
+import { useAuth } from '../context/AuthContext'
 
 const Dashboard = () => {
   const navigate = useNavigate()
+  const { hasRole } = useAuth()
   const fileInputRef = useRef(null)
 
   const handleUploadClick = () => {
@@ -46,21 +48,23 @@ const Dashboard = () => {
             Perform automated compliance checks for Lithium-ion battery room arrangements. Upload, validate, and download compliance reports instantly.
           </p>
         </div>
-        <div>
-          <input
-            ref={fileInputRef}
-            type="file"
-            id="file-input-hidden"
-            className="file-input-hidden"
-            onChange={handleFileSelect}
-            multiple
-            accept=".txt,.pdf,.docx,.csv,.xlsx,.html,.jpg,.jpeg,.png,.gif"
-          />
-          <button className="upload-btn-primary" onClick={handleUploadClick}>
-            <UploadIcon className="btn-icon" size={20} />
-            Upload
-          </button>
-        </div>
+        {hasRole('engineer', 'admin') && (
+          <div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              id="file-input-hidden"
+              className="file-input-hidden"
+              onChange={handleFileSelect}
+              multiple
+              accept=".txt,.pdf,.docx,.csv,.xlsx,.html,.jpg,.jpeg,.png,.gif"
+            />
+            <button className="upload-btn-primary" onClick={handleUploadClick}>
+              <UploadIcon className="btn-icon" size={20} />
+              Upload
+            </button>
+          </div>
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,99 @@
+import React, { useState } from 'react'
+import { Link, Navigate, useLocation, useNavigate } from 'react-router-dom'
+import './Login.css'
+import { useAuth } from '../context/AuthContext'
+
+// Login and registration share this page; `mode` picks the form. Registering
+// creates a new organization; colleagues are added from the Users page.
+const Login = ({ mode = 'login' }) => {
+  const { user, login, register } = useAuth()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [values, setValues] = useState({ organizationName: '', name: '', email: '', password: '' })
+  const [submitting, setSubmitting] = useState(false)
+  const [errorMessage, setErrorMessage] = useState('')
+  const isRegister = mode === 'register'
+  // Page the user was sent here from by RequireAuth
+  const from = location.state?.from
+  const redirectTo = from ? `${from.pathname}${from.search || ''}` : '/'
+
+  if (user) {
+    return <Navigate to={redirectTo} replace />
+  }
+
+  const handleChange = (field) => (e) => setValues({ ...values, [field]: e.target.value })
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    setErrorMessage('')
+    try {
+      if (isRegister) {
+        await register(values)
+      } else {
+        await login(values.email, values.password)
+      }
+      navigate(redirectTo, { replace: true })
+    } catch (error) {
+      setErrorMessage(error.userMessage || error.message)
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="login-page">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <h1 className="login-title">{isRegister ? 'Create an organization' : 'Log in'}</h1>
+        {errorMessage && <div className="login-error">{errorMessage}</div>}
+
+        {isRegister && (
+          <label>
+            Organization
+            <input
+              type="text"
+              value={values.organizationName}
+              onChange={handleChange('organizationName')}
+              autoComplete="organization"
+              required
+            />
+          </label>
+        )}
+        {isRegister && (
+          <label>
+            Name
+            <input type="text" value={values.name} onChange={handleChange('name')} autoComplete="name" required />
+          </label>
+        )}
+        <label>
+          Email
+          <input type="email" value={values.email} onChange={handleChange('email')} autoComplete="email" required />
+        </label>
+        <label>
+          Password
+          <input
+            type="password"
+            value={values.password}
+            onChange={handleChange('password')}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            minLength={isRegister ? 8 : undefined}
+            required
+          />
+        </label>
+
+        <button type="submit" className="login-submit" disabled={submitting}>
+          {submitting ? 'Please wait...' : isRegister ? 'Create Account' : 'Log In'}
+        </button>
+
+        <p className="login-switch">
+          {isRegister ? (
+            <>Already have an account? <Link to="/login" state={location.state}>Log in</Link></>
+          ) : (
+            <>No account yet? <Link to="/register" state={location.state}>Create one</Link></>
+          )}
+        </p>
+      </form>
+    </div>
+  )
+}
+
+export default Login
@@ -1,53 +1,230 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { Download, Upload as UploadIcon } from 'lucide-react'
 import './Requirements.css'
 import { api } from '../utils/api'
+import { useAuth } from '../context/AuthContext'
+
+const categoryLabels = {
+  arrangement: 'Arrangement',
+  hazardous_area: 'Hazardous Area',
+  machinery_space: 'Machinery Space',
+  submission: 'Submission',
+}
+
+const formatCategory = (category) =>
+  categoryLabels[category] || (category ? category.replace(/_/g, ' ') : 'Uncategorized')
 
 const Requirements = () => {
   const [requirements, setRequirements] = useState([])
+  const [categories, setCategories] = useState([])
+  const [rulebookVersion, setRulebookVersion] = useState(null)
+  const [ruleSets, setRuleSets] = useState([])
+  // Rule set being shown; null until the backend tells us its default
+  const [ruleSet, setRuleSet] = useState(null)
+  const [searchParams] = useSearchParams()
+  const { hasRole } = useAuth()
+  const [selectedRuleSetId, setSelectedRuleSetId] = useState(searchParams.get('ruleSetId'))
+  // Search results link to /requirements?ruleSetId=<id>&requirement=<id>
+  const targetId = parseInt(searchParams.get('requirement')) || null
   const [loading, setLoading] = useState(true)
+  const [errorMessage, setErrorMessage] = useState('')
+  const [importFile, setImportFile] = useState(null)
+  const [importPreview, setImportPreview] = useState(null)
+  const [importErrors, setImportErrors] = useState([])
+  const [importing, setImporting] = useState(false)
+  const [importMessage, setImportMessage] = useState('')
+  const importInputRef = useRef(null)
 
-  // Default requirements from the specification
-  const defaultRequirements = [
-    { sn: 'A01', description: 'Battery spaces are not to be located forward of the collision bulkhead of the vessel.', reference: '3/3.1 (1)' },
-    { sn: 'A02 (i)', description: 'The battery system is to be located at a minimum distance of 300 mm from the hull outer shell.', reference: '3/3.1 (2)(a)(i)' },
-    { sn: 'A02 (ii)', description: 'External protection such as fenders or internal reinforcement shall be provided to the vessel\'s outer shell where the battery space is located.', reference: '3/3.1 (2)(a)(ii)' },
-    { sn: 'A03', description: 'Battery spaces shall not contain any equipment not related to the battery system and its safety components.', reference: '3/3.1 (4)' },
-    { sn: 'A04', description: 'Battery spaces shall not contain equipment or systems supporting essential services.', reference: '3/3.1 (5)' },
-    { sn: 'A05', description: 'Battery system arrangement plan shall clearly indicate clearances between adjacent equipment and structures. [1]', reference: '1/2.2 (MGMT-FR5), 3/3.1 (10)' },
-    { sn: 'A06', description: 'Means of escape from the battery space shall comply with SOLAS machinery space requirements.', reference: '3/3.1 (17), SOLAS II-2/Reg.13' },
-    { sn: 'HA01', description: 'Vent systems for batteries releasing flammable or toxic gases shall be classified as hazardous area Zone 2.', reference: '3/3.3' },
-    { sn: 'HA02', description: 'Open deck areas within 1.5 m of the exhaust outlet are to be classified as hazardous area.', reference: '3/3.3 (iv)' },
-    { sn: 'HA03', description: 'Escape routes shall provide a continuous fire shelter to a safe position outside the machinery space. [2]', reference: 'SOLAS II-2/Reg.13, IEC 60079-10-1' },
-    { sn: 'MS01', description: 'Two independent battery systems are to be provided in separate spaces.', reference: '4/3.1 (i)' },
-    { sn: 'MS02', description: 'The propulsion system shall incorporate at least two independent power sources.', reference: '4/3.1 (iv)' },
-  ]
+  useEffect(() => {
+    const fetchRuleSets = async () => {
+      try {
+        const response = await api.getRuleSets()
+        if (response.data.success) {
+          setRuleSets(response.data.ruleSets || [])
+        }
+      } catch (error) {
+        console.error('Error fetching rule sets:', error)
+      }
+    }
+
+    fetchRuleSets()
+  }, [])
+
+  useEffect(() => {
+    if (searchParams.get('ruleSetId')) setSelectedRuleSetId(searchParams.get('ruleSetId'))
+  }, [searchParams])
 
   useEffect(() => {
     fetchRequirements()
-  }, [])
+  }, [selectedRuleSetId])
+
+  useEffect(() => {
+    if (!targetId || !requirements.some(req => req.id === targetId)) return
+    document.getElementById(`requirement-${targetId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+  }, [targetId, requirements])
 
   const fetchRequirements = async () => {
     try {
-      const response = await api.getRequirements()
+      const response = await api.getRequirements(selectedRuleSetId)
       if (response.data.success) {
-        // Transform API requirements to match our format if needed
-        // For now, use default requirements
-        setRequirements(defaultRequirements)
+        setRequirements(response.data.requirements || [])
+        setCategories(response.data.categories || [])
+        setRuleSet(response.data.ruleSet || null)
+        setRulebookVersion(response.data.rulebookVersion || null)
+        setErrorMessage('')
       } else {
-        setRequirements(defaultRequirements)
+        setErrorMessage(response.data.message || 'Failed to load requirements')
       }
     } catch (error) {
       console.error('Error fetching requirements:', error)
-      setRequirements(defaultRequirements)
+      setErrorMessage(error.userMessage || 'Failed to load requirements')
     } finally {
       setLoading(false)
     }
   }
 
+  const handleExport = async (format) => {
+    try {
+      const response = await api.exportRequirements(format, ruleSet?.id)
+      const url = window.URL.createObjectURL(new Blob([response.data]))
+      const link = document.createElement('a')
+      link.href = url
+      link.setAttribute('download', `rulebook-v${rulebookVersion || 'current'}.${format}`)
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Export error:', error)
+      alert(`Failed to export rulebook: ${error.userMessage || error.message}`)
+    }
+  }
+
+  const resetImport = () => {
+    setImportFile(null)
+    setImportPreview(null)
+    setImportErrors([])
+  }
+
+  const handleRuleSetChange = (e) => {
+    resetImport()
+    setImportMessage('')
+    setSelectedRuleSetId(e.target.value)
+  }
+
+  // Selecting a file runs a dry run so the changes can be reviewed first
+  const handleImportSelect = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    resetImport()
+    setImportMessage('')
+    setImportFile(file)
+    setImporting(true)
+    try {
+      const response = await api.importRequirements(file, { dryRun: true, ruleSetId: ruleSet?.id })
+      setImportPreview(response.data.diff)
+    } catch (error) {
+      console.error('Import preview error:', error)
+      setImportErrors(error.response?.data?.errors || [error.userMessage || error.message])
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const handleImportApply = async () => {
+    setImporting(true)
+    try {
+      const response = await api.importRequirements(importFile, { dryRun: false, ruleSetId: ruleSet?.id })
+      setImportMessage(response.data.applied
+        ? `${response.data.ruleSet.name} updated to version ${response.data.rulebookVersion}`
+        : 'No changes to apply')
+      resetImport()
+      await fetchRequirements()
+    } catch (error) {
+      console.error('Import error:', error)
+      setImportErrors(error.response?.data?.errors || [error.userMessage || error.message])
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const renderImportPreview = () => {
+    const { added, changed, removed, unchanged, reordered } = importPreview
+    const nothingToDo = added.length === 0 && changed.length === 0 && removed.length === 0 && !reordered
+
+    return (
+      <div className="import-preview">
+        <div className="import-preview-title">Changes in {importFile.name}</div>
+        {nothingToDo ? (
+          <p>The file matches the current rulebook.</p>
+        ) : (
+          <>
+            {added.length > 0 && (
+              <div className="import-section import-added">
+                <strong>Added ({added.length})</strong>
+                <ul>{added.map(req => <li key={req.code}>{req.code}: {req.description}</li>)}</ul>
+              </div>
+            )}
+            {changed.length > 0 && (
+              <div className="import-section import-changed">
+                <strong>Changed ({changed.length})</strong>
+                <ul>{changed.map(change => <li key={change.code}>{change.code}: {change.fields.join(', ')}</li>)}</ul>
+              </div>
+            )}
+            {removed.length > 0 && (
+              <div className="import-section import-removed">
+                <strong>Removed ({removed.length})</strong>
+                <ul>{removed.map(req => <li key={req.id}>{req.code || `#${req.id}`}: {req.description}</li>)}</ul>
+              </div>
+            )}
+            {reordered && <p>The order of requirements will change.</p>}
+          </>
+        )}
+        <p className="import-unchanged">{unchanged} requirement{unchanged !== 1 ? 's' : ''} unchanged</p>
+        <div className="import-actions">
+          <button className="toolbar-btn primary" onClick={handleImportApply} disabled={importing || nothingToDo}>
+            {importing ? 'Applying...' : 'Apply changes'}
+          </button>
+          <button className="toolbar-btn" onClick={resetImport} disabled={importing}>Cancel</button>
+        </div>
+      </div>
+    )
+  }
+
   if (loading) {
     return <div className="requirements-loading">Loading requirements...</div>
   }
 
+  // Group requirements by category, keeping the backend's category order
+  // and putting anything uncategorized last
+  const groups = []
+  const groupFor = (category) => {
+    let group = groups.find(g => g.category === category)
+    if (!group) {
+      group = { category, requirements: [] }
+      groups.push(group)
+    }
+    return group
+  }
+  categories.forEach(groupFor)
+  requirements.forEach(req => groupFor(req.category || null).requirements.push(req))
+  const visibleGroups = groups
+    .filter(group => group.requirements.length > 0)
+    .sort((a, b) => (a.category === null) - (b.category === null))
+
+  // Footnotes are numbered in the order they appear in the table
+  const footnotes = []
+  const footnoteMarkers = new Map()
+  visibleGroups.forEach(group => group.requirements.forEach(req => {
+    footnoteMarkers.set(req.id, (req.footnotes || []).map(text => {
+      footnotes.push(text)
+      return footnotes.length
+    }))
+  }))
+
   return (
     <div className="requirements-page">
       <div className="requirements-header">
@@ -55,9 +232,65 @@ const Requirements = () => {
         <p className="page-subtitle">
           View all rule requirements referenced in the compliance check, including ABS, SOLAS, and other applicable standards.
         </p>
+        {rulebookVersion && (
+          <p className="rulebook-version">
+            {ruleSet ? `${ruleSet.name} - ` : ''}Rulebook version {rulebookVersion}
+          </p>
+        )}
       </div>
 
+      <div className="requirements-toolbar">
+        {ruleSets.length > 1 && (
+          <select
+            className="rule-set-select"
+            value={ruleSet?.id ?? ''}
+            onChange={handleRuleSetChange}
+            disabled={importing}
+            aria-label="Rule set"
+          >
+            {ruleSets.map(set => (
+              <option key={set.id} value={set.id}>{set.name}</option>
+            ))}
+          </select>
+        )}
+        {['csv', 'json', 'yaml'].map(format => (
+          <button key={format} className="toolbar-btn" onClick={() => handleExport(format)}>
+            <Download size={16} />
+            Export {format.toUpperCase()}
+          </button>
+        ))}
+        {hasRole('admin') && (
+          <>
+            <input
+              ref={importInputRef}
+              type="file"
+              className="import-input"
+              accept=".csv,.json,.yaml,.yml"
+              onChange={handleImportSelect}
+            />
+            <button
+              className="toolbar-btn primary"
+              onClick={() => importInputRef.current && importInputRef.current.click()}
+              disabled={importing}
+            >
+              <UploadIcon size={16} />
+              {importing && !importPreview ? 'Checking...' : 'Import'}
+            </button>
+          </>
+        )}
+      </div>
+
+      {importMessage && <div className="import-message">{importMessage}</div>}
+      {importErrors.length > 0 && (
+        <div className="import-errors">
+          <strong>Could not import {importFile?.name}</strong>
+          <ul>{importErrors.map((message, index) => <li key={index}>{message}</li>)}</ul>
+        </div>
+      )}
+      {importPreview && renderImportPreview()}
+
       <div className="requirements-table-container">
+        {errorMessage && <div className="requirements-error">{errorMessage}</div>}
         <table className="requirements-table">
           <thead>
             <tr>
@@ -67,19 +300,40 @@ const Requirements = () => {
             </tr>
           </thead>
           <tbody>
-            {requirements.map((req, index) => (
-              <tr key={index}>
-                <td className="col-sn">{req.sn}</td>
-                <td className="col-description">{req.description}</td>
-                <td className="col-reference">{req.reference}</td>
+            {requirements.length === 0 ? (
+              <tr>
+                <td colSpan="3" className="no-requirements">No requirements defined.</td>
               </tr>
-            ))}
+            ) : (
+              visibleGroups.map((group) => (
+                <React.Fragment key={group.category || 'uncategorized'}>
+                  <tr className="category-row">
+                    <td colSpan="3">{formatCategory(group.category)}</td>
+                  </tr>
+                  {group.requirements.map((req, index) => (
+                    <tr key={req.id} id={`requirement-${req.id}`} className={req.id === targetId ? 'search-target' : ''}>
+                      <td className="col-sn">{req.code || index + 1}</td>
+                      <td className="col-description">
+                        {req.description}
+                        {footnoteMarkers.get(req.id).map(marker => (
+                          <sup key={marker} className="footnote-marker">[{marker}]</sup>
+                        ))}
+                      </td>
+                      <td className="col-reference">{req.reference}</td>
+                    </tr>
+                  ))}
+                </React.Fragment>
+              ))
+            )}
           </tbody>
         </table>
-        <div className="requirements-footer">
-          <p><strong>[1]</strong> Adequate space shall be provided for ventilation, inspection, and maintenance. In the absence of manufacturer guidance, baseline clearance may be applied for consistency.</p>
-          <p><strong>[2]</strong> A hazardous area (Zone 1 or Zone 2) is not considered a safe position; therefore, escape routes or hatches from battery spaces shall not open directly into hazardous zones.</p>
-        </div>
+        {footnotes.length > 0 && (
+          <div className="requirements-footer">
+            {footnotes.map((text, index) => (
+              <p key={index}><strong>[{index + 1}]</strong> {text}</p>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   )
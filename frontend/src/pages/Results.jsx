@@ -1,20 +1,74 @@
-import React, { useState, useEffect } from 'react'
-import { Download, Trash2 } from 'lucide-react'
+import React, { useState, useEffect, useRef } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { Download, Trash2, ChevronRight, ChevronDown, Loader2 } from 'lucide-react'
 import './Results.css'
-import { api, getApiUrlWithFallback } from '../utils/api'
+import { api } from '../utils/api'
+import { useAuth } from '../context/AuthContext'
+import { useResultEvents } from '../context/EventsContext'
+import ReviewPanel, { ReviewBadge } from '../components/ReviewPanel'
+import FindingWaiver from '../components/FindingWaiver'
+import RevisionHistory from '../components/RevisionHistory'
+
+// Events often come in bursts, e.g. for a batch upload; they cause one reload
+const EVENT_RELOAD_DELAY = 300
+
+// Preview of an uploaded image. Files are only served to logged-in users, so
+// the image is fetched with the token rather than linked.
+const DrawingPreview = ({ result }) => {
+  const [src, setSrc] = useState(null)
+  const [failed, setFailed] = useState(false)
+
+  useEffect(() => {
+    if (!result.image_url) return
+    let url = null
+    let cancelled = false
+    api.getResultFile(result.id)
+      .then(response => {
+        if (cancelled) return
+        url = window.URL.createObjectURL(response.data)
+        setSrc(url)
+      })
+      .catch(error => {
+        console.error('Error loading preview:', error)
+        if (!cancelled) setFailed(true)
+      })
+    return () => {
+      cancelled = true
+      if (url) window.URL.revokeObjectURL(url)
+    }
+  }, [result.id, result.image_url])
+
+  return (
+    <div className="vessel-image">
+      {src && !failed ? (
+        <img
+          src={src}
+          alt={result.filename || 'Uploaded file'}
+          className="vessel-image-preview"
+          onError={() => setFailed(true)}
+        />
+      ) : (
+        <div className="image-placeholder">
+          <span>{result.image_url && !failed ? 'Loading...' : 'No Image'}</span>
+        </div>
+      )}
+    </div>
+  )
+}
 
 const Results = () => {
   const [results, setResults] = useState([])
   const [loading, setLoading] = useState(true)
-  const [apiUrl, setApiUrl] = useState(null)
+  const [expandedId, setExpandedId] = useState(null)
+  const [findingsByResult, setFindingsByResult] = useState({})
+  const [findingsLoading, setFindingsLoading] = useState(false)
+  const reloadTimer = useRef(null)
+  const [searchParams] = useSearchParams()
+  const { hasRole } = useAuth()
+  const targetId = parseInt(searchParams.get('result')) || null
 
   useEffect(() => {
-    const init = async () => {
-      const url = await getApiUrlWithFallback()
-      setApiUrl(url)
-      await fetchResults()
-    }
-    init()
+    fetchResults()
   }, [])
 
   const fetchResults = async () => {
@@ -33,6 +87,154 @@ const Results = () => {
     }
   }
 
+  useEffect(() => () => clearTimeout(reloadTimer.current), [])
+
+  // The list follows the live result events: new results, finished analyses,
+  // reviews, deletes and restores all reload it
+  useResultEvents((event) => {
+    if (event.type === 'result.analyzed') {
+      // Findings loaded while the result was processing are out of date
+      setFindingsByResult((prev) => {
+        const { [event.resultId]: stale, ...rest } = prev
+        return rest
+      })
+      if (event.resultId === expandedId) fetchFindings(event.resultId)
+    }
+    if (event.type === 'result.deleted' && event.resultId === expandedId) {
+      setExpandedId(null)
+    }
+
+    clearTimeout(reloadTimer.current)
+    reloadTimer.current = setTimeout(fetchResults, EVENT_RELOAD_DELAY)
+  })
+
+  // Search results link to /results?result=<id>: open that result's findings
+  useEffect(() => {
+    if (loading || !targetId || !results.some(result => result.id === targetId)) return
+    if (expandedId !== targetId) loadFindings(targetId)
+    document.getElementById(`result-${targetId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+  }, [loading, targetId])
+
+  const toggleFindings = (id) => {
+    if (expandedId === id) {
+      setExpandedId(null)
+      return
+    }
+    loadFindings(id)
+  }
+
+  const loadFindings = async (id) => {
+    setExpandedId(id)
+    if (findingsByResult[id]) return
+    await fetchFindings(id)
+  }
+
+  const fetchFindings = async (id) => {
+    setFindingsLoading(true)
+    try {
+      const response = await api.getResultFindings(id)
+      setFindingsByResult((prev) => ({
+        ...prev,
+        [id]: response.data.success ? response.data.findings || [] : [],
+      }))
+    } catch (error) {
+      console.error('Error fetching findings:', error)
+      setFindingsByResult((prev) => ({ ...prev, [id]: [] }))
+    } finally {
+      setFindingsLoading(false)
+    }
+  }
+
+  // A waiver changes the compliance status, so the result list is reloaded
+  const handleWaiverChange = (resultId, findingId, waiver) => {
+    setFindingsByResult((prev) => ({
+      ...prev,
+      [resultId]: prev[resultId].map(finding => (finding.id === findingId ? { ...finding, waiver } : finding)),
+    }))
+    fetchResults()
+  }
+
+  const formatLocation = (location) => {
+    if (!location) return null
+    if (location.label) return location.label
+    const parts = []
+    if (location.page != null) parts.push(`Page ${location.page}`)
+    if (location.x != null && location.y != null) parts.push(`(${location.x}, ${location.y})`)
+    return parts.length > 0 ? parts.join(' ') : null
+  }
+
+  const renderFindings = (result) => {
+    const findings = findingsByResult[result.id]
+
+    if (result.analysis_status === 'processing') {
+      return <div className="findings-empty">The file is still being analyzed; its findings appear here once it is done.</div>
+    }
+    if (result.analysis_status === 'failed') {
+      return <div className="findings-empty">The analysis of this file failed: {result.analysis_error || 'unknown error'}</div>
+    }
+
+    if (!findings && findingsLoading) {
+      return <div className="findings-empty">Loading findings...</div>
+    }
+
+    const rulebookNote = result.rulebook_version && (
+      <div className="rulebook-note">
+        Checked against {result.rule_set_name || 'rulebook'} version {result.rulebook_version}
+      </div>
+    )
+
+    if (!findings || findings.length === 0) {
+      return (
+        <>
+          {rulebookNote}
+          <div className="findings-empty">No violations recorded for this file.</div>
+        </>
+      )
+    }
+
+    return (
+      <>
+        {rulebookNote}
+        <ul className="findings-list">
+          {findings.map((finding) => (
+            <li key={finding.id} className="finding-item">
+              <span className={`severity-badge severity-${finding.severity}`}>{finding.severity}</span>
+              <div className="finding-body">
+                <div className="finding-message">{finding.message}</div>
+                {finding.requirement && (
+                  <div className="finding-meta">
+                    Requirement: {finding.requirementCode ? `${finding.requirementCode} - ` : ''}{finding.requirement}
+                  </div>
+                )}
+                {finding.regulationReference && (
+                  <div className="finding-meta">Reference: {finding.regulationReference}</div>
+                )}
+                {formatLocation(finding.location) && (
+                  <div className="finding-meta">Location: {formatLocation(finding.location)}</div>
+                )}
+                <FindingWaiver
+                  resultId={result.id}
+                  finding={finding}
+                  resultApproved={result.review_status === 'approved'}
+                  onChange={(waiver) => handleWaiverChange(result.id, finding.id, waiver)}
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+      </>
+    )
+  }
+
+  // Keep the status badge in step with the review panel
+  const handleReviewed = (review) => {
+    setResults(results.map(result => (
+      result.id === review.resultId
+        ? { ...result, review_status: review.toStatus, reviewed_by: review.reviewerName, reviewed_at: review.createdAt }
+        : result
+    )))
+  }
+
   const handleDownload = async (id, reportFilename) => {
     try {
       const response = await api.downloadResult(id)
@@ -53,7 +255,7 @@ const Results = () => {
   }
 
   const handleDelete = async (id, filename) => {
-    if (!window.confirm(`Are you sure you want to delete "${filename || 'this file'}"? This action cannot be undone.`)) {
+    if (!window.confirm(`Move "${filename || 'this file'}" to the trash? It can be restored from the Trash page until it is purged.`)) {
       return
     }
 
@@ -62,7 +264,7 @@ const Results = () => {
       
       if (response.data.success) {
         setResults(results.filter(result => result.id !== id))
-        alert('File deleted successfully')
+        alert(response.data.message)
       } else {
         alert('Failed to delete file. Please try again.')
       }
@@ -94,88 +296,125 @@ const Results = () => {
               <th>Vessel Image</th>
               <th>Comply?</th>
               <th>Violation(s) Detected</th>
+              <th>Review</th>
               <th>View Report</th>
             </tr>
           </thead>
           <tbody>
             {results.length === 0 ? (
               <tr>
-                <td colSpan="5" className="no-results">
+                <td colSpan="6" className="no-results">
                   No results found. Upload a file to get started.
                 </td>
               </tr>
             ) : (
               results.map((result) => {
-                // Use backend values directly (hardcoded for iteration1/iteration2)
-                // iteration1.png -> is_compliant: false, issues_detected: 4
-                // iteration2.png -> is_compliant: true, issues_detected: 0
+                // Compliance values come from the backend rule-evaluation engine
                 const isCompliant = result.is_compliant === true
                 const violationsCount = result.issues_detected || 0
+                const undeterminedCount = result.rules_undetermined || 0
+                const waivedCount = result.findings_waived || 0
                 const vesselName = result.vesselName || result.filename?.replace(/\.[^/.]+$/, '') || 'Unknown'
-                const reportFilename = result.report_filename || `${vesselName}.pdf`
+                const reportFilename = result.report_filename || `${vesselName}-compliance-report.pdf`
+                
+                const isExpanded = expandedId === result.id
+                const isProcessing = result.analysis_status === 'processing'
+                const analysisFailed = result.analysis_status === 'failed'
                 
                 return (
-                  <tr key={result.id}>
-                    <td className="vessel-name-cell">{vesselName}</td>
-                    <td>
-                      <div className="vessel-image">
-                        {result.image_url ? (
-                          <img
-                            src={result.image_url.startsWith('http') 
-                              ? result.image_url 
-                              : apiUrl 
-                                ? `${apiUrl}${result.image_url}` 
-                                : result.image_url}
-                            alt={result.filename || 'Uploaded file'}
-                            className="vessel-image-preview"
-                            onError={(e) => {
-                              e.target.style.display = 'none'
-                              if (e.target.nextSibling) {
-                                e.target.nextSibling.style.display = 'flex'
-                              }
-                            }}
-                          />
-                        ) : null}
-                        <div 
-                          className="image-placeholder"
-                          style={{ display: result.image_url ? 'none' : 'flex' }}
-                        >
-                          <span>No Image</span>
-                        </div>
-                      </div>
-                    </td>
-                    <td className="comply-cell">
-                      {isCompliant ? (
-                        <span className="comply-yes">✅ Yes</span>
-                      ) : (
-                        <span className="comply-no">❌ No</span>
-                      )}
-                    </td>
-                    <td className="violations-cell">
-                      {violationsCount === 0 
-                        ? '0 violation(s) detected' 
-                        : `${violationsCount} violation${violationsCount !== 1 ? 's' : ''} detected`}
-                    </td>
-                    <td>
-                      <div className="action-buttons">
-                        <button
-                          className="download-btn"
-                          onClick={() => handleDownload(result.id, reportFilename)}
-                          title="View Report"
-                        >
-                          <Download className="download-icon" size={18} />
-                          View Report
-                        </button>
+                  <React.Fragment key={result.id}>
+                    <tr id={`result-${result.id}`} className={result.id === targetId ? 'search-target' : ''}>
+                      <td className="vessel-name-cell">
                         <button
-                          className="delete-btn"
-                          onClick={() => handleDelete(result.id, result.filename)}
-                          title="Delete file"
+                          className="expand-btn"
+                          onClick={() => toggleFindings(result.id)}
+                          title={isExpanded ? 'Hide findings, review and revisions' : 'Show findings, review and revisions'}
                         >
-                          <Trash2 className="delete-icon" size={18} />
+                          {isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
                         </button>
-                      </div>
-                    </td>
-                  </tr>
+                        {result.vessel_id ? (
+                          <Link to={`/vessels/${result.vessel_id}`} className="vessel-link">{vesselName}</Link>
+                        ) : vesselName}
+                        {result.revision_count > 1 && (
+                          <span className="revision-tag" title={`Revision ${result.revision} of ${result.revision_count}`}>
+                            Rev. {result.revision}
+                          </span>
+                        )}
+                      </td>
+                      <td>
+                        <DrawingPreview result={result} />
+                      </td>
+                      <td className="comply-cell">
+                        {isProcessing ? (
+                          <span className="analysis-processing">
+                            <Loader2 className="analysis-spinner" size={14} />
+                            Processing
+                          </span>
+                        ) : analysisFailed ? (
+                          <span className="comply-no" title={result.analysis_error || ''}>Analysis failed</span>
+                        ) : isCompliant ? (
+                          <span className="comply-yes">✅ Yes{waivedCount > 0 ? ' (with waivers)' : ''}</span>
+                        ) : (
+                          <span className="comply-no">❌ No</span>
+                        )}
+                      </td>
+                      <td className="violations-cell">
+                        {isProcessing || analysisFailed
+                          ? '-'
+                          : violationsCount === 0
+                            ? '0 violation(s) detected'
+                            : `${violationsCount} violation${violationsCount !== 1 ? 's' : ''} detected`}
+                        {waivedCount > 0 && (
+                          <div className="waived-note">{waivedCount} waived</div>
+                        )}
+                        {undeterminedCount > 0 && (
+                          <div className="undetermined-note">
+                            {undeterminedCount} rule{undeterminedCount !== 1 ? 's' : ''} could not be determined
+                          </div>
+                        )}
+                        {result.rule_set_name && (
+                          <div className="rule-set-note">Rule set: {result.rule_set_name}</div>
+                        )}
+                      </td>
+                      <td className="review-cell">
+                        <ReviewBadge status={result.review_status} />
+                        {result.reviewed_by && (
+                          <div className="reviewed-by-note">{result.reviewed_by}</div>
+                        )}
+                      </td>
+                      <td>
+                        <div className="action-buttons">
+                          <button
+                            className="download-btn"
+                            onClick={() => handleDownload(result.id, reportFilename)}
+                            title={isProcessing ? 'The report is available once the analysis has finished' : 'View Report'}
+                            disabled={isProcessing || analysisFailed}
+                          >
+                            <Download className="download-icon" size={18} />
+                            View Report
+                          </button>
+                          {hasRole('admin') && (
+                            <button
+                              className="delete-btn"
+                              onClick={() => handleDelete(result.id, result.filename)}
+                              title="Delete file"
+                            >
+                              <Trash2 className="delete-icon" size={18} />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                    {isExpanded && (
+                      <tr className="findings-row">
+                        <td colSpan="6">
+                          {renderFindings(result)}
+                          <ReviewPanel resultId={result.id} reviewStatus={result.review_status} onReviewed={handleReviewed} />
+                          <RevisionHistory result={result} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
                 )
               })
             )}
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react'
+import { RotateCcw, Trash2 } from 'lucide-react'
+import './Vessels.css'
+import './Trash.css'
+import { api } from '../utils/api'
+import { ReviewBadge } from '../components/ReviewPanel'
+
+const Trash = () => {
+  const [results, setResults] = useState([])
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [busyId, setBusyId] = useState(null)
+  const [errorMessage, setErrorMessage] = useState('')
+
+  useEffect(() => {
+    fetchTrash()
+  }, [])
+
+  const fetchTrash = async () => {
+    try {
+      const response = await api.getTrash()
+      if (response.data.success) {
+        setResults(response.data.results || [])
+        setRetentionDays(response.data.retentionDays)
+      }
+    } catch (error) {
+      console.error('Error fetching trash:', error)
+      setErrorMessage(error.userMessage || 'Failed to load the trash')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const run = async (id, action) => {
+    setBusyId(id)
+    setErrorMessage('')
+    try {
+      await action()
+      setResults(results.filter(result => result.id !== id))
+    } catch (error) {
+      console.error('Trash error:', error)
+      setErrorMessage(error.userMessage || 'Failed to update the trash')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleRestore = (result) => run(result.id, () => api.restoreResult(result.id))
+
+  const handlePurge = (result) => {
+    if (!window.confirm(`Delete "${result.filename || 'this file'}" permanently? This action cannot be undone.`)) {
+      return
+    }
+    run(result.id, () => api.purgeResult(result.id))
+  }
+
+  if (loading) {
+    return <div className="vessels-loading">Loading trash...</div>
+  }
+
+  return (
+    <div className="vessels-page">
+      <div className="vessels-header">
+        <div>
+          <h1 className="page-title">Trash</h1>
+          <p className="page-subtitle">
+            Deleted results are kept for {retentionDays} days and then deleted permanently with their files.
+          </p>
+        </div>
+      </div>
+
+      {errorMessage && <div className="vessels-error">{errorMessage}</div>}
+
+      <div className="vessels-table-container">
+        <table className="vessels-table">
+          <thead>
+            <tr>
+              <th>File</th>
+              <th>Vessel</th>
+              <th>Uploaded by</th>
+              <th>Review</th>
+              <th>Deleted</th>
+              <th>Purged on</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="no-vessels">The trash is empty</td>
+              </tr>
+            ) : (
+              results.map((result) => (
+                <tr key={result.id}>
+                  <td>{result.filename || 'Unknown'}</td>
+                  <td>{result.vesselName || '-'}</td>
+                  <td>{result.uploadedBy || '-'}</td>
+                  <td><ReviewBadge status={result.reviewStatus} /></td>
+                  <td>
+                    {new Date(result.deletedAt).toLocaleString()}
+                    {result.deletedBy && <div className="trash-meta">by {result.deletedBy}</div>}
+                  </td>
+                  <td>{new Date(result.purgeAt).toLocaleDateString()}</td>
+                  <td>
+                    <div className="trash-actions">
+                      <button
+                        className="trash-btn"
+                        onClick={() => handleRestore(result)}
+                        disabled={busyId === result.id}
+                      >
+                        <RotateCcw size={14} /> Restore
+                      </button>
+                      <button
+                        className="trash-btn danger"
+                        onClick={() => handlePurge(result)}
+                        disabled={busyId === result.id}
+                      >
+                        <Trash2 size={14} /> Delete permanently
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default Trash
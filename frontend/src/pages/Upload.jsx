@@ -1,8 +1,49 @@
 import React, { useState, useEffect } from 'react'
-import { useNavigate, useLocation } from 'react-router-dom'
-import { Upload as UploadIcon, File, Paperclip, CheckCircle2, AlertCircle } from 'lucide-react'
+import { Link, useNavigate, useLocation } from 'react-router-dom'
+import { Upload as UploadIcon, File, Paperclip, CheckCircle2, AlertCircle, Copy } from 'lucide-react'
 import './Upload.css'
 import { api } from '../utils/api'
+import { uploadResumable, MAX_DIRECT_UPLOAD_SIZE } from '../utils/resumableUpload'
+
+// Outcome of one file of a batch upload
+const FileStatus = ({ status }) => {
+  if (!status) return null
+  if (status.status === 'uploaded') {
+    const issues = status.result?.issuesDetected || 0
+    // The analysis runs in the background; an identical earlier upload
+    // already has its results
+    const analyzing = status.job && status.job.status !== 'completed'
+    return (
+      <div className="file-status uploaded">
+        <CheckCircle2 size={16} />
+        <span>
+          {analyzing
+            ? 'Uploaded, analysis queued'
+            : issues > 0 ? `Uploaded, ${issues} issue${issues > 1 ? 's' : ''} found` : 'Uploaded'}
+        </span>
+        {status.duplicateOf && (
+          <Link
+            className="file-duplicate"
+            to={`/results?result=${status.duplicateOf.resultId}`}
+            title={`Uploaded ${new Date(status.duplicateOf.uploadedAt).toLocaleString()}`}
+          >
+            <Copy size={14} />
+            Identical to {status.duplicateOf.originalFilename}, analyzed before
+          </Link>
+        )}
+      </div>
+    )
+  }
+  if (status.status === 'rejected') {
+    return (
+      <div className="file-status rejected" title={status.message}>
+        <AlertCircle size={16} />
+        <span>{status.message}</span>
+      </div>
+    )
+  }
+  return <div className="file-status not-uploaded">Not uploaded</div>
+}
 
 const Upload = () => {
   const [files, setFiles] = useState([])
@@ -12,8 +53,17 @@ const Upload = () => {
   const [previewUrls, setPreviewUrls] = useState([])
   const [serverStatus, setServerStatus] = useState('checking') // 'checking', 'online', 'offline'
   const [errorMessage, setErrorMessage] = useState('')
+  // Per-file outcome of the last batch, in the order the files were sent
+  const [fileStatuses, setFileStatuses] = useState([])
+  const [ruleSets, setRuleSets] = useState([])
+  const [ruleSetId, setRuleSetId] = useState('')
+  const [vessels, setVessels] = useState([])
+  const [vesselId, setVesselId] = useState('')
   const navigate = useNavigate()
   const location = useLocation()
+  // A result's revision history links here to upload the next revision of
+  // its document: a single file, on the same vessel and rule set by default
+  const revisionOf = location.state?.revisionOf || null
 
   // Check server status on mount
   useEffect(() => {
@@ -37,6 +87,45 @@ const Upload = () => {
     checkServer()
   }, [])
 
+  // Load the rule sets uploads can be checked against; the default is preselected
+  useEffect(() => {
+    const fetchRuleSets = async () => {
+      try {
+        const response = await api.getRuleSets()
+        if (response.data.success) {
+          const sets = response.data.ruleSets || []
+          setRuleSets(sets)
+          const defaultSet = sets.find(set => set.id === revisionOf?.ruleSetId) || sets.find(set => set.isDefault) || sets[0]
+          if (defaultSet) setRuleSetId(String(defaultSet.id))
+        }
+      } catch (error) {
+        console.error('Error fetching rule sets:', error)
+      }
+    }
+
+    const fetchVessels = async () => {
+      try {
+        const response = await api.getVessels()
+        if (response.data.success) {
+          setVessels(response.data.vessels || [])
+        }
+      } catch (error) {
+        console.error('Error fetching vessels:', error)
+      }
+    }
+
+    fetchRuleSets()
+    fetchVessels()
+  }, [])
+
+  // The vessel detail page and revision history link here with a vessel preselected
+  useEffect(() => {
+    const preselected = location.state?.vesselId || location.state?.revisionOf?.vesselId
+    if (preselected) {
+      setVesselId(String(preselected))
+    }
+  }, [location.state])
+
   // Load files from navigation state if available
   useEffect(() => {
     if (location.state?.selectedFiles) {
@@ -57,12 +146,16 @@ const Upload = () => {
     }
   }, [location.state])
 
+  // A revision is a single file
+  const acceptedFiles = (fileList) => Array.from(fileList).slice(0, revisionOf ? 1 : undefined)
+
   const handleFileSelect = (e) => {
-    const selectedFiles = Array.from(e.target.files)
+    const selectedFiles = acceptedFiles(e.target.files)
     if (selectedFiles.length > 0) {
       setFiles(selectedFiles)
       setUploadProgress(0)
       setUploadComplete(false)
+      setFileStatuses([])
       
       // Create preview URLs for images
       const urls = selectedFiles
@@ -74,11 +167,12 @@ const Upload = () => {
 
   const handleDrop = (e) => {
     e.preventDefault()
-    const droppedFiles = Array.from(e.dataTransfer.files)
+    const droppedFiles = acceptedFiles(e.dataTransfer.files)
     if (droppedFiles.length > 0) {
       setFiles(droppedFiles)
       setUploadProgress(0)
       setUploadComplete(false)
+      setFileStatuses([])
       
       // Create preview URLs for images
       const urls = droppedFiles
@@ -101,9 +195,13 @@ const Upload = () => {
       return
     }
 
+    // A retry of resumable uploads skips the files that already went up
+    const previousStatuses = fileStatuses
+
     setUploading(true)
     setUploadProgress(0)
     setErrorMessage('')
+    setFileStatuses([])
 
     try {
       // Pre-flight health check
@@ -115,37 +213,38 @@ const Upload = () => {
         // Continue anyway - might just be slow to wake up
       }
 
-      // Upload files one by one (or modify backend to accept multiple files)
-      let totalProgress = 0
-      const totalFiles = files.length
-      
-      for (let i = 0; i < files.length; i++) {
-        const formData = new FormData()
-        formData.append('file', files[i])
-
-        const response = await api.upload(formData, (progressEvent) => {
-          const fileProgress = Math.round(
-            (progressEvent.loaded * 100) / progressEvent.total
-          )
-          // Calculate overall progress
-          totalProgress = Math.round(
-            ((i * 100) + fileProgress) / totalFiles
-          )
-          setUploadProgress(totalProgress)
-        })
+      // Large files can't go in one request, so each is sent on its own in
+      // resumable chunks, continuing after dropped connections
+      if (files.some(file => file.size > MAX_DIRECT_UPLOAD_SIZE)) {
+        await uploadResumably(previousStatuses)
+        return
+      }
 
-        if (!response.data.success) {
-          throw new Error(`Failed to upload ${files[i].name}`)
-        }
+      if (revisionOf) {
+        await uploadRevision()
+        return
       }
 
-      setUploadComplete(true)
-      setUploadProgress(100)
-      setTimeout(() => {
-        navigate('/results')
-      }, 1500)
+      // All files go up as one batch, accepted or rejected as a unit
+      const formData = new FormData()
+      files.forEach(file => formData.append('files', file))
+      if (ruleSetId) formData.append('ruleSetId', ruleSetId)
+      if (vesselId) formData.append('vesselId', vesselId)
+
+      const response = await api.uploadBatch(formData, (progressEvent) => {
+        setUploadProgress(Math.round((progressEvent.loaded * 100) / progressEvent.total))
+      })
+
+      if (!response.data.success) {
+        throw new Error(response.data.message || 'Upload failed')
+      }
+      setFileStatuses(response.data.files || [])
+      finishUpload(response.data.files || [])
     } catch (error) {
       console.error('Upload error:', error)
+      // A rejected batch says which files were at fault
+      setFileStatuses(error.response?.data?.files || [])
+      setUploadProgress(0)
       let errorMsg = error.userMessage || error.message || 'Unknown error occurred'
       
       // Handle timeout errors more gracefully
@@ -159,6 +258,93 @@ const Upload = () => {
     }
   }
 
+  // Upload the file as a new revision of the document of revisionOf
+  const uploadRevision = async () => {
+    const formData = new FormData()
+    formData.append('file', files[0])
+    formData.append('parentResultId', revisionOf.resultId)
+    if (ruleSetId) formData.append('ruleSetId', ruleSetId)
+    if (vesselId) formData.append('vesselId', vesselId)
+
+    const response = await api.upload(formData, (progressEvent) => {
+      setUploadProgress(Math.round((progressEvent.loaded * 100) / progressEvent.total))
+    })
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Upload failed')
+    }
+
+    const statuses = [{
+      filename: files[0].name,
+      status: 'uploaded',
+      result: response.data.result,
+      job: response.data.job,
+      duplicateOf: response.data.duplicateOf,
+    }]
+    setFileStatuses(statuses)
+    finishUpload(statuses)
+  }
+
+  // Upload files one at a time with resumable uploads. A file that fails is
+  // marked and the others still go up; uploading again resumes it.
+  const uploadResumably = async (previousStatuses) => {
+    const totalBytes = files.reduce((total, file) => total + file.size, 0) || 1
+    const statuses = []
+    let doneBytes = 0
+
+    for (const [index, file] of files.entries()) {
+      const previous = previousStatuses[index]
+      if (previous?.status === 'uploaded' && previous.filename === file.name) {
+        statuses.push(previous)
+        doneBytes += file.size
+        continue
+      }
+
+      try {
+        const options = { ruleSetId, vesselId, parentResultId: revisionOf?.resultId }
+        const { result, job, duplicateOf } = await uploadResumable(file, options, (bytes) => {
+          setUploadProgress(Math.round(((doneBytes + bytes) * 100) / totalBytes))
+        })
+        statuses.push({ filename: file.name, status: 'uploaded', result, job, duplicateOf })
+      } catch (error) {
+        console.error(`Resumable upload of ${file.name} failed:`, error)
+        statuses.push({ filename: file.name, status: 'rejected', message: error.userMessage || error.message })
+      }
+      doneBytes += file.size
+      setFileStatuses([...statuses])
+    }
+
+    const failed = statuses.filter(status => status.status !== 'uploaded').length
+    if (failed > 0) {
+      setErrorMessage(`${failed} of ${files.length} files could not be uploaded; upload again to resume`)
+      setUploading(false)
+      return
+    }
+
+    finishUpload(statuses)
+  }
+
+  // Go on to the uploaded results (a new revision with its history), unless a
+  // file is identical to one analyzed before: then the user stays to follow
+  // the link to that earlier result
+  const finishUpload = (statuses) => {
+    setUploadComplete(true)
+    setUploadProgress(100)
+    if (statuses.some(status => status.duplicateOf)) return
+    setTimeout(() => {
+      if (revisionOf) {
+        navigate(`/results?result=${statuses[0].result.id}`)
+      } else {
+        navigate(vesselId ? `/vessels/${vesselId}` : '/results')
+      }
+    }, 1500)
+  }
+
+  // e.g. "DNV Tankers (DNV, Tanker)"
+  const ruleSetLabel = (set) => {
+    const details = [set.society, set.vesselType].filter(Boolean)
+    return details.length > 0 ? `${set.name} (${details.join(', ')})` : set.name
+  }
+
   const formatFileSize = (bytes) => {
     if (bytes < 1024) return bytes + ' B'
     if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB'
@@ -169,9 +355,11 @@ const Upload = () => {
     <div className="upload-page">
       <div className="upload-content">
         <div className="upload-section">
-          <h1 className="page-title">Upload Files</h1>
+          <h1 className="page-title">{revisionOf ? 'Upload New Revision' : 'Upload Files'}</h1>
               <p className="page-subtitle">
-                Submit your cropped General Arrangement (GA) drawing or related documents to begin the compliance verification process.
+                {revisionOf
+                  ? `Submit the revised drawing of ${revisionOf.filename || 'the document'}; its findings are compared with the earlier revisions.`
+                  : 'Submit your cropped General Arrangement (GA) drawing or related documents to begin the compliance verification process.'}
               </p>
 
           <div className="upload-card">
@@ -205,7 +393,7 @@ const Upload = () => {
                 id="file-input"
                 className="file-input"
                 onChange={handleFileSelect}
-                multiple
+                multiple={!revisionOf}
                 accept=".txt,.pdf,.docx,.csv,.xlsx,.html,.jpg,.jpeg,.png,.gif"
               />
               <label htmlFor="file-input" className="upload-label">
@@ -215,7 +403,7 @@ const Upload = () => {
                   and drop
                 </span>
                 <span className="upload-formats">
-                  Select one or more files: txt, pdf, docx, csv, xlsx, html, jpg, jpeg, png, gif (max. 20 MB each)
+                  {revisionOf ? 'Select the revised file' : 'Select one or more files'}: txt, pdf, docx, csv, xlsx, html, jpg, jpeg, png, gif (files over 20 MB are sent in resumable chunks)
                 </span>
               </label>
             </div>
@@ -232,6 +420,7 @@ const Upload = () => {
                       <div className="file-name">{file.name}</div>
                       <div className="file-size">{formatFileSize(file.size)}</div>
                     </div>
+                    <FileStatus status={fileStatuses[index]} />
                   </div>
                 ))}
                 <div className="upload-progress-container">
@@ -255,6 +444,41 @@ const Upload = () => {
               </div>
             )}
 
+            <div className="rule-set-picker">
+              <label htmlFor="vessel-select" className="rule-set-label">Vessel</label>
+              <select
+                id="vessel-select"
+                className="rule-set-select"
+                value={vesselId}
+                onChange={(e) => setVesselId(e.target.value)}
+                disabled={uploading}
+              >
+                <option value="">No vessel</option>
+                {vessels.map(vessel => (
+                  <option key={vessel.id} value={vessel.id}>
+                    {vessel.imoNumber ? `${vessel.name} (IMO ${vessel.imoNumber})` : vessel.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {ruleSets.length > 0 && (
+              <div className="rule-set-picker">
+                <label htmlFor="rule-set-select" className="rule-set-label">Check against rule set</label>
+                <select
+                  id="rule-set-select"
+                  className="rule-set-select"
+                  value={ruleSetId}
+                  onChange={(e) => setRuleSetId(e.target.value)}
+                  disabled={uploading}
+                >
+                  {ruleSets.map(set => (
+                    <option key={set.id} value={set.id}>{ruleSetLabel(set)}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             <button
               className="upload-button"
               onClick={handleUpload}
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react'
+import { Plus } from 'lucide-react'
+import './Vessels.css'
+import '../components/VesselForm.css'
+import './Users.css'
+import { api } from '../utils/api'
+import { useAuth } from '../context/AuthContext'
+
+const roleDescriptions = {
+  engineer: 'Uploads drawings and sees their own results',
+  reviewer: 'Sees every result and approves or rejects them',
+  admin: 'Manages the rulebook, vessels and users',
+}
+
+const emptyUser = { name: '', email: '', password: '', role: 'engineer' }
+
+const Users = () => {
+  const { user: currentUser } = useAuth()
+  const [users, setUsers] = useState([])
+  const [roles, setRoles] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [errorMessage, setErrorMessage] = useState('')
+  const [adding, setAdding] = useState(false)
+  const [newUser, setNewUser] = useState(emptyUser)
+  const [saving, setSaving] = useState(false)
+  const [formError, setFormError] = useState('')
+
+  useEffect(() => {
+    fetchUsers()
+  }, [])
+
+  const fetchUsers = async () => {
+    try {
+      const response = await api.getUsers()
+      if (response.data.success) {
+        setUsers(response.data.users || [])
+        setRoles(response.data.roles || [])
+      }
+    } catch (error) {
+      console.error('Error fetching users:', error)
+      setErrorMessage(error.userMessage || 'Failed to load users')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRoleChange = async (user, role) => {
+    try {
+      const response = await api.setUserRole(user.id, role)
+      setUsers(users.map(existing => (existing.id === user.id ? response.data.user : existing)))
+      setErrorMessage('')
+    } catch (error) {
+      console.error('Role change error:', error)
+      setErrorMessage(error.userMessage || 'Failed to change role')
+    }
+  }
+
+  const handleNewUserChange = (field) => (e) => setNewUser({ ...newUser, [field]: e.target.value })
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setFormError('')
+    try {
+      const response = await api.createUser(newUser)
+      setUsers([...users, response.data.user].sort((a, b) => a.name.localeCompare(b.name)))
+      setNewUser(emptyUser)
+      setAdding(false)
+    } catch (error) {
+      console.error('Create user error:', error)
+      setFormError(error.userMessage || 'Failed to add user')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading) {
+    return <div className="vessels-loading">Loading users...</div>
+  }
+
+  return (
+    <div className="vessels-page">
+      <div className="vessels-header">
+        <div>
+          <h1 className="page-title">Users</h1>
+          <p className="page-subtitle">
+            Accounts in {currentUser?.organizationName} and what they are allowed to do.
+          </p>
+        </div>
+        {!adding && (
+          <button className="vessels-add-btn" onClick={() => setAdding(true)}>
+            <Plus size={16} /> Add User
+          </button>
+        )}
+      </div>
+
+      {errorMessage && <div className="vessels-error">{errorMessage}</div>}
+
+      {adding && (
+        <form className="vessel-form" onSubmit={handleCreate}>
+          {formError && <div className="vessel-form-error">{formError}</div>}
+          <div className="vessel-form-fields">
+            <label>
+              <span>Name</span>
+              <input type="text" value={newUser.name} onChange={handleNewUserChange('name')} required />
+            </label>
+            <label>
+              <span>Email</span>
+              <input type="email" value={newUser.email} onChange={handleNewUserChange('email')} required />
+            </label>
+            <label>
+              <span>Initial password</span>
+              <input
+                type="password"
+                value={newUser.password}
+                onChange={handleNewUserChange('password')}
+                autoComplete="new-password"
+                minLength={8}
+                required
+              />
+            </label>
+            <label>
+              <span>Role</span>
+              <select className="user-role-select" value={newUser.role} onChange={handleNewUserChange('role')}>
+                {roles.map(role => (
+                  <option key={role} value={role}>{role.charAt(0).toUpperCase() + role.slice(1)}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <div className="vessel-form-actions">
+            <button type="button" className="vessel-form-btn" onClick={() => setAdding(false)} disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" className="vessel-form-btn primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Add User'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="vessels-table-container">
+        <table className="vessels-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Email</th>
+              <th>Role</th>
+              <th>Joined</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((user) => (
+              <tr key={user.id}>
+                <td>
+                  {user.name}
+                  {user.id === currentUser?.id && <span className="user-you">(you)</span>}
+                </td>
+                <td>{user.email}</td>
+                <td>
+                  <select
+                    className="user-role-select"
+                    value={user.role}
+                    onChange={(e) => handleRoleChange(user, e.target.value)}
+                    title={roleDescriptions[user.role]}
+                  >
+                    {roles.map(role => (
+                      <option key={role} value={role}>{role.charAt(0).toUpperCase() + role.slice(1)}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>{new Date(user.createdAt).toLocaleDateString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <ul className="user-role-legend">
+        {roles.map(role => (
+          <li key={role}><strong>{role.charAt(0).toUpperCase() + role.slice(1)}</strong>: {roleDescriptions[role]}</li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default Users
@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { ArrowLeft, Download, Pencil, Trash2, Upload as UploadIcon, X } from 'lucide-react'
+import './Vessels.css'
+import './VesselDetail.css'
+import { api } from '../utils/api'
+import VesselForm from '../components/VesselForm'
+import { useAuth } from '../context/AuthContext'
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-')
+
+const VesselDetail = () => {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const { hasRole } = useAuth()
+  // Reviewers can look at vessels but not change them
+  const canEdit = hasRole('engineer', 'admin')
+  const [vessel, setVessel] = useState(null)
+  const [drawings, setDrawings] = useState([])
+  const [unassigned, setUnassigned] = useState([])
+  const [selectedResultId, setSelectedResultId] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [errorMessage, setErrorMessage] = useState('')
+  const [editing, setEditing] = useState(false)
+
+  useEffect(() => {
+    setLoading(true)
+    setEditing(false)
+    fetchVessel()
+  }, [id])
+
+  const fetchVessel = async () => {
+    try {
+      const [vesselResponse, resultsResponse] = await Promise.all([api.getVessel(id), api.getResults()])
+      setVessel(vesselResponse.data.vessel)
+      setDrawings(vesselResponse.data.drawings || [])
+      setUnassigned((resultsResponse.data.results || []).filter(result => !result.vessel_id))
+      setErrorMessage('')
+    } catch (error) {
+      console.error('Error fetching vessel:', error)
+      setErrorMessage(error.userMessage || 'Failed to load vessel')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleUpdate = async (values) => {
+    const response = await api.updateVessel(id, values)
+    setVessel(response.data.vessel)
+    setEditing(false)
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete vessel "${vessel.name}"? Its drawings and results are kept.`)) {
+      return
+    }
+
+    try {
+      await api.deleteVessel(id)
+      navigate('/vessels')
+    } catch (error) {
+      console.error('Delete error:', error)
+      alert(`Failed to delete vessel: ${error.userMessage || error.message}`)
+    }
+  }
+
+  const handleLink = async (resultId, vesselId) => {
+    try {
+      await api.setResultVessel(resultId, vesselId)
+      setSelectedResultId('')
+      await fetchVessel()
+    } catch (error) {
+      console.error('Link error:', error)
+      alert(`Failed to update drawing: ${error.userMessage || error.message}`)
+    }
+  }
+
+  const handleDownload = async (drawing) => {
+    try {
+      const response = await api.downloadResult(drawing.id)
+      const url = window.URL.createObjectURL(new Blob([response.data]))
+      const link = document.createElement('a')
+      link.href = url
+      link.setAttribute('download', `${vessel.name}-compliance-report.pdf`)
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Download error:', error)
+      alert(`Failed to download report: ${error.userMessage || error.message}`)
+    }
+  }
+
+  if (loading) {
+    return <div className="vessels-loading">Loading vessel...</div>
+  }
+
+  if (!vessel) {
+    return (
+      <div className="vessels-page">
+        <Link to="/vessels" className="vessel-back-link"><ArrowLeft size={16} /> All vessels</Link>
+        <div className="vessels-error">{errorMessage || 'Vessel not found'}</div>
+      </div>
+    )
+  }
+
+  const evaluated = drawings.filter(drawing => drawing.rules_passed + drawing.rules_failed + drawing.rules_undetermined > 0)
+  const latest = evaluated[0]
+
+  return (
+    <div className="vessels-page">
+      <Link to="/vessels" className="vessel-back-link"><ArrowLeft size={16} /> All vessels</Link>
+
+      <div className="vessels-header">
+        <div>
+          <h1 className="page-title">{vessel.name}</h1>
+          <div className="vessel-details">
+            <span><strong>IMO</strong> {vessel.imoNumber || '-'}</span>
+            <span><strong>Type</strong> {vessel.vesselType || '-'}</span>
+            <span><strong>Owner</strong> {vessel.owner || '-'}</span>
+          </div>
+        </div>
+        {!editing && canEdit && (
+          <div className="vessel-actions">
+            <button className="vessel-action-btn" onClick={() => navigate('/upload', { state: { vesselId: vessel.id } })}>
+              <UploadIcon size={16} /> Upload Drawing
+            </button>
+            <button className="vessel-action-btn" onClick={() => setEditing(true)}>
+              <Pencil size={16} /> Edit
+            </button>
+            {hasRole('admin') && (
+              <button className="vessel-action-btn danger" onClick={handleDelete}>
+                <Trash2 size={16} /> Delete
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {editing && (
+        <VesselForm
+          initialValues={vessel}
+          submitLabel="Save Changes"
+          onSubmit={handleUpdate}
+          onCancel={() => setEditing(false)}
+        />
+      )}
+
+      <div className="vessel-summary">
+        <div className="vessel-summary-item">
+          <div className="vessel-summary-value">{drawings.length}</div>
+          <div className="vessel-summary-label">Drawings</div>
+        </div>
+        <div className="vessel-summary-item">
+          <div className="vessel-summary-value">{evaluated.filter(drawing => drawing.is_compliant).length}</div>
+          <div className="vessel-summary-label">Compliant</div>
+        </div>
+        <div className="vessel-summary-item">
+          <div className="vessel-summary-value">{evaluated.filter(drawing => !drawing.is_compliant).length}</div>
+          <div className="vessel-summary-label">Non-compliant</div>
+        </div>
+        <div className="vessel-summary-item">
+          <div className={`vessel-summary-value ${latest ? (latest.is_compliant ? 'comply-yes' : 'comply-no') : ''}`}>
+            {latest ? (latest.is_compliant ? 'Compliant' : 'Non-compliant') : '-'}
+          </div>
+          <div className="vessel-summary-label">Latest check</div>
+        </div>
+      </div>
+
+      <h2 className="vessel-section-title">Drawings and Compliance History</h2>
+      <div className="vessels-table-container">
+        <table className="vessels-table">
+          <thead>
+            <tr>
+              <th>Checked</th>
+              <th>Drawing</th>
+              <th>Rule Set</th>
+              <th>Comply?</th>
+              <th>Violation(s)</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {drawings.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="no-vessels">No drawings for this vessel yet.</td>
+              </tr>
+            ) : (
+              drawings.map((drawing) => (
+                <tr key={drawing.id}>
+                  <td>{formatDate(drawing.created_at)}</td>
+                  <td>{drawing.filename}</td>
+                  <td>
+                    {drawing.rule_set_name
+                      ? `${drawing.rule_set_name} v${drawing.rulebook_version}`
+                      : '-'}
+                  </td>
+                  {drawing.analysis_status === 'processing' ? (
+                    <td colSpan="2">Processing...</td>
+                  ) : drawing.analysis_status === 'failed' ? (
+                    <td colSpan="2" className="comply-no" title={drawing.analysis_error || ''}>Analysis failed</td>
+                  ) : (
+                    <>
+                      <td className={drawing.is_compliant ? 'comply-yes' : 'comply-no'}>
+                        {drawing.is_compliant ? 'Yes' : 'No'}
+                      </td>
+                      <td>{drawing.issues_detected}</td>
+                    </>
+                  )}
+                  <td>
+                    <div className="vessel-row-actions">
+                      <button className="vessel-icon-btn" onClick={() => handleDownload(drawing)} title="Download Report">
+                        <Download size={16} />
+                      </button>
+                      {canEdit && (
+                        <button className="vessel-icon-btn" onClick={() => handleLink(drawing.id, null)} title="Remove from vessel">
+                          <X size={16} />
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {canEdit && unassigned.length > 0 && (
+        <div className="vessel-assign">
+          <select value={selectedResultId} onChange={(e) => setSelectedResultId(e.target.value)}>
+            <option value="">Add an existing drawing...</option>
+            {unassigned.map(result => (
+              <option key={result.id} value={result.id}>
+                {result.filename} ({new Date(result.created_at).toLocaleDateString()})
+              </option>
+            ))}
+          </select>
+          <button
+            className="vessel-action-btn"
+            onClick={() => handleLink(selectedResultId, vessel.id)}
+            disabled={!selectedResultId}
+          >
+            Add to Vessel
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default VesselDetail
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { Plus } from 'lucide-react'
+import './Vessels.css'
+import { api } from '../utils/api'
+import VesselForm from '../components/VesselForm'
+import { useAuth } from '../context/AuthContext'
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-')
+
+const Vessels = () => {
+  const [vessels, setVessels] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [errorMessage, setErrorMessage] = useState('')
+  const [showForm, setShowForm] = useState(false)
+  const navigate = useNavigate()
+  const { hasRole } = useAuth()
+
+  useEffect(() => {
+    fetchVessels()
+  }, [])
+
+  const fetchVessels = async () => {
+    try {
+      const response = await api.getVessels()
+      if (response.data.success) {
+        setVessels(response.data.vessels || [])
+      }
+    } catch (error) {
+      console.error('Error fetching vessels:', error)
+      setErrorMessage(error.userMessage || 'Failed to load vessels')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleCreate = async (values) => {
+    const response = await api.createVessel(values)
+    navigate(`/vessels/${response.data.vessel.id}`)
+  }
+
+  if (loading) {
+    return <div className="vessels-loading">Loading vessels...</div>
+  }
+
+  return (
+    <div className="vessels-page">
+      <div className="vessels-header">
+        <div>
+          <h1 className="page-title">Vessels</h1>
+          <p className="page-subtitle">
+            Vessels and the drawings submitted for them.
+          </p>
+        </div>
+        {!showForm && hasRole('engineer', 'admin') && (
+          <button className="vessels-add-btn" onClick={() => setShowForm(true)}>
+            <Plus size={16} />
+            Add Vessel
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <VesselForm submitLabel="Create Vessel" onSubmit={handleCreate} onCancel={() => setShowForm(false)} />
+      )}
+
+      {errorMessage && <div className="vessels-error">{errorMessage}</div>}
+
+      <div className="vessels-table-container">
+        <table className="vessels-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>IMO Number</th>
+              <th>Type</th>
+              <th>Owner</th>
+              <th>Drawings</th>
+              <th>Last Checked</th>
+            </tr>
+          </thead>
+          <tbody>
+            {vessels.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="no-vessels">No vessels yet. Add one to group its drawings.</td>
+              </tr>
+            ) : (
+              vessels.map((vessel) => (
+                <tr key={vessel.id}>
+                  <td className="vessel-link-cell">
+                    <Link to={`/vessels/${vessel.id}`}>{vessel.name}</Link>
+                  </td>
+                  <td>{vessel.imoNumber || '-'}</td>
+                  <td>{vessel.vesselType || '-'}</td>
+                  <td>{vessel.owner || '-'}</td>
+                  <td>{vessel.drawingCount}</td>
+                  <td>{formatDate(vessel.lastCheckedAt)}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default Vessels
@@ -74,6 +74,33 @@ export const getApiUrlWithFallback = async () => {
 }
 
 
+// Session token from POST /api/auth/login, kept across page reloads
+const TOKEN_KEY = 'authToken'
+
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY)
+
+export const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token)
+  } else {
+    localStorage.removeItem(TOKEN_KEY)
+  }
+}
+
+const TUS_VERSION = '1.0.0'
+
+// Base64 of the UTF-8 bytes of a string; btoa alone only takes Latin-1
+const toBase64 = (value) => btoa(String.fromCharCode(...new TextEncoder().encode(value)))
+
+// Upload-Metadata header: comma-separated "key base64(value)" pairs
+const encodeUploadMetadata = (metadata) => Object.entries(metadata)
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([key, value]) => `${key} ${toBase64(String(value))}`)
+  .join(',')
+
+// Fired when the API rejects the stored token; AuthContext logs the user out
+export const AUTH_EXPIRED_EVENT = 'auth:expired'
+
 // Create axios instance with retry logic
 const createApiInstance = async () => {
   const apiUrl = await getApiUrlWithFallback()
@@ -96,6 +123,10 @@ const createApiInstance = async () => {
       if (cachedApiUrl) {
         config.baseURL = cachedApiUrl.replace(/\/+$/, '')
       }
+      const token = getAuthToken()
+      if (token) {
+        config.headers.Authorization = `Bearer ${token}`
+      }
       return config
     },
     (error) => {
@@ -115,6 +146,10 @@ const createApiInstance = async () => {
         error.userMessage = 'Upload timeout: The server is taking too long to respond. Please check your connection and try again.'
       } else if (error.response) {
         error.userMessage = error.response.data?.message || error.message
+        if (error.response.status === 401 && getAuthToken()) {
+          setAuthToken(null)
+          window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT))
+        }
       } else {
         error.userMessage = error.message || 'An unexpected error occurred'
       }
@@ -139,6 +174,26 @@ export const getApiInstance = async () => {
 
 // API methods
 export const api = {
+  register: async (values) => {
+    const instance = await getApiInstance()
+    return instance.post('/api/auth/register', values)
+  },
+  
+  login: async (email, password) => {
+    const instance = await getApiInstance()
+    return instance.post('/api/auth/login', { email, password })
+  },
+  
+  logout: async () => {
+    const instance = await getApiInstance()
+    return instance.post('/api/auth/logout')
+  },
+  
+  getCurrentUser: async () => {
+    const instance = await getApiInstance()
+    return instance.get('/api/auth/me')
+  },
+  
   upload: async (formData, onProgress) => {
     const instance = await getApiInstance()
     return instance.post('/api/upload', formData, {
@@ -149,6 +204,63 @@ export const api = {
       onUploadProgress: onProgress,
     })
   },
+
+  // Several files as one submission: `files` fields plus the shared ruleSetId and vesselId
+  uploadBatch: async (formData, onProgress) => {
+    const instance = await getApiInstance()
+    return instance.post('/api/upload/batch', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      timeout: 300000, // 5 minutes for a whole batch
+      onUploadProgress: onProgress,
+    })
+  },
+
+  // Resumable (tus) uploads, see utils/resumableUpload.js. `url` is the
+  // Location returned when the upload was created.
+  createResumableUpload: async (length, metadata) => {
+    const instance = await getApiInstance()
+    return instance.post('/api/upload/tus', undefined, {
+      headers: {
+        'Tus-Resumable': TUS_VERSION,
+        'Upload-Length': String(length),
+        'Upload-Metadata': encodeUploadMetadata(metadata),
+      },
+    })
+  },
+
+  getResumableUploadOffset: async (url) => {
+    const instance = await getApiInstance()
+    const response = await instance.head(url, { headers: { 'Tus-Resumable': TUS_VERSION } })
+    return Number(response.headers['upload-offset'])
+  },
+
+  sendResumableUploadChunk: async (url, offset, chunk, onProgress) => {
+    const instance = await getApiInstance()
+    // The Blob's own type would otherwise replace the Content-Type below
+    const body = new Blob([chunk], { type: 'application/offset+octet-stream' })
+    const response = await instance.patch(url, body, {
+      headers: {
+        'Tus-Resumable': TUS_VERSION,
+        'Upload-Offset': String(offset),
+        'Content-Type': 'application/offset+octet-stream',
+      },
+      timeout: 120000, // 120 seconds per chunk
+      onUploadProgress: onProgress,
+    })
+    return Number(response.headers['upload-offset'])
+  },
+
+  getResumableUpload: async (url) => {
+    const instance = await getApiInstance()
+    return instance.get(url, { headers: { 'Tus-Resumable': TUS_VERSION } })
+  },
+
+  cancelResumableUpload: async (url) => {
+    const instance = await getApiInstance()
+    return instance.delete(url, { headers: { 'Tus-Resumable': TUS_VERSION } })
+  },
   
   getResults: async () => {
     const instance = await getApiInstance()
@@ -160,6 +272,75 @@ export const api = {
     return instance.get(`/api/results/${id}`)
   },
   
+  getResultFindings: async (id) => {
+    const instance = await getApiInstance()
+    return instance.get(`/api/results/${id}/findings`)
+  },
+
+  // values: { reason, attachment } where attachment is an optional File
+  requestWaiver: async (resultId, findingId, { reason, attachment }) => {
+    const instance = await getApiInstance()
+    const formData = new FormData()
+    formData.append('reason', reason)
+    if (attachment) formData.append('attachment', attachment)
+    return instance.post(`/api/results/${resultId}/findings/${findingId}/waivers`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    })
+  },
+
+  // decision: approve, reject or revoke
+  decideWaiver: async (resultId, waiverId, decision, comment) => {
+    const instance = await getApiInstance()
+    return instance.post(`/api/results/${resultId}/waivers/${waiverId}/${decision}`, { comment })
+  },
+
+  downloadWaiverAttachment: async (resultId, waiverId) => {
+    const instance = await getApiInstance()
+    return instance.get(`/api/results/${resultId}/waivers/${waiverId}/attachment`, {
+      responseType: 'blob',
+    })
+  },
+
+  // Revision history of the document a result belongs to, oldest first
+  getResultRevisions: async (id) => {
+    const instance = await getApiInstance()
+    return instance.get(`/api/results/${id}/revisions`)
+  },
+
+  // Findings fixed, new and unchanged from result `id` to `otherId`, two
+  // revisions of the same document
+  compareResults: async (id, otherId) => {
+    const instance = await getApiInstance()
+    return instance.get(`/api/results/${id}/compare/${otherId}`)
+  },
+
+  // Status of a background job, e.g. the analysis of an upload
+  getJob: async (id) => {
+    const instance = await getApiInstance()
+    return instance.get(`/api/jobs/${id}`)
+  },
+
+  getResultReviews: async (id) => {
+    const instance = await getApiInstance()
+    return instance.get(`/api/results/${id}/reviews`)
+  },
+
+  // status: pending, under_review, approved or rejected
+  reviewResult: async (id, status, comment) => {
+    const instance = await getApiInstance()
+    return instance.post(`/api/results/${id}/review`, { status, comment })
+  },
+  
+  // The uploaded file of a result; only the API can send it, with the token
+  getResultFile: async (id) => {
+    const instance = await getApiInstance()
+    return instance.get(`/api/results/${id}/file`, {
+      responseType: 'blob',
+    })
+  },
+
   downloadResult: async (id) => {
     const instance = await getApiInstance()
     return instance.get(`/api/results/${id}/download`, {
@@ -167,14 +348,114 @@ export const api = {
     })
   },
   
+  // Moves the result to the trash
   deleteResult: async (id) => {
     const instance = await getApiInstance()
     return instance.delete(`/api/results/${id}`)
   },
+
+  getTrash: async () => {
+    const instance = await getApiInstance()
+    return instance.get('/api/trash')
+  },
+
+  restoreResult: async (id) => {
+    const instance = await getApiInstance()
+    return instance.post(`/api/trash/${id}/restore`)
+  },
+
+  purgeResult: async (id) => {
+    const instance = await getApiInstance()
+    return instance.delete(`/api/trash/${id}`)
+  },
+  
+  getVessels: async () => {
+    const instance = await getApiInstance()
+    return instance.get('/api/vessels')
+  },
+  
+  getVessel: async (id) => {
+    const instance = await getApiInstance()
+    return instance.get(`/api/vessels/${id}`)
+  },
+  
+  createVessel: async (vessel) => {
+    const instance = await getApiInstance()
+    return instance.post('/api/vessels', vessel)
+  },
+  
+  updateVessel: async (id, vessel) => {
+    const instance = await getApiInstance()
+    return instance.put(`/api/vessels/${id}`, vessel)
+  },
   
-  getRequirements: async () => {
+  deleteVessel: async (id) => {
+    const instance = await getApiInstance()
+    return instance.delete(`/api/vessels/${id}`)
+  },
+  
+  setResultVessel: async (resultId, vesselId) => {
+    const instance = await getApiInstance()
+    return instance.put(`/api/results/${resultId}/vessel`, { vesselId })
+  },
+  
+  getRuleSets: async () => {
+    const instance = await getApiInstance()
+    return instance.get('/api/rule-sets')
+  },
+  
+  getRequirements: async (ruleSetId) => {
+    const instance = await getApiInstance()
+    return instance.get('/api/requirements', {
+      params: { ruleSetId },
+    })
+  },
+  
+  exportRequirements: async (format, ruleSetId) => {
+    const instance = await getApiInstance()
+    return instance.get('/api/requirements/export', {
+      params: { format, ruleSetId },
+      responseType: 'blob',
+    })
+  },
+  
+  importRequirements: async (file, { dryRun = false, ruleSetId } = {}) => {
+    const instance = await getApiInstance()
+    const formData = new FormData()
+    formData.append('file', file)
+    return instance.post('/api/requirements/import', formData, {
+      params: { dryRun, ruleSetId },
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    })
+  },
+  
+  getUsers: async () => {
+    const instance = await getApiInstance()
+    return instance.get('/api/users')
+  },
+  
+  // values: { email, name, password, role }
+  createUser: async (values) => {
+    const instance = await getApiInstance()
+    return instance.post('/api/users', values)
+  },
+
+  setUserRole: async (userId, role) => {
+    const instance = await getApiInstance()
+    return instance.put(`/api/users/${userId}/role`, { role })
+  },
+  
+  // params: { action, entityType, entityId, actorId, from, to, limit, before }
+  getAuditEvents: async (params = {}) => {
+    const instance = await getApiInstance()
+    return instance.get('/api/audit', { params })
+  },
+
+  search: async (q) => {
     const instance = await getApiInstance()
-    return instance.get('/api/requirements')
+    return instance.get('/api/search', { params: { q } })
   },
   
   healthCheck: async () => {
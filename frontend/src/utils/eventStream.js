@@ -0,0 +1,88 @@
+import { getApiUrlWithFallback, getAuthToken, setAuthToken, AUTH_EXPIRED_EVENT } from './api'
+
+// Used until the server sends its own `retry` delay
+const DEFAULT_RECONNECT_DELAY = 5000
+
+// Dispatch the events of one chunk of a Server-Sent Events stream; returns the
+// incomplete rest to prepend to the next chunk
+const parseEvents = (buffer, { onEvent, onRetry }) => {
+  const blocks = buffer.split(/\r?\n\r?\n/)
+  const rest = blocks.pop()
+
+  for (const block of blocks) {
+    let type = 'message'
+    const data = []
+    for (const line of block.split(/\r?\n/)) {
+      // Lines starting with a colon are comments, e.g. heartbeats
+      if (!line || line.startsWith(':')) continue
+      const colon = line.indexOf(':')
+      const field = colon === -1 ? line : line.slice(0, colon)
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '')
+      if (field === 'event') type = value
+      else if (field === 'data') data.push(value)
+      else if (field === 'retry' && /^\d+$/.test(value)) onRetry(parseInt(value))
+    }
+    if (data.length === 0) continue
+
+    try {
+      onEvent({ ...JSON.parse(data.join('\n')), type })
+    } catch (error) {
+      console.error('Ignoring malformed event:', error)
+    }
+  }
+  return rest
+}
+
+// Follow GET /api/events, calling onEvent with every event and onOpen each
+// time the stream (re)connects; events sent while it was down are lost, so
+// onOpen is where to reload. The stream is read with fetch rather than
+// EventSource, which cannot send the Authorization header. It reconnects
+// until the returned function is called or the session ends.
+export function openEventStream({ onEvent, onOpen = () => {} }) {
+  const controller = new AbortController()
+  let reconnectDelay = DEFAULT_RECONNECT_DELAY
+  let timer = null
+
+  const connect = async () => {
+    try {
+      const apiUrl = await getApiUrlWithFallback()
+      const response = await fetch(`${apiUrl}/api/events`, {
+        headers: { Accept: 'text/event-stream', Authorization: `Bearer ${getAuthToken()}` },
+        signal: controller.signal,
+      })
+      if (response.status === 401) {
+        setAuthToken(null)
+        window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT))
+        return
+      }
+      if (!response.ok) throw new Error(`Event stream answered ${response.status}`)
+
+      onOpen()
+      const reader = response.body.getReader()
+      const decoder = new TextDecoder()
+      let buffer = ''
+      for (;;) {
+        const { done, value } = await reader.read()
+        if (done) break
+        buffer = parseEvents(buffer + decoder.decode(value, { stream: true }), {
+          onEvent,
+          onRetry: (delay) => { reconnectDelay = delay },
+        })
+      }
+    } catch (error) {
+      if (controller.signal.aborted) return
+      console.warn('Event stream interrupted:', error.message)
+    }
+
+    // The session may have ended, which also ends the stream
+    if (!controller.signal.aborted && getAuthToken()) {
+      timer = setTimeout(connect, reconnectDelay)
+    }
+  }
+
+  connect()
+  return () => {
+    controller.abort()
+    clearTimeout(timer)
+  }
+}
@@ -0,0 +1,108 @@
+import { api } from './api'
+
+// Resumable uploads for files too large for a single request
+// (POST /api/upload/tus, the tus protocol). The file is sent in chunks; after
+// a dropped connection the upload continues at the offset the server has,
+// also after a page reload, as the upload URL is kept in localStorage.
+
+// Files above this go through a resumable upload instead of POST /api/upload
+export const MAX_DIRECT_UPLOAD_SIZE = 20 * 1024 * 1024 // 20MB
+
+const CHUNK_SIZE = 5 * 1024 * 1024 // 5MB
+
+// Waits before retrying a failed request; the upload fails after the last
+const RETRY_DELAYS = [1000, 3000, 5000, 10000, 20000]
+
+const STORAGE_PREFIX = 'resumableUpload:'
+
+const storageKey = (file, { ruleSetId, vesselId, parentResultId }) => STORAGE_PREFIX + [
+  file.name, file.size, file.lastModified, ruleSetId || '', vesselId || '', parentResultId || '',
+].join(':')
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Dropped connections, timeouts and server errors are worth another try
+const isRetryable = (error) => !error.response || error.response.status >= 500
+
+async function withRetries(request) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request()
+    } catch (error) {
+      if (attempt >= RETRY_DELAYS.length || !isRetryable(error)) throw error
+      await wait(RETRY_DELAYS[attempt])
+    }
+  }
+}
+
+// The URL of an earlier, unfinished upload of the same file, and how far it got
+async function resumeUpload(key) {
+  const url = localStorage.getItem(key)
+  if (!url) return null
+
+  try {
+    return { url, offset: await withRetries(() => api.getResumableUploadOffset(url)) }
+  } catch (error) {
+    // Expired, cancelled or of another user: start over
+    if (error.response && error.response.status < 500) {
+      localStorage.removeItem(key)
+      return null
+    }
+    throw error
+  }
+}
+
+// Upload `file` checked against `ruleSetId` and linked to `vesselId`; with
+// `parentResultId` as a new revision of that result's document. onProgress
+// gets the bytes the server has so far. Returns the `result` ({ id,
+// issuesDetected, reviewStatus }) of the completed upload, the `job`
+// analyzing it and `duplicateOf`, an earlier result of the same content, or
+// null.
+export async function uploadResumable(file, { ruleSetId, vesselId, parentResultId }, onProgress = () => {}) {
+  const key = storageKey(file, { ruleSetId, vesselId, parentResultId })
+
+  let upload = await resumeUpload(key)
+  if (!upload) {
+    const response = await withRetries(() => api.createResumableUpload(file.size, {
+      filename: file.name,
+      filetype: file.type,
+      ruleSetId,
+      vesselId,
+      parentResultId,
+    }))
+    upload = { url: response.headers.location, offset: 0 }
+    localStorage.setItem(key, upload.url)
+  }
+  onProgress(upload.offset)
+
+  let { url, offset } = upload
+  while (offset < file.size) {
+    const start = offset
+    offset = await withRetries(async () => {
+      try {
+        return await api.sendResumableUploadChunk(url, start, file.slice(start, start + CHUNK_SIZE), (event) => {
+          onProgress(start + event.loaded)
+        })
+      } catch (error) {
+        // The server has a different offset, e.g. after a chunk that arrived
+        // but whose response was lost: continue from there
+        if (error.response?.status === 409) {
+          return api.getResumableUploadOffset(url)
+        }
+        throw error
+      }
+    })
+    onProgress(offset)
+  }
+
+  let response = await withRetries(() => api.getResumableUpload(url))
+  if (!response.data.upload.complete) {
+    // Recording the file failed after its last byte arrived; an empty chunk
+    // at the end completes it again
+    await api.sendResumableUploadChunk(url, file.size, new Blob([]))
+    response = await withRetries(() => api.getResumableUpload(url))
+  }
+
+  localStorage.removeItem(key)
+  return { result: response.data.result, job: response.data.job || null, duplicateOf: response.data.duplicateOf || null }
+}